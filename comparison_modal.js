@@ -1,6 +1,24 @@
 // comparison_modal.js
 // Price comparison modal UI and logic
 
+/**
+ * Product info for the injected button; replaced when extraction is refreshed
+ * (e.g. the user picks another variant) so the button never opens stale data
+ */
+let currentProductInfo = null;
+
+/**
+ * Id of the search behind the open modal (see search_client.js); cancelled on close
+ */
+let activeSearchId = null;
+
+/**
+ * Paging state of the open modal's results, or null when there is nothing more to load
+ * { searchId, productInfo, step, page, hasMore, loading, error, candidates, shownUrls,
+ *   retailers, demo, cacheKey, settings } (see startResultsPaging)
+ */
+let activeResultsPaging = null;
+
 /**
  * Create and inject the View Other Retailers button next to the product price
  */
@@ -11,6 +29,8 @@ function injectCompareButton(productInfo) {
   const existingButton = document.querySelector('.supershopper-compare-btn');
   if (existingButton) return;
   
+  currentProductInfo = productInfo;
+  
   try {
     const button = document.createElement('button');
     button.className = 'supershopper-compare-btn';
@@ -21,7 +41,7 @@ function injectCompareButton(productInfo) {
     button.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      openComparisonModal(productInfo);
+      openComparisonModal(currentProductInfo);
     });
     
     // Insert button next to price element
@@ -45,6 +65,9 @@ function openComparisonModal(productInfo) {
   // Close existing modal if open
   closeComparisonModal();
   
+  // Unit prices are compared in the region's currency (regions.js)
+  productInfo = { ...productInfo, unitPrice: toRegionUnitPrice(productInfo.unitPrice) };
+  
   // Create modal
   const modal = createModal(productInfo);
   document.body.appendChild(modal);
@@ -91,6 +114,23 @@ function createModal(productInfo) {
   closeBtn.addEventListener('click', closeComparisonModal);
   
   header.appendChild(title);
+  
+  // Developer option: save this page + extraction result as a replayable fixture
+  const captureBtn = document.createElement('button');
+  captureBtn.className = 'supershopper-capture-btn';
+  captureBtn.textContent = 'Capture fixture';
+  captureBtn.style.display = 'none';
+  captureBtn.addEventListener('click', () => {
+    const fixture = captureExtractionFixture(productInfo);
+    captureBtn.textContent = fixture ? 'Fixture saved' : 'Capture failed';
+  });
+  chrome.storage.sync.get({ enableFixtureCapture: false }, (items) => {
+    if (items.enableFixtureCapture) {
+      captureBtn.style.display = '';
+    }
+  });
+  header.appendChild(captureBtn);
+  
   header.appendChild(closeBtn);
   
   // Modal body (content will be injected here)
@@ -127,20 +167,48 @@ function showLoadingState(modal) {
   `;
 }
 
+/**
+ * The product part of the cache and query override keys
+ * A verified GTIN, then the retailer's own id (ASIN, DPCI, SKU) identify the
+ * product however the page was reached; failing those, the URL without its
+ * query string and hash, which mostly carry tracking params ("ref", "utm_*").
+ */
+function getProductKeyPart(productInfo) {
+  if (productInfo.gtin) return `gtin_${productInfo.gtin}`;
+  for (const field of ['asin', 'dpci', 'sku']) {
+    if (productInfo[field]) return `${field}_${productInfo[field]}`;
+  }
+  return encodeURIComponent(getCanonicalProductUrl(productInfo.url || window.location.href));
+}
+
+/**
+ * A product URL without its query string and hash, or the URL as given when it won't parse
+ * Amazon's "/ref=..." path segment is tracking too and is dropped.
+ */
+function getCanonicalProductUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname.replace(/\/ref=[^/]*$/, '')}`;
+  } catch (error) {
+    return url;
+  }
+}
+
 /**
  * Generate cache key from product info
+ * Results depend on the region and on currency conversion, so both are part of the key.
  */
 function getCacheKey(productInfo) {
-  // Use URL + retailer as unique identifier
-  const url = productInfo.url || window.location.href;
   const retailer = productInfo.retailer || 'unknown';
-  return `search_cache_${retailer}_${encodeURIComponent(url)}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+  const region = `${regionSettings.region.id}${regionSettings.convert ? '-fx' : ''}`;
+  return `search_cache_${retailer}_${region}_${getProductKeyPart(productInfo)}`.replace(/[^a-zA-Z0-9_-]/g, '_');
 }
 
 /**
  * Load cached results if available and fresh
+ * With allowExpired (cache-only mode), an expired entry is returned instead of removed.
  */
-function loadCachedResults(cacheKey) {
+function loadCachedResults(cacheKey, allowExpired = false) {
   return new Promise((resolve) => {
     chrome.storage.local.get([cacheKey], (items) => {
       const cached = items[cacheKey];
@@ -151,7 +219,8 @@ function loadCachedResults(cacheKey) {
       
       // Check if cache is expired (24 hours)
       const now = Date.now();
-      if (cached.expiresAt && now > cached.expiresAt) {
+      const expired = !!(cached.expiresAt && now > cached.expiresAt);
+      if (expired && !allowExpired) {
         // Cache expired, remove it
         chrome.storage.local.remove([cacheKey]);
         resolve(null);
@@ -164,7 +233,9 @@ function loadCachedResults(cacheKey) {
         results: cached.results,
         productInfo: cached.productInfo,
         timestamp: cached.timestamp,
-        isCached: true
+        query: cached.query || null,
+        isCached: true,
+        expired: expired
       });
     });
   });
@@ -172,11 +243,13 @@ function loadCachedResults(cacheKey) {
 
 /**
  * Save results to cache
+ * @param {string} query - The query that found them, shown again in the query editor
  */
-function saveCachedResults(cacheKey, results, productInfo) {
+function saveCachedResults(cacheKey, results, productInfo, query = null) {
   const cacheData = {
     results: results,
     productInfo: productInfo,
+    query: query,
     timestamp: Date.now(),
     expiresAt: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
   };
@@ -187,113 +260,174 @@ function saveCachedResults(cacheKey, results, productInfo) {
 }
 
 /**
- * Fetch price comparisons from Google Shopping via Custom Search API
+ * Local storage key of the search queries the user edited, by product
+ */
+const QUERY_OVERRIDES_STORAGE_KEY = 'searchQueryOverrides';
+
+/**
+ * Edited queries kept; the least recently edited are dropped first
+ */
+const MAX_QUERY_OVERRIDES = 200;
+
+/**
+ * Product identity for query overrides: retailer plus GTIN or URL
+ * Unlike the cache key it leaves out the region and conversion, so an edited
+ * query still applies after switching either in the options page.
+ */
+function getQueryOverrideKey(productInfo) {
+  const retailer = productInfo.retailer || 'unknown';
+  return `${retailer}_${getProductKeyPart(productInfo)}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * The query the user saved for this product, or null to use planSearchQueries
+ */
+function loadQueryOverride(productInfo) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [QUERY_OVERRIDES_STORAGE_KEY]: {} }, (items) => {
+      const override = (items[QUERY_OVERRIDES_STORAGE_KEY] || {})[getQueryOverrideKey(productInfo)];
+      resolve(override && override.query ? override.query : null);
+    });
+  });
+}
+
+/**
+ * Remember (or with a null query, forget) the query to use for this product
+ */
+function saveQueryOverride(productInfo, query) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [QUERY_OVERRIDES_STORAGE_KEY]: {} }, (items) => {
+      const overrides = { ...(items[QUERY_OVERRIDES_STORAGE_KEY] || {}) };
+      const key = getQueryOverrideKey(productInfo);
+      if (query) {
+        overrides[key] = { query: query, updatedAt: Date.now() };
+      } else {
+        delete overrides[key];
+      }
+      
+      const keys = Object.keys(overrides).sort((a, b) => overrides[b].updatedAt - overrides[a].updatedAt);
+      keys.slice(MAX_QUERY_OVERRIDES).forEach(stale => delete overrides[stale]);
+      
+      chrome.storage.local.set({ [QUERY_OVERRIDES_STORAGE_KEY]: overrides }, resolve);
+    });
+  });
+}
+
+/**
+ * Fetch price comparisons through the configured search providers
+ * A query the user edited for this product replaces the planned queries.
  */
 async function fetchPriceComparisons(productInfo, modal) {
+  // Closing the modal cancels this search's requests in the service worker
+  const searchId = createSearchId();
+  activeSearchId = searchId;
+  activeResultsPaging = null;
+  
   try {
-    // Check cache first
+    // Result URLs are parsed with the public suffix list, which pages don't load up front
+    await loadPublicSuffixList();
+    
+    // Providers the service worker would query; those at today's query cap are left out
+    const status = await requestSearchStatus();
+    const cacheOnly = status.enabled && status.providerIds.length === 0 && status.capped.length > 0;
+    
+    // Check cache first (demo mode neither reads nor writes it, so real and demo results never mix)
     const cacheKey = getCacheKey(productInfo);
-    const cached = await loadCachedResults(cacheKey);
+    const cached = status.demo ? null : await loadCachedResults(cacheKey, cacheOnly);
+    
+    const override = await loadQueryOverride(productInfo);
+    const plan = override ? [{ strategy: 'custom', query: override }] : planSearchQueries(productInfo);
     
     if (cached) {
       // Use cached results
-      displayComparisonResults(cached.results, cached.productInfo, modal, true);
+      displayComparisonResults(cached.results, cached.productInfo, modal, true,
+        cached.expired ? 'Older cached results: the daily search limit has been reached' : '');
+      renderQueryEditor(modal, productInfo, cached.query || plan[0].query, !!override);
       return;
     }
     
-    // Get API configuration from storage
-    const config = await getAPIConfig();
-    
-    // Check if API calls are enabled and configured
-    if (!config.enabled || !config.apiKey || !config.searchEngineId) {
-      // API not configured or disabled - use fallback mock data
-      console.warn('Google Shopping API not configured or disabled. Using fallback data.');
-      await new Promise(resolve => setTimeout(resolve, 800));
-      const fallbackResults = generateFallbackResults(productInfo);
-      displayComparisonResults(fallbackResults, productInfo, modal);
+    if (cacheOnly) {
+      showErrorState(modal, createSearchError('budget', `Daily search limit reached (${status.dailyCap} queries)`), productInfo);
       return;
     }
     
-    // Build search query
-    const searchQuery = buildSearchQuery(productInfo);
+    // Check if API calls are enabled and at least one provider is configured
+    if (!status.enabled) {
+      showErrorState(modal, createSearchError('disabled', 'Real-time price comparisons are disabled in Options'), productInfo);
+      return;
+    }
+    if (status.providerIds.length === 0) {
+      showErrorState(modal, createSearchError('unconfigured', 'No search provider has its API key or URL set'), productInfo);
+      return;
+    }
     
-    // Fetch from Google Custom Search API (Shopping results)
-    const apiUrl = buildShoppingAPIUrl(config.apiKey, config.searchEngineId, searchQuery);
+    // Identifier, model and title queries in turn, stopping once enough exact matches are in
+    const planResult = await runSearchPlan(plan, productInfo, searchId);
     
-    const response = await fetchWithTimeout(apiUrl, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/json'
-      }
-    }, 10000); // 10 second timeout
+    // The modal was closed (or reopened) while searching
+    if (searchId !== activeSearchId) return;
     
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+    // Filter and dedupe candidates into retailer results, keeping what was filtered out and why
+    const rejected = [];
+    const results = parseShoppingResults(planResult.candidates, productInfo, rejected);
+    if (status.demo) {
+      results.forEach(result => { result.isDemo = !result.isCurrentPage; });
     }
     
-    const data = await response.json();
-    
-    // Parse Google Shopping results
-    const results = parseShoppingResults(data, productInfo);
-    
     if (results.length === 0) {
-      // No results found - use fallback
-      console.warn('No shopping results found. Using fallback data.');
-      const fallbackResults = generateFallbackResults(productInfo);
-      displayComparisonResults(fallbackResults, productInfo, modal);
+      console.warn('No shopping results found.');
+      showErrorState(modal, createSearchError('no-results', 'No retailer listings in the search results'), productInfo);
+      renderQueryEditor(modal, productInfo, planResult.lastStep.query, !!override);
+      renderFilteredDrawer(modal, rejected);
       return;
     }
     
     // Cache the results
-    saveCachedResults(cacheKey, results, productInfo);
+    const query = planResult.lastStep.query;
+    if (!status.demo) saveCachedResults(cacheKey, results, productInfo, query);
     
     displayComparisonResults(results, productInfo, modal);
+    renderQueryEditor(modal, productInfo, query, !!override);
+    renderFilteredDrawer(modal, rejected);
+    
+    // Further pages of the last query, on request or automatically up to the configured budget
+    startResultsPaging(modal, {
+      searchId, productInfo, status, cacheKey, results,
+      candidates: planResult.candidates, step: planResult.lastStep, hasMore: planResult.hasMore
+    });
+    await autoLoadMoreResults(modal);
     
   } catch (error) {
+    if (error.cancelled) return;
     console.error('Error fetching price comparisons:', error);
     
-    // On error, try to show fallback data
-    try {
-      const fallbackResults = generateFallbackResults(productInfo);
-      displayComparisonResults(fallbackResults, productInfo, modal);
-      
-      // Show a subtle warning
-      setTimeout(() => {
-        const body = modal.querySelector('#supershopper-modal-body');
-        if (body) {
-          const warning = document.createElement('div');
-          warning.style.cssText = 'margin-top: 12px; padding: 8px; background: #fff3cd; border: 1px solid #ffc107; border-radius: 4px; font-size: 12px; color: #856404;';
-          warning.textContent = '⚠️ Using sample data. Configure API for real-time comparisons.';
-          body.appendChild(warning);
-        }
-      }, 500);
-    } catch (fallbackError) {
-      // If fallback also fails, show error state
-      showErrorState(modal, error);
-    }
+    // Never substitute sample data for a failed search: say what failed and how to fix it
+    showErrorState(modal, error, productInfo);
   }
 }
 
 /**
- * Get API configuration from Chrome storage
+ * Error tagged with a search error kind (see SEARCH_ERROR_HELP)
  */
-function getAPIConfig() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(
-      { 
-        googleAPIKey: '', 
-        googleSearchEngineId: '',
-        enableAPICalls: true
-      },
-      (items) => {
-        resolve({
-          apiKey: items.googleAPIKey || '',
-          searchEngineId: items.googleSearchEngineId || '',
-          enabled: items.enableAPICalls !== false
-        });
-      }
-    );
-  });
+function createSearchError(kind, message, response = {}) {
+  const error = new Error(message);
+  error.kind = kind;
+  error.provider = response.provider || null;
+  error.providerName = response.providerName || null;
+  return error;
+}
+
+/**
+ * Search error for a SEARCH response other than 'ok' (see search_service.js)
+ */
+function createSearchErrorFromResponse(response) {
+  if (response.status === 'budget') {
+    return createSearchError('budget', `Daily search limit reached (${response.cap} queries)`);
+  }
+  if (response.status === 'error') {
+    return createSearchError(response.kind, response.message, response);
+  }
+  return createSearchError(response.status, `Search unavailable (${response.status})`);
 }
 
 /**
@@ -323,298 +457,566 @@ function buildSearchQuery(productInfo) {
     .replace(/\s+/g, ' ') // Multiple spaces to single
     .substring(0, 60); // Shorter limit
   
-  // Append "buy" to get commerce-focused results (not reviews/info pages)
-  let finalQuery = `${query} buy`;
+  // Pin the selected variant (128GB, size M, 6 pack) so results favour it
+  const variantTerms = getVariantSearchTerms(productInfo.variant, query);
+  if (variantTerms.length > 0) {
+    query = `${query} ${variantTerms.join(' ')}`;
+  }
   
-  // Exclude current retailer from search to get more diverse results
-  // This prevents Amazon results when searching from Amazon, etc.
+  // Append "buy" to get commerce-focused results (not reviews/info pages)
+  return appendRetailerExclusion(`${query} buy`, productInfo);
+}
+
+/**
+ * Exclude the current retailer from a query to get more diverse results
+ * This prevents Amazon results when searching from Amazon, etc.
+ */
+function appendRetailerExclusion(query, productInfo) {
   if (productInfo.retailer) {
     const retailerLower = productInfo.retailer.toLowerCase();
     if (retailerLower === 'amazon') {
-      finalQuery = `${finalQuery} -site:amazon.com`;
+      return `${query} -site:amazon.com`;
     } else if (retailerLower === 'walmart') {
-      finalQuery = `${finalQuery} -site:walmart.com`;
+      return `${query} -site:walmart.com`;
     } else if (retailerLower === 'target') {
-      finalQuery = `${finalQuery} -site:target.com`;
+      return `${query} -site:target.com`;
+    }
+  }
+  return query;
+}
+
+/**
+ * Similarity above which a result is treated as the same product
+ */
+const SAME_PRODUCT_MIN_SIMILARITY = 0.65;
+
+/**
+ * Distinct other retailers with a same-product match after which the search plan stops
+ */
+const SEARCH_PLAN_ENOUGH_MATCHES = 3;
+
+/**
+ * Labels for the strategy that found a result, shown as a badge in the modal
+ */
+const SEARCH_STRATEGY_LABELS = {
+  gtin: { label: 'UPC', title: 'Found by searching for the product\'s UPC/EAN/ISBN' },
+  model: { label: 'Model #', title: 'Found by searching for the brand and model number' },
+  category: { label: 'Category', title: 'Found by searching stores that specialise in this product\'s category' },
+  title: { label: 'Title', title: 'Found by searching for the product title' },
+  custom: { label: 'Edited', title: 'Found by the search query you edited' }
+};
+
+/**
+ * Queries to run in order, most precise first
+ * 1. GTIN/UPC when a verified one was extracted
+ * 2. Brand plus model numbers (MPN, or model-like codes in the title)
+ * 3. Title words limited to the category's specialist stores (product_categories.js)
+ * 4. Brand plus title words (buildSearchQuery)
+ * @returns {Array<{ strategy: string, query: string }>}
+ */
+function planSearchQueries(productInfo) {
+  const plan = [];
+  
+  // Retailers list UPC-A (12 digits) or EAN-13 more often than the padded GTIN-14
+  const code = productInfo.upc || productInfo.ean || productInfo.isbn || (productInfo.gtin ? productInfo.gtin.replace(/^0{1,2}/, '') : null);
+  if (code) {
+    plan.push({ strategy: 'gtin', query: appendRetailerExclusion(`"${code}"`, productInfo) });
+  }
+  
+  const models = getModelSearchTerms(productInfo);
+  if (models.length > 0) {
+    const modelQuery = [productInfo.brand, ...models.map(model => `"${model}"`)].filter(Boolean).join(' ');
+    plan.push({ strategy: 'model', query: appendRetailerExclusion(modelQuery, productInfo) });
+  }
+  
+  const sites = getCategorySearchSites(detectProductCategory(productInfo), productInfo);
+  if (sites.length > 0) {
+    const siteFilter = sites.map(site => `site:${site}`).join(' OR ');
+    plan.push({ strategy: 'category', query: `${buildSearchQuery(productInfo)} (${siteFilter})` });
+  }
+  
+  plan.push({ strategy: 'title', query: buildSearchQuery(productInfo) });
+  return plan;
+}
+
+/**
+ * Up to two model numbers worth searching for: the extracted MPN, then model-like
+ * codes from the title. Capacities and sizes ("128GB", "65IN") are not model numbers.
+ */
+function getModelSearchTerms(productInfo) {
+  const fromTitle = extractModelNumbers(productInfo.title || '').filter(code =>
+    /[A-Z]/.test(code) && /\d/.test(code) &&
+    !/^\d+(?:GB|TB|MB|HZ|W|V|MAH|MM|CM|IN|OZ|ML|LB|LBS|CT|PK|K|P)$/.test(code)
+  );
+  const terms = [productInfo.mpn, ...fromTitle].filter(Boolean);
+  const unique = [];
+  for (const term of terms) {
+    const key = term.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    // "1000XM5" read from "WH-1000XM5" is the same model as the MPN "WH1000XM5"
+    if (!unique.some(existing => {
+      const existingKey = existing.toUpperCase().replace(/[^A-Z0-9]/g, '');
+      return existingKey.includes(key) || key.includes(existingKey);
+    })) {
+      unique.push(term);
+    }
+  }
+  return unique.slice(0, 2);
+}
+
+/**
+ * Run a search plan, merging candidates across queries
+ * Each candidate keeps the strategy of the first query that found it. The plan stops
+ * early once SEARCH_PLAN_ENOUGH_MATCHES other retailers have a same-product match.
+ * Queries run in the service worker, which also enforces the daily cap per query.
+ * lastStep is the last query answered and hasMore whether it has further pages.
+ * @returns {Promise<{ candidates: Array, lastStep: Object|null, hasMore: boolean }>}
+ */
+async function runSearchPlan(plan, productInfo, searchId) {
+  const merged = new Map();
+  const currentRetailer = (productInfo.retailer || '').toLowerCase();
+  let lastStep = null;
+  let hasMore = false;
+  
+  for (const step of plan) {
+    const response = await requestSearch(searchId, step.query, productInfo);
+    
+    if (response.status === 'cancelled') {
+      const error = new Error('Search cancelled');
+      error.cancelled = true;
+      throw error;
+    }
+    if (response.status !== 'ok') {
+      const error = createSearchErrorFromResponse(response);
+      // Report it unless earlier queries already found something
+      if (merged.size === 0) throw error;
+      console.warn(`Search plan stopped at "${step.strategy}" query:`, error);
+      break;
     }
+    const candidates = response.candidates;
+    lastStep = step;
+    hasMore = response.hasMore === true;
+    
+    for (const candidate of candidates) {
+      const key = candidate.urlKey;
+      const existing = merged.get(key);
+      if (existing) {
+        existing.providers = [...new Set([...existing.providers, ...candidate.providers])];
+      } else {
+        merged.set(key, { ...candidate, strategy: step.strategy, query: step.query });
+      }
+    }
+    
+    const matchedRetailers = new Set();
+    for (const candidate of merged.values()) {
+      const retailer = extractRetailerName(candidate.url).toLowerCase();
+      if (retailer !== currentRetailer &&
+          calculateTitleSimilarity(productInfo.title, candidate.title, productInfo, candidate.offer?.gtin) > SAME_PRODUCT_MIN_SIMILARITY) {
+        matchedRetailers.add(retailer);
+      }
+    }
+    console.log(`Search strategy "${step.strategy}": ${candidates.length} results, ${matchedRetailers.size} retailers matched so far`);
+    if (matchedRetailers.size >= SEARCH_PLAN_ENOUGH_MATCHES) break;
   }
   
-  return finalQuery; 
+  return { candidates: [...merged.values()], lastStep: lastStep, hasMore: hasMore };
 }
 
 /**
- * Build Google Custom Search API URL for Shopping
+ * Show the query behind the results above them, editable and re-runnable
+ * -site: exclusions are listed as removable chips, and a site typed into the
+ * exclude box is added to the query.
+ * @param {boolean} isOverride - The query is one the user edited for this product
  */
-function buildShoppingAPIUrl(apiKey, searchEngineId, query) {
-  // Google Custom Search API with Shopping results
-  const baseUrl = 'https://www.googleapis.com/customsearch/v1';
-  const params = new URLSearchParams({
-    key: apiKey,
-    cx: searchEngineId,
-    q: query,
-    // tbm: 'shop', // REMOVED: Use regular web search for better metadata/snippets
-    num: '10', // Google Custom Search API max is 10 results per request
-    safe: 'active'
+function renderQueryEditor(modal, productInfo, query, isOverride) {
+  const body = modal.querySelector('#supershopper-modal-body');
+  if (!body || !query) return;
+  
+  const editor = document.createElement('form');
+  editor.className = 'supershopper-query-editor';
+  editor.innerHTML = `
+    <label for="supershopper-query-input">Search query${isOverride ? ' <span class="supershopper-strategy-badge custom">Edited</span>' : ''}</label>
+    <div class="supershopper-query-row">
+      <input id="supershopper-query-input" type="text" spellcheck="false" autocomplete="off" />
+      <button type="submit" class="supershopper-query-run-btn">Search</button>
+    </div>
+    <div class="supershopper-query-exclusions">
+      <span class="supershopper-query-chips"></span>
+      <input class="supershopper-query-exclude-input" type="text" placeholder="Exclude a site, e.g. ebay.com" spellcheck="false" autocomplete="off" />
+    </div>
+    <div class="supershopper-query-hint">
+      Add words such as the category to narrow the search. ${isOverride
+        ? 'Your edited query is used whenever you view this product. <button type="button" class="supershopper-query-reset-btn">Use automatic queries</button>'
+        : 'An edited query is remembered for this product.'}
+    </div>
+  `;
+  body.insertBefore(editor, body.firstChild);
+  
+  const input = editor.querySelector('#supershopper-query-input');
+  const chips = editor.querySelector('.supershopper-query-chips');
+  const excludeInput = editor.querySelector('.supershopper-query-exclude-input');
+  input.value = query;
+  
+  const renderChips = () => {
+    const sites = [...new Set([...input.value.matchAll(/(?:^|\s)-site:(\S+)/g)].map(match => match[1]))];
+    chips.innerHTML = sites.map(site => `
+      <span class="supershopper-query-chip">-site:${escapeHtml(site)}<button type="button" data-site="${escapeUrlForAttribute(site)}" title="Stop excluding ${escapeAttribute(site)}">×</button></span>
+    `).join('');
+  };
+  renderChips();
+  
+  input.addEventListener('input', renderChips);
+  chips.addEventListener('click', (event) => {
+    const site = event.target.getAttribute('data-site');
+    if (!site) return;
+    input.value = input.value
+      .split(/\s+/)
+      .filter(term => term !== `-site:${site}`)
+      .join(' ');
+    renderChips();
+  });
+  excludeInput.addEventListener('keydown', (event) => {
+    if (event.key !== 'Enter') return;
+    event.preventDefault();
+    const site = excludeInput.value.trim().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+    if (site && !input.value.split(/\s+/).includes(`-site:${site}`)) {
+      input.value = `${input.value.trim()} -site:${site}`;
+      renderChips();
+    }
+    excludeInput.value = '';
+  });
+  
+  // Keep the retailer page's keyboard shortcuts from reacting to typing here
+  editor.addEventListener('keydown', (event) => event.stopPropagation());
+  editor.addEventListener('submit', (event) => {
+    event.preventDefault();
+    rerunSearchWithQuery(modal, productInfo, input.value);
   });
   
-  return `${baseUrl}?${params.toString()}`;
+  const resetBtn = editor.querySelector('.supershopper-query-reset-btn');
+  if (resetBtn) {
+    resetBtn.addEventListener('click', () => rerunSearchWithQuery(modal, productInfo, ''));
+  }
+}
+
+/**
+ * Re-run the search in the open modal with the user's query, remembering it for this product
+ * An empty query, or one the automatic plan would run anyway, goes back to the plan.
+ */
+async function rerunSearchWithQuery(modal, productInfo, query) {
+  const trimmed = query.replace(/\s+/g, ' ').trim();
+  const planned = planSearchQueries(productInfo).map(step => step.query);
+  await saveQueryOverride(productInfo, trimmed && !planned.includes(trimmed) ? trimmed : null);
+  
+  // Cached results came from the previous query
+  chrome.storage.local.remove([getCacheKey(productInfo)]);
+  
+  if (activeSearchId) cancelSearchRequests(activeSearchId);
+  showLoadingState(modal);
+  await fetchPriceComparisons(productInfo, modal);
+}
+
+/**
+ * Track paging for freshly displayed results and show the "Load more" control
+ * @param {Object} search - { searchId, productInfo, status, cacheKey, results, candidates, step, hasMore }
+ */
+function startResultsPaging(modal, search) {
+  if (!search.step) {
+    activeResultsPaging = null;
+    return;
+  }
+  activeResultsPaging = {
+    searchId: search.searchId,
+    productInfo: search.productInfo,
+    step: search.step,
+    page: 1,
+    hasMore: search.hasMore,
+    loading: false,
+    error: null,
+    candidates: new Map(search.candidates.map(candidate => [candidate.urlKey, candidate])),
+    shownUrls: new Set(search.results.map(result => result.url)),
+    retailers: new Set(search.results.filter(result => !result.isCurrentPage).map(result => result.retailer)),
+    demo: search.status.demo,
+    cacheKey: search.cacheKey,
+    settings: search.status.paging || { auto: false, targetRetailers: 0, maxPages: 1 }
+  };
+  updateLoadMoreControl(modal);
+}
+
+/**
+ * Fetch the next page of the last query and append any new retailers to the modal
+ * @returns {Promise<boolean>} Whether a page was loaded
+ */
+async function loadMoreResults(modal) {
+  const paging = activeResultsPaging;
+  if (!paging || paging.loading || !paging.hasMore) return false;
+  
+  paging.loading = true;
+  paging.error = null;
+  updateLoadMoreControl(modal);
+  
+  try {
+    const page = paging.page + 1;
+    const response = await requestSearch(paging.searchId, paging.step.query, paging.productInfo, page);
+    if (paging !== activeResultsPaging || response.status === 'cancelled') return false;
+    if (response.status !== 'ok') {
+      const error = createSearchErrorFromResponse(response);
+      const help = SEARCH_ERROR_HELP[error.kind] || SEARCH_ERROR_HELP.unknown;
+      paging.error = help.message(error.providerName);
+      // Only a failure worth retrying leaves the button in place
+      if (help.action !== 'retry') paging.hasMore = false;
+      return false;
+    }
+    
+    paging.page = page;
+    paging.hasMore = response.hasMore === true;
+    for (const candidate of response.candidates) {
+      if (!paging.candidates.has(candidate.urlKey)) {
+        paging.candidates.set(candidate.urlKey, { ...candidate, strategy: paging.step.strategy, query: paging.step.query });
+      }
+    }
+    
+    // Re-parse everything so per-retailer dedupe keeps the rows already shown
+    const rejected = [];
+    const results = parseShoppingResults([...paging.candidates.values()], paging.productInfo, rejected);
+    if (paging.demo) {
+      results.forEach(result => { result.isDemo = !result.isCurrentPage; });
+    }
+    const fresh = results.filter(result => !result.isCurrentPage && !paging.shownUrls.has(result.url));
+    fresh.forEach(result => {
+      paging.shownUrls.add(result.url);
+      paging.retailers.add(result.retailer);
+    });
+    console.log(`Loaded results page ${page}: ${fresh.length} new listings`);
+    
+    appendComparisonResults(fresh, paging.productInfo, modal);
+    renderFilteredDrawer(modal, rejected);
+    if (!paging.demo && fresh.length > 0) saveCachedResults(paging.cacheKey, results, paging.productInfo, paging.step.query);
+    return true;
+  } catch (error) {
+    console.warn('Error loading more results:', error);
+    paging.error = 'Could not load more results';
+    return false;
+  } finally {
+    paging.loading = false;
+    if (paging === activeResultsPaging) updateLoadMoreControl(modal);
+  }
+}
+
+/**
+ * Keep loading pages until enough other retailers are listed or the page budget is spent
+ * (the "Load more results" settings in Options)
+ */
+async function autoLoadMoreResults(modal) {
+  const paging = activeResultsPaging;
+  if (!paging || !paging.settings.auto) return;
+  
+  while (paging === activeResultsPaging &&
+         paging.hasMore &&
+         paging.page < paging.settings.maxPages &&
+         paging.retailers.size < paging.settings.targetRetailers) {
+    if (!(await loadMoreResults(modal))) break;
+  }
+}
+
+/**
+ * List the search results that were filtered out, and why, in a collapsed drawer
+ * Replaces the drawer of an earlier page; sits above the "Load more" control.
+ */
+function renderFilteredDrawer(modal, rejected) {
+  const body = modal.querySelector('#supershopper-modal-body');
+  if (!body) return;
+  const parent = body.querySelector('.supershopper-comparison-container') || body;
+  
+  let drawer = parent.querySelector('.supershopper-filtered-drawer');
+  if (rejected.length === 0) {
+    if (drawer) drawer.remove();
+    return;
+  }
+  
+  const wasOpen = !!(drawer && drawer.open);
+  if (!drawer) {
+    drawer = document.createElement('details');
+    drawer.className = 'supershopper-filtered-drawer';
+    parent.insertBefore(drawer, parent.querySelector('.supershopper-load-more'));
+  }
+  
+  drawer.innerHTML = `
+    <summary>Filtered out (${rejected.length})</summary>
+    <ul class="supershopper-filtered-list">
+      ${rejected.map(item => `
+        <li data-filter-rule="${escapeAttribute(item.rule || '')}">
+          <span class="supershopper-filtered-reason" title="${escapeAttribute(item.label || '')}">${escapeHtml(item.reason || item.label || 'Filtered')}</span>
+          ${item.url
+            ? `<a href="${escapeUrlForAttribute(item.url)}" target="_blank" rel="noopener">${escapeHtml(item.title || item.url)}</a>`
+            : escapeHtml(item.title)}
+          <span class="supershopper-filtered-host">${escapeHtml(item.displayLink)}</span>
+        </li>
+      `).join('')}
+    </ul>
+    <button type="button" class="supershopper-open-options-btn">Change filter rules in Options</button>
+  `;
+  drawer.open = wasOpen;
+  drawer.querySelector('.supershopper-open-options-btn').addEventListener('click', openExtensionOptions);
+}
+
+/**
+ * Show the "Load more results" button and paging status under the results
+ */
+function updateLoadMoreControl(modal) {
+  const container = modal.querySelector('.supershopper-comparison-container');
+  const paging = activeResultsPaging;
+  if (!container || !paging) return;
+  
+  let control = container.querySelector('.supershopper-load-more');
+  if (!control) {
+    control = document.createElement('div');
+    control.className = 'supershopper-load-more';
+    control.innerHTML = `
+      <button class="supershopper-load-more-btn">Load more results</button>
+      <span class="supershopper-load-more-status"></span>
+    `;
+    control.querySelector('.supershopper-load-more-btn').addEventListener('click', () => loadMoreResults(modal));
+    container.appendChild(control);
+  }
+  
+  const button = control.querySelector('.supershopper-load-more-btn');
+  const status = control.querySelector('.supershopper-load-more-status');
+  button.style.display = paging.hasMore ? '' : 'none';
+  button.disabled = paging.loading;
+  button.textContent = paging.loading ? 'Loading more results…' : 'Load more results';
+  
+  const retailerCount = `${paging.retailers.size} other retailer${paging.retailers.size === 1 ? '' : 's'}`;
+  if (paging.error) {
+    status.textContent = paging.error;
+  } else if (paging.page > 1) {
+    status.textContent = `${retailerCount} from ${paging.page} pages of results${paging.hasMore ? '' : ' (no more results)'}`;
+  } else {
+    status.textContent = paging.hasMore ? '' : 'No more results';
+  }
+  control.style.display = paging.hasMore || paging.page > 1 || paging.error ? '' : 'none';
 }
 
 /**
- * Fetch with timeout
+ * Search terms for the variant dimensions that distinguish listings
+ * Skips values already present in the query; color is left out as it narrows too much.
  */
-function fetchWithTimeout(url, options, timeout) {
-  return Promise.race([
-    fetch(url, options),
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Request timeout')), timeout)
-    )
-  ]);
+function getVariantSearchTerms(variant, query) {
+  if (!variant) return [];
+  const squash = (text) => String(text).toLowerCase().replace(/\s+/g, '');
+  const existing = squash(query);
+  const terms = [];
+  
+  if (variant.capacity && !existing.includes(squash(variant.capacity))) {
+    terms.push(variant.capacity);
+  }
+  if (variant.size && !existing.includes(squash(variant.size))) {
+    terms.push(`size ${variant.size}`);
+  }
+  if (variant.pack && !existing.includes(`${variant.pack}pack`) && !existing.includes(`packof${variant.pack}`)) {
+    terms.push(`${variant.pack} pack`);
+  }
+  return terms;
 }
 
 /**
- * Parse Google Shopping API results
+ * Turn merged search candidates (see search_providers.js) into retailer results
+ * @param {Array} rejected - When given, collects the candidates left out and why (see recordRejectedResult)
  */
-function parseShoppingResults(apiData, currentProduct) {
+function parseShoppingResults(candidates, currentProduct, rejected = null) {
   const results = [];
   
   // Add current page as first result
   results.push({
     retailer: currentProduct.retailer,
     price: currentProduct.price,
+    currency: currentProduct.currency || null,
     url: currentProduct.url,
     imageUrl: currentProduct.imageUrl,
     title: currentProduct.title,
-    availability: 'In Stock',
+    variant: currentProduct.variant,
+    quantity: currentProduct.quantity || null,
+    unitPrice: currentProduct.unitPrice || null,
+    seller: currentProduct.seller || null,
+    fulfilledBy: currentProduct.fulfilledBy || null,
+    condition: currentProduct.condition || null,
+    isMarketplace: currentProduct.isMarketplace ?? false,
+    availability: currentProduct.availability || null,
+    rating: null,
+    reviewCount: null,
     isCurrentPage: true
   });
   
-  // Parse shopping results from API
-  if (apiData.items && Array.isArray(apiData.items)) {
-    console.log('Processing', apiData.items.length, 'API results');
-    
-    // Track retailers we've already added to prevent duplicates
-    const addedRetailers = new Set();
-    addedRetailers.add(currentProduct.retailer.toLowerCase()); // Don't duplicate current retailer
+  // Parse search candidates
+  if (Array.isArray(candidates) && candidates.length > 0) {
+    console.log('Processing', candidates.length, 'search results');
     
-    // List of supported retailers we want to show
-    // Added major brands and category-specific stores
-    const supportedRetailers = [
-      'amazon', 'target', 'walmart', 'best buy', 'ebay', 'costco', 'home depot', "lowes",
-      'jbl', 'nike', 'apple', 'samsung', 'sony', 'dell', 'hp', 'microsoft', 'lego', 'wayfair',
-      'chewy', 'gamestop', 'newegg', 'b&h', 'staples', 'office depot', 'kohls', 'macys'
-    ];
+    // A retailer can have several listings (other sellers, conditions, pack sizes); only repeats of one URL are dropped
+    const addedUrls = new Set();
     
-    apiData.items.forEach((item, index) => {
+    candidates.forEach((item) => {
       try {
-        // Filter out non-commerce domains (.org, .edu, .gov, etc.)
-        // Also filter out non-US country-specific domains and subdomains
-        const url = (item.link || item.displayLink || '').toLowerCase();
-        if (url.includes('.org/') || url.includes('.edu/') || url.includes('.gov/') || 
-            url.includes('.org') && !url.includes('search')) { // stricter .org check
-           console.log(`Item ${index + 1}: Skipped ${url} (non-commerce domain)`);
-           return;
-        }
-        
-        // Filter out non-US country-specific domains (e.g., .com.ph, .com.au, .co.uk, .ca)
-        // Also check for country subdomains (e.g., amazon.co.uk, amazon.com.au)
-        const nonUSDomains = [
-          '.com.ph', '.com.au', '.co.uk', '.com.br', '.com.mx', '.ca', '.co.jp', '.fr', '.de',
-          '.it', '.es', '.nl', '.com.sg', '.com.hk', '.co.in', '.com.tr', '.com.ar',
-          '.co.za', '.com.tw', '.com.cn', '.ae', '.sa'
-        ];
-        const isNonUSDomain = nonUSDomains.some(domain => url.includes(domain));
-        if (isNonUSDomain) {
-          console.log(`Item ${index + 1}: Skipped ${url} (non-US domain)`);
-          return;
-        }
-        
-        // Also check for country-specific hostnames (e.g., amazon.co.uk, walmart.ca)
-        const hostname = url.match(/https?:\/\/([^/]+)/)?.[1] || '';
-        if (hostname && (hostname.endsWith('.co.uk') || hostname.endsWith('.com.au') || 
-            hostname.endsWith('.com.ph') || hostname.endsWith('.ca') || 
-            hostname.match(/\.(ph|au|uk|br|mx|jp|fr|de|it|es|nl|sg|hk|in|tr|ar|za|tw|cn|ae|sa)$/))) {
-          console.log(`Item ${index + 1}: Skipped ${url} (non-US country domain)`);
-          return;
-        }
-        
-        // Filter out non-retailer sites (social media, forums, Wikipedia, etc.)
-        const nonRetailerDomains = [
-          'reddit.com', 'redd.it',
-          'facebook.com', 'fb.com',
-          'twitter.com', 'x.com',
-          'instagram.com',
-          'pinterest.com',
-          'tiktok.com',
-          'youtube.com', 'youtu.be',
-          'wikipedia.org', 'wikimedia.org',
-          'quora.com',
-          'medium.com',
-          'linkedin.com',
-          'tumblr.com',
-          'blogspot.com', 'blogger.com',
-          'wordpress.com',
-          'yahoo.com', 'yahoo.co',
-          'buzzfeed.com',
-          'cnn.com', 'bbc.com', 'nytimes.com', 'washingtonpost.com', 'wsj.com', 'usatoday.com',
-          'theverge.com', 'techcrunch.com', 'engadget.com', 'arstechnica.com',
-          'amazon.com/review', 'amazon.com/customer-reviews',
-          'amazon.com/product-reviews'
-        ];
-        
-        const isNonRetailer = nonRetailerDomains.some(domain => hostname.includes(domain) || url.includes(domain));
-        if (isNonRetailer) {
-          console.log(`Item ${index + 1}: Skipped ${url} (non-retailer site)`);
-          return;
-        }
-
-        // Filter URLs to ONLY product pages (not reviews, blogs, categories, etc.)
-        const productPagePatterns = [
-          // Amazon patterns
-          /\/dp\/[A-Z0-9]{10}/i,
-          /\/gp\/product\/[A-Z0-9]/i,
-          /\/product\/[A-Z0-9]/i,
-          // Target patterns - more flexible to handle /p/product-name/-/A-12345678 format
-          /\/p\/[^\/]+/i, // Match /p/ followed by anything (handles /p/product-name/-/A-123 or /p/-/A-123)
-          /\/p\/[A-Z0-9-]+\//i, // Also handle /p/ALPHA-NUM/
-          /\/product\/[0-9]+/i,
-          // Walmart patterns
-          /\/ip\/[^\/]+\/[0-9]+/i,
-          /\/product\/[0-9]+/i,
-          // Walgreens patterns
-          /\/store\/.*\/id=/i,
-          // Generic product patterns
-          /\/product[s]?\/[^\/]+/i,
-          /\/item[s]?\/[^\/]+/i,
-          /\/p\/[^\/]+/i,
-          /\/products\/[^\/]+/i,
-          /\/shop\/[^\/]+\/[^\/]+/i, // shop/category/product
-          /\/buy\/[^\/]+/i,
-          // Best Buy, eBay, etc.
-          /\/site\/[^\/]+\/[^\/]+\/p\.aspx/i,
-          /\/itm\/[0-9]+/i,
-        ];
-        
-        const isProductPage = productPagePatterns.some(pattern => pattern.test(url));
-        
-        // Also check for common NON-product page patterns to exclude
-        const nonProductPatterns = [
-          '/search',
-          '/category',
-          '/categories',
-          '/brand',
-          '/brands',
-          '/review',
-          '/reviews',
-          '/compare',
-          '/guide',
-          '/help',
-          '/blog',
-          '/article',
-          '/news',
-          '/about',
-          '/contact',
-          '/faq',
-          '/sitemap',
-          '/cart',
-          '/checkout',
-          '/account',
-          '/profile',
-          '/wishlist',
-        ];
-        
-        const isNonProductPage = nonProductPatterns.some(pattern => url.includes(pattern));
-        
-        // REJECT if it's clearly not a product page
-        if (isNonProductPage) {
-          console.log(`Item ${index + 1}: Skipped ${url} (non-product page)`);
-          return;
-        }
-        
-        // Filter out app store links (iOS App Store, Google Play Store, etc.)
-        if (url.includes('apps.apple.com') || url.includes('play.google.com') || url.includes('app-store') || (url.includes('/app/') && !url.includes('/product'))) {
-          console.log(`Item ${index + 1}: Skipped ${url} (app store link)`);
+        // Non-commerce, non-US, non-retailer and non-product pages (result_filters.js)
+        const verdict = runResultFilters(item);
+        if (!verdict.accepted) {
+          recordRejectedResult(rejected, item, verdict);
           return;
         }
         
-        // Filter out root/homepage URLs (these aren't product pages)
-        // But be lenient - Target URLs like target.com/p/product-name/-/A-123 should pass
-        const urlPath = url.match(/https?:\/\/[^\/]+\/(.*)/)?.[1] || '';
-        // Only reject if it's truly just the domain with no path or just a slash
-        if ((!urlPath || urlPath.trim() === '' || urlPath === '/') && !hostname.includes('target.com')) {
-          // Allow Target even if path looks short (Target URLs can be complex)
-          console.log(`Item ${index + 1}: Skipped ${url} (homepage/root URL)`);
-          return;
-        }
-        
-        // ACCEPT if it matches product page patterns
-        // For known retailers (especially brand sites), we still require product page patterns
-        const knownRetailerDomains = ['amazon.com', 'target.com', 'walmart.com', 'bestbuy.com', 
-          'ebay.com', 'costco.com', 'homedepot.com', 'lowes.com', 'kohls.com', 'macys.com',
-          'newegg.com', 'staples.com', 'officedepot.com', 'kroger.com', 'walgreens.com', 'frysfood.com'];
-        const isKnownRetailer = knownRetailerDomains.some(domain => hostname.includes(domain));
-        
-        // Brand websites need to have product page patterns too
-        const brandDomains = ['jbl.com', 'nike.com', 'apple.com', 'samsung.com', 'sony.com', 'dell.com'];
-        const isBrandSite = brandDomains.some(domain => hostname.includes(domain));
-        
-        // Only accept if:
-        // 1. It matches product page patterns, OR
-        // 2. It's a known retailer (Amazon, Target, etc.) - they usually have good product URLs
-        // But reject brand sites that don't match product page patterns (they often link to homepages)
-        if (!isProductPage) {
-          if (isBrandSite) {
-            // Brand sites must have product page patterns
-            console.log(`Item ${index + 1}: Skipped ${url} (brand site without product page pattern)`);
-            return;
-          }
-          // For known retailers like Target, be more lenient - accept if it's from a known retailer domain
-          // even if pattern doesn't match exactly (Target URLs can vary)
-          if (!isKnownRetailer) {
-            console.log(`Item ${index + 1}: Skipped ${url} (not a product page and not known retailer)`);
-            return;
-          }
-        }
-
         // Extract retailer from link (full URL) - more reliable than displayLink
-        const retailer = extractRetailerName(item.link || item.displayLink || '');
-        const retailerKey = retailer.toLowerCase();
+        const retailer = extractRetailerName(item.url || item.displayLink || '');
+        const retailerKey = getRetailerKey(item.url || item.displayLink || '');
         
-        // Skip if we've already added this retailer (deduplication)
-        if (addedRetailers.has(retailerKey)) {
-          console.log(`Item ${index + 1}: Skipped ${retailer} (duplicate)`);
+        // Skip if it's the current retailer
+        if (retailer.toLowerCase() === currentProduct.retailer.toLowerCase()) {
+          recordRejectedResult(rejected, item, { rule: 'current-retailer', label: 'Current store', reason: `The ${retailer} page you are on` });
           return;
         }
         
-        console.log(`Item ${index + 1}:`, retailer, '| Link:', item.link);
-        
-        // Skip if it's the current retailer
-        if (retailerKey === currentProduct.retailer.toLowerCase()) {
-          console.log(`  → Skipped (current retailer)`);
+        // Skip if this listing is already shown (deduplication)
+        const urlKey = item.urlKey || item.url || '';
+        if (addedUrls.has(urlKey)) {
+          recordRejectedResult(rejected, item, { rule: 'duplicate-listing', label: 'Same listing', reason: `This ${retailer} listing is already shown` });
           return;
         }
         
-        // REMOVED: All price extraction logic - focus on retailer discovery only
-        
-        // Mark retailer as added
-        addedRetailers.add(retailerKey);
-        
-        console.log(`  → Processing ${retailer}...`);
+        // Mark listing as added
+        addedUrls.add(urlKey);
         
         // Extract product info from API result
         const resultTitle = item.title || currentProduct.title;
-        const resultImageUrl = extractImageUrl(item);
+        const resultImageUrl = item.imageUrl || null;
+        
+        // Prices are only used for per-unit comparison; the sticker price isn't shown
+        const offer = item.offer || null;
+        const localCurrency = getCurrencyForUrl(item.url || item.displayLink);
+        const listedPrice = offer && offer.price != null && offer.currency
+          ? { amount: offer.price, currency: offer.currency }
+          : (offer ? null : parseLocalizedPrice(item.priceText || '', localCurrency));
+        const resultPrice = listedPrice ? listedPrice.amount : null;
+        const resultQuantity = parseQuantityText(resultTitle);
+        const resultUnitPrice = toRegionUnitPrice(parseUnitPriceText(item.snippet || '', localCurrency) ||
+          computeUnitPrice(resultPrice, resultQuantity, listedPrice ? listedPrice.currency : localCurrency));
         
-        // Add the result - no price data
         results.push({
           retailer: retailer,
-          url: item.link || '',
+          retailerKey: retailerKey,
+          url: item.url || '',
           imageUrl: resultImageUrl,
           title: resultTitle,
+          price: resultPrice,
+          currency: listedPrice ? listedPrice.currency : null,
+          quantity: resultQuantity,
+          unitPrice: resultUnitPrice,
+          availability: offer ? offer.availability : null,
+          rating: offer ? offer.rating : null,
+          reviewCount: offer ? offer.reviewCount : null,
+          condition: offer ? offer.condition : null,
+          seller: offer ? offer.seller : null,
+          offer: offer,
+          providers: item.providers || [item.provider],
+          strategy: item.strategy || null,
           isCurrentPage: false
         });
-        
-        console.log(`  → Added ${retailer} to results`);
       } catch (err) {
         console.warn('Error parsing shopping result:', err, item);
         // Continue with next item
@@ -623,463 +1025,30 @@ function parseShoppingResults(apiData, currentProduct) {
     
     console.log('Final results count:', results.length);
   } else {
-    console.warn('No items array in API response:', apiData);
+    console.warn('No search results to process');
   }
   
   return results;
 }
 
 /**
- * Comprehensive retailer mapping for 20+ major retailers
- * Maps hostname patterns to display names
- */
-const RETAILER_MAP = {
-  // Major General Retailers
-  'amazon': 'Amazon',
-  'target': 'Target',
-  'walmart': 'Walmart',
-  'costco': 'Costco',
-  'bestbuy': 'Best Buy',
-  'best-buy': 'Best Buy',
-  'ebay': 'eBay',
-  'kroger': 'Kroger',
-  'walgreens': 'Walgreens',
-  'frysfood': "Fry's Food",
-  'homedepot': 'Home Depot',
-  'home-depot': 'Home Depot',
-  'lowes': "Lowe's",
-  'kohls': "Kohl's",
-  'macys': "Macy's",
-  'jcpenney': "JCPenney",
-  'jc-penney': "JCPenney",
-  'sears': 'Sears',
-  'overstock': 'Overstock',
-  'wayfair': 'Wayfair',
-  'zappos': 'Zappos',
-  
-  // Electronics & Tech
-  'newegg': 'Newegg',
-  'bhphotovideo': 'B&H Photo',
-  'bhphoto': 'B&H Photo',
-  'microcenter': 'Micro Center',
-  'micro-center': 'Micro Center',
-  'frys': "Fry's Electronics",
-  'apple': 'Apple',
-  'microsoft': 'Microsoft Store',
-  
-  // Office Supplies
-  'staples': 'Staples',
-  'officedepot': 'Office Depot',
-  'office-depot': 'Office Depot',
-  'officemax': 'OfficeMax',
-  
-  // Sports & Outdoor
-  'rei': 'REI',
-  'dickssportinggoods': "Dick's Sporting Goods",
-  'dicks': "Dick's Sporting Goods",
-  'academy': "Academy Sports",
-  
-  // Pets
-  'chewy': 'Chewy',
-  'petco': 'Petco',
-  'petsmart': 'PetSmart',
-  'pet-smart': 'PetSmart',
-  
-  // Home & Furniture
-  'bedbathandbeyond': "Bed Bath & Beyond",
-  'bed-bath-and-beyond': "Bed Bath & Beyond",
-  'crateandbarrel': 'Crate & Barrel',
-  'crate-and-barrel': 'Crate & Barrel',
-  'potterybarn': 'Pottery Barn',
-  'pottery-barn': 'Pottery Barn',
-  'westelm': 'West Elm',
-  'west-elm': 'West Elm',
-  'ikea': 'IKEA',
-  
-  // Specialty
-  'gamestop': 'GameStop',
-  'game-stop': 'GameStop',
-  'ulta': 'Ulta Beauty',
-  'sephora': 'Sephora',
-  'nordstrom': 'Nordstrom',
-  'nordstromrack': "Nordstrom Rack",
-  'nordstrom-rack': "Nordstrom Rack",
-  
-  // Brand Websites
-  'nike': 'Nike',
-  'adidas': 'Adidas',
-  'sony': 'Sony',
-  'samsung': 'Samsung',
-  'dell': 'Dell',
-  'hp': 'HP',
-  'lenovo': 'Lenovo',
-  'jbl': 'JBL',
-  'lg': 'LG',
-  'tcl': 'TCL',
-};
+ * Keep a candidate parseShoppingResults left out, for the "Filtered out" drawer
+ */
+function recordRejectedResult(rejected, item, verdict) {
+  if (!rejected) return;
+  rejected.push({
+    title: item.title || '',
+    url: item.url || '',
+    displayLink: item.displayLink || '',
+    strategy: item.strategy || null,
+    rule: verdict.rule,
+    label: verdict.label,
+    reason: verdict.reason
+  });
+}
 
 /**
- * Extract retailer name from URL using comprehensive mapping
- */
-function extractRetailerName(url) {
-  try {
-    if (!url) return 'Other Retailer';
-    
-    let hostname;
-    
-    // Handle both full URLs and hostnames without protocol
-    if (url.startsWith('http://') || url.startsWith('https://')) {
-      hostname = new URL(url).hostname.toLowerCase();
-    } else {
-      // It's just a hostname like "www.amazon.com", use it directly
-      hostname = url.toLowerCase().replace(/^www\./, '');
-    }
-    
-    // Remove www. prefix if present for matching
-    hostname = hostname.replace(/^www\./, '');
-    
-    // Check against retailer map by iterating through known patterns
-    for (const [pattern, displayName] of Object.entries(RETAILER_MAP)) {
-      if (hostname.includes(pattern)) {
-        return displayName;
-      }
-    }
-    
-    // Extract domain name as fallback (e.g., "www.kohls.com" -> "Kohl's")
-    const parts = hostname.split('.');
-    if (parts.length >= 2) {
-      const domain = parts[parts.length - 2]; // e.g., "kohls" from "www.kohls.com"
-      
-      // Check if domain matches any known pattern
-      for (const [pattern, displayName] of Object.entries(RETAILER_MAP)) {
-        if (domain.includes(pattern)) {
-          return displayName;
-        }
-      }
-      
-      // Capitalize first letter and handle special cases
-      const specialCases = {
-        'kohls': "Kohl's",
-        'macys': "Macy's",
-        'jcpenney': "JCPenney",
-        'dicks': "Dick's",
-        'bedbathandbeyond': "Bed Bath & Beyond",
-      };
-      
-      if (specialCases[domain]) {
-        return specialCases[domain];
-      }
-      
-      // Convert camelCase or hyphenated domains to readable format
-      const readable = domain
-        .replace(/([a-z])([A-Z])/g, '$1 $2') // camelCase -> camel Case
-        .replace(/-/g, ' ') // hyphens -> spaces
-        .split(' ')
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-        .join(' ');
-      
-      return readable || domain.charAt(0).toUpperCase() + domain.slice(1);
-    }
-    
-    return 'Other Retailer';
-  } catch (e) {
-    console.warn('Error extracting retailer from:', url, e);
-    // Try to extract from the string directly if URL parsing fails
-    const match = url.match(/(?:www\.)?([^.]+)\.[^.]+/);
-    if (match && match[1]) {
-      const domain = match[1].toLowerCase();
-      // Check against retailer map
-      for (const [pattern, displayName] of Object.entries(RETAILER_MAP)) {
-        if (domain.includes(pattern)) {
-          return displayName;
-        }
-      }
-      // Special cases
-      if (domain === 'kohls') return "Kohl's";
-      return domain.charAt(0).toUpperCase() + domain.slice(1);
-    }
-    return 'Other Retailer';
-  }
-}
-
-/**
- * Parse price text - USD ONLY (strict $ symbol required)
- * This prevents currency confusion (e.g., PHP peso showing as $2400)
- */
-function parsePriceTextUSDOnly(text) {
-  if (!text || typeof text !== "string") return null;
-  
-  // Only accept prices with $ symbol (USD)
-  // Reject other currency symbols: £, €, ¥, ₱, etc.
-  const usdPriceRegex = /\$\s*([0-9]{1,3}(?:[, \u00A0][0-9]{3})*(?:\.[0-9]{2})?|[0-9]+(?:\.[0-9]{2})?)/;
-  const match = text.match(usdPriceRegex);
-  
-  if (!match || !match[1]) return null;
-  
-  // Remove commas and spaces
-  const cleaned = match[1].replace(/[, \u00A0]/g, "");
-  const value = parseFloat(cleaned);
-  
-  if (isNaN(value) || value <= 0) return null;
-  return value;
-}
-
-/**
- * Extract price from shopping result item - USD ONLY
- */
-function extractPriceFromItem(item, referencePrice = null) {
-  // 1. Try Structured Data (Rich Snippets) - Most Reliable
-  if (item.pagemap) {
-    // Try offer/product schemas - check for USD currency
-    if (item.pagemap.offer) {
-      const offers = Array.isArray(item.pagemap.offer) ? item.pagemap.offer : [item.pagemap.offer];
-      for (const offer of offers) {
-        // Check if currency is USD
-        if (offer.price && (offer.priceCurrency === 'USD' || !offer.priceCurrency || offer.priceCurrency === '')) {
-          const priceStr = String(offer.price);
-          // If it has $, parse it; otherwise assume it's a number
-          if (priceStr.includes('$')) {
-            return priceStr;
-          } else {
-            // Structured data often provides just the number, prepend $
-            return `$${priceStr}`;
-          }
-        }
-      }
-    }
-    if (item.pagemap.product) {
-      const products = Array.isArray(item.pagemap.product) ? item.pagemap.product : [item.pagemap.product];
-      for (const product of products) {
-        if (product.offers && product.offers.price) {
-          const priceCurrency = product.offers.priceCurrency || product.priceCurrency || '';
-          if (priceCurrency === 'USD' || !priceCurrency) {
-            const priceStr = String(product.offers.price);
-            return priceStr.includes('$') ? priceStr : `$${priceStr}`;
-          }
-        }
-        if (product.price) {
-          const priceStr = String(product.price);
-          // Try to validate it's reasonable if we have reference
-          if (referencePrice) {
-            const val = parseFloat(priceStr.replace(/[$,]/g, ''));
-            if (!isNaN(val) && val > 0 && val / referencePrice < 50 && val / referencePrice > 0.01) {
-              return priceStr.includes('$') ? priceStr : `$${priceStr}`;
-            }
-          } else {
-            return priceStr.includes('$') ? priceStr : `$${priceStr}`;
-          }
-        }
-      }
-    }
-    
-    // Try Open Graph / Metatags (Common in many retailers)
-    if (item.pagemap.metatags) {
-      const tags = Array.isArray(item.pagemap.metatags) ? item.pagemap.metatags : [item.pagemap.metatags];
-      for (const tag of tags) {
-        // Check for USD currency
-        if (tag['og:price:currency'] && tag['og:price:currency'] !== 'USD') continue;
-        if (tag['product:price:currency'] && tag['product:price:currency'] !== 'USD') continue;
-        
-        if (tag['og:price:amount']) {
-          const priceStr = String(tag['og:price:amount']);
-          return priceStr.includes('$') ? priceStr : `$${priceStr}`;
-        }
-        if (tag['product:price:amount']) {
-          const priceStr = String(tag['product:price:amount']);
-          return priceStr.includes('$') ? priceStr : `$${priceStr}`;
-        }
-        if (tag['twitter:data1'] && tag['twitter:label1'] === 'Price' && tag['twitter:data1'].includes('$')) {
-          return tag['twitter:data1'];
-        }
-      }
-    }
-  }
-
-  // 2. Text Extraction Strategy - STRICT USD ONLY ($ symbol required)
-  // Combine title and snippet for search
-  const textToSearch = (item.title + " " + (item.snippet || "") + " " + (item.htmlSnippet || "")).replace(/\s+/g, " ");
-  
-  // STRICT regex: ONLY match prices with $ symbol (USD)
-  // Negative lookahead to avoid "off", "discount", "saved" immediately after
-  // Also avoid prices that look like dates or other numbers
-  const priceRegex = /\$\s*([0-9]{1,3}(?:[,][0-9]{3})*(?:\.[0-9]{2})?|[0-9]+(?:\.[0-9]{2})?)(?!\s*(?:off|discount|saved|cash back|shipping|tax))/gi;
-  
-  const matches = [...textToSearch.matchAll(priceRegex)];
-  
-  if (matches.length > 0) {
-    const candidates = matches.map(m => m[0].trim()); // Get the full strings "$10.00"
-    
-    // If we have a reference price, pick the candidate closest to it
-    if (referencePrice && candidates.length > 1) {
-      let bestCandidate = candidates[0];
-      let minDiff = Number.MAX_VALUE;
-      
-      for (const candidate of candidates) {
-        const val = parsePriceTextUSDOnly(candidate);
-        if (val !== null && val > 0) {
-          // Reject prices that are way off (currency confusion)
-          const ratio = val / referencePrice;
-          if (ratio > 50 || ratio < 0.01) continue;
-          
-          const diff = Math.abs(val - referencePrice);
-          if (diff < minDiff) {
-            minDiff = diff;
-            bestCandidate = candidate;
-          }
-        }
-      }
-      return bestCandidate;
-    }
-    
-    return candidates[0];
-  }
-
-  // Fallback: Try decoding HTML snippet if simple regex failed
-  if (item.htmlSnippet) {
-    const decoded = item.htmlSnippet
-      .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&nbsp;/g, ' ')
-      .replace(/&#36;/g, '$'); // Decode $ entity
-      
-    const matchesHtml = [...decoded.matchAll(priceRegex)];
-    if (matchesHtml.length > 0) {
-      return matchesHtml[0][0].trim();
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Extract price from text only (fallback when structured data unavailable)
- * This is less reliable than structured data but better than nothing
- */
-function extractPriceFromItemTextOnly(item, referencePrice = null) {
-  // ONLY use this as fallback - structured data is preferred
-  const textToSearch = (item.title + " " + (item.snippet || "") + " " + (item.htmlSnippet || "")).replace(/\s+/g, " ");
-  
-  // STRICT regex: ONLY match prices with $ symbol (USD)
-  const priceRegex = /\$\s*([0-9]{1,3}(?:[,][0-9]{3})*(?:\.[0-9]{2})?|[0-9]+(?:\.[0-9]{2})?)(?!\s*(?:off|discount|saved|cash back|shipping|tax))/gi;
-  
-  const matches = [...textToSearch.matchAll(priceRegex)];
-  
-  if (matches.length > 0) {
-    const candidates = matches.map(m => m[0].trim());
-    
-    if (referencePrice && candidates.length > 1) {
-      let bestCandidate = candidates[0];
-      let minDiff = Number.MAX_VALUE;
-      
-      for (const candidate of candidates) {
-        const val = parsePriceTextUSDOnly(candidate);
-        if (val !== null && val > 0) {
-          // Reject prices that are way off (currency confusion)
-          const ratio = val / referencePrice;
-          if (ratio > 50 || ratio < 0.01) continue;
-          
-          const diff = Math.abs(val - referencePrice);
-          if (diff < minDiff) {
-            minDiff = diff;
-            bestCandidate = candidate;
-          }
-        }
-      }
-      return bestCandidate;
-    }
-    
-    return candidates[0];
-  }
-  
-  // Fallback: Try decoding HTML snippet if simple regex failed
-  if (item.htmlSnippet) {
-    const decoded = item.htmlSnippet
-      .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&nbsp;/g, ' ')
-      .replace(/&#36;/g, '$'); // Decode $ entity
-      
-    const matchesHtml = [...decoded.matchAll(priceRegex)];
-    if (matchesHtml.length > 0) {
-      return matchesHtml[0][0].trim();
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Extract image URL from shopping result
- */
-function extractImageUrl(item) {
-  // Priority 1: Check for Open Graph image in metatags (usually the primary product image)
-  if (item.pagemap && item.pagemap.metatags) {
-    const metatags = Array.isArray(item.pagemap.metatags) ? item.pagemap.metatags : [item.pagemap.metatags];
-    for (const meta of metatags) {
-      if (meta['og:image']) {
-        return meta['og:image'];
-      }
-      // Also check for Twitter card image as fallback
-      if (meta['twitter:image']) {
-        return meta['twitter:image'];
-      }
-    }
-  }
-  
-  // Priority 2: Check cse_image (first one should be primary)
-  if (item.pagemap && item.pagemap.cse_image) {
-    const images = Array.isArray(item.pagemap.cse_image) ? item.pagemap.cse_image : [item.pagemap.cse_image];
-    if (images.length > 0 && images[0].src) {
-      return images[0].src;
-    }
-  }
-  
-  // Priority 3: Check product.image (first one)
-  if (item.pagemap && item.pagemap.product) {
-    const products = Array.isArray(item.pagemap.product) ? item.pagemap.product : [item.pagemap.product];
-    for (const product of products) {
-      if (product.image) {
-        return Array.isArray(product.image) ? product.image[0] : product.image;
-      }
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Generate fallback results when API is not available
- */
-function generateFallbackResults(productInfo) {
-  return [
-    {
-      retailer: productInfo.retailer,
-      price: productInfo.price,
-      url: productInfo.url,
-      imageUrl: productInfo.imageUrl,
-      title: productInfo.title,
-      availability: 'In Stock',
-      isCurrentPage: true
-    },
-    {
-      retailer: 'Target',
-      price: productInfo.price * 0.95,
-      url: `https://www.target.com/s?searchTerm=${encodeURIComponent(productInfo.title.substring(0, 50))}`,
-      imageUrl: productInfo.imageUrl,
-      title: productInfo.title,
-      availability: 'Check Store',
-      isCurrentPage: false
-    },
-    {
-      retailer: 'Walmart',
-      price: productInfo.price * 1.02,
-      url: `https://www.walmart.com/search?q=${encodeURIComponent(productInfo.title.substring(0, 50))}`,
-      imageUrl: productInfo.imageUrl,
-      title: productInfo.title,
-      availability: 'Check Store',
-      isCurrentPage: false
-    }
-  ];
-}
-
-/**
- * Calculate Levenshtein distance between two strings
+ * Calculate Levenshtein distance between two strings
  */
 function levenshteinDistance(str1, str2) {
   const len1 = str1.length;
@@ -1145,12 +1114,58 @@ function extractModelNumbers(title) {
   return Array.from(models);
 }
 
+/**
+ * Highest similarity a result can score when it is a different variant of the
+ * current product, keeping it below the same-product threshold (0.65)
+ */
+const VARIANT_MISMATCH_MAX_SIMILARITY = 0.6;
+
+/**
+ * Find a variant dimension where a result title disagrees with the current product
+ * e.g. current 128GB vs result "... 256GB ...". Returns { dimension, current, other } or null
+ */
+function findVariantConflict(currentProduct, otherTitle) {
+  const current = (currentProduct && currentProduct.variant) || {};
+  const other = parseVariantAttributesFromTitle(otherTitle);
+  
+  for (const [dimension, value] of Object.entries(other)) {
+    if (!current[dimension]) continue;
+    if (normalizeVariantValue(dimension, current[dimension]) !== normalizeVariantValue(dimension, value)) {
+      return { dimension, current: current[dimension], other: value };
+    }
+  }
+  return null;
+}
+
 /**
  * Calculate title similarity to determine if products are the same or similar
  * Returns a score between 0 and 1 (1 = identical, 0 = completely different)
+ * A different variant of the same product (capacity, size, pack count), or a
+ * result naming a different verified GTIN, is capped below the same-product threshold.
+ * @param {string|null} resultGtin - GTIN-14 of the result's Offer (structured data), if any
+ */
+function calculateTitleSimilarity(title1, title2, currentProduct = null, resultGtin = null) {
+  // A verified GTIN in the result's structured data or title settles it either way
+  if (currentProduct && currentProduct.gtin) {
+    const resultGtins = resultGtin ? [resultGtin] : findGtinsInText(title2);
+    if (resultGtins.includes(currentProduct.gtin)) return 1.0;
+    if (resultGtins.length > 0) {
+      return Math.min(calculateBaseTitleSimilarity(title1, title2, currentProduct), VARIANT_MISMATCH_MAX_SIMILARITY);
+    }
+  }
+  
+  const score = calculateBaseTitleSimilarity(title1, title2, currentProduct);
+  if (currentProduct && findVariantConflict(currentProduct, title2)) {
+    return Math.min(score, VARIANT_MISMATCH_MAX_SIMILARITY);
+  }
+  return score;
+}
+
+/**
+ * Title similarity ignoring variants
  * Uses hybrid scoring with multiple algorithms for better accuracy
  */
-function calculateTitleSimilarity(title1, title2, currentProduct = null) {
+function calculateBaseTitleSimilarity(title1, title2, currentProduct = null) {
   if (!title1 || !title2) return 0;
   
   const normalize = (str) => str.toLowerCase()
@@ -1296,56 +1311,53 @@ function calculateTitleSimilarity(title1, title2, currentProduct = null) {
  * @param {Object} currentProduct - Current product info
  * @param {HTMLElement} modal - Modal element
  * @param {boolean} isCached - Whether results are from cache
+ * @param {string} cacheNote - Shown with the cache indicator (e.g. expired results in cache-only mode)
  */
-function displayComparisonResults(results, currentProduct, modal, isCached = false) {
+function displayComparisonResults(results, currentProduct, modal, isCached = false, cacheNote = '') {
   const body = modal.querySelector('#supershopper-modal-body');
   if (!body) return;
   
-  // Categorize results into same vs similar products
-  const sameProducts = [];
-  const similarProducts = [];
-  
-  results.forEach(result => {
-    if (result.isCurrentPage) {
-      // Current page always goes in "same" group
-      sameProducts.push(result);
-    } else {
-      // Calculate similarity to current product (pass currentProduct for brand matching)
-      const similarity = calculateTitleSimilarity(currentProduct.title, result.title, currentProduct);
-      
-      // Lower threshold to 0.65 to catch more same products (they often have slightly different titles)
-      // Model number matches will push this over 0.95 anyway
-      if (similarity > 0.65) {  // CHANGED: from 0.70 to 0.65
-        sameProducts.push({ ...result, similarity });
-      } else {
-        similarProducts.push({ ...result, similarity });
-      }
-    }
-  });
+  const { sameProducts, similarProducts } = groupComparisonResults(results, currentProduct);
   
   // Sort similar products by similarity (highest first)
   similarProducts.sort((a, b) => b.similarity - a.similarity);
   
+  // Unit price, availability and rating columns are only shown when some result has them
+  const columns = getSameProductColumns(results, currentProduct);
+  const showUnitPrice = columns.unitPrice;
+  
   // Get unique retailer names for filter dropdown
   const allRetailers = [...new Set(results.map(r => r.retailer).filter(Boolean))].sort();
   
+  // Demo mode rows come from bundled recordings and must never read as live listings
+  const isDemo = results.some(r => r.isDemo);
+  
+  // Retailer rows are grouped by store type, the product category's stores first
+  const category = detectProductCategory(currentProduct);
+  
   // Store original results in data attribute for filtering
   const containerId = 'supershopper-results-container-' + Date.now();
   
   // Create comparison container
   let html = `
     <div class="supershopper-comparison-container" id="${containerId}">
-      ${isCached ? '<div class="supershopper-cache-indicator" title="Results from cache (may be up to 24 hours old)">📦 Cached results</div>' : ''}
+      ${isDemo ? `<div class="supershopper-demo-banner">
+        <span class="supershopper-demo-badge">DEMO</span>
+        Recorded sample search results, not live listings or prices. Turn off demo mode in Options to search for real.
+        <button class="supershopper-open-options-btn">Options</button>
+      </div>` : ''}
+      ${isCached ? `<div class="supershopper-cache-indicator" title="${escapeAttribute(cacheNote || 'Results from cache (may be up to 24 hours old)')}">📦 Cached results${cacheNote ? ' (daily search limit reached)' : ''}</div>` : ''}
       <div class="supershopper-product-header">
         <h3 class="supershopper-product-title">${escapeHtml(currentProduct.title)}</h3>
-        ${currentProduct.imageUrl ? `<img src="${escapeUrlForAttribute(currentProduct.imageUrl)}" alt="${escapeHtml(currentProduct.title)}" class="supershopper-product-image" />` : ''}
+        ${category ? `<div class="supershopper-category-text">Category: ${escapeHtml(category.label)} <span>(from the page's ${category.source === 'breadcrumbs' ? 'breadcrumbs' : 'title'})</span></div>` : ''}
+        ${currentProduct.imageUrl ? `<img src="${escapeUrlForAttribute(currentProduct.imageUrl)}" alt="${escapeAttribute(currentProduct.title)}" class="supershopper-product-image" />` : ''}
       </div>
       <div class="supershopper-controls" data-container-id="${containerId}">
         <div class="supershopper-filter-group">
           <label for="supershopper-filter-retailer">Filter:</label>
           <select id="supershopper-filter-retailer" class="supershopper-filter-select">
             <option value="all">All retailers</option>
-            ${allRetailers.map(retailer => `<option value="${escapeHtml(retailer)}">${escapeHtml(retailer)}</option>`).join('')}
+            ${allRetailers.map(retailer => `<option value="${escapeAttribute(retailer)}">${escapeHtml(retailer)}</option>`).join('')}
           </select>
         </div>
         <div class="supershopper-sort-group">
@@ -1354,10 +1366,11 @@ function displayComparisonResults(results, currentProduct, modal, isCached = fal
             <option value="relevance">Relevance (default)</option>
             <option value="retailer-az">Retailer name (A-Z)</option>
             <option value="retailer-za">Retailer name (Z-A)</option>
+            ${showUnitPrice ? '<option value="unit-price">Unit price (low to high)</option>' : ''}
           </select>
         </div>
       </div>
-      <div class="supershopper-results-wrapper" data-original-same="${JSON.stringify(sameProducts).replace(/"/g, '&quot;')}" data-original-similar="${JSON.stringify(similarProducts).replace(/"/g, '&quot;')}" data-current-product="${JSON.stringify(currentProduct).replace(/"/g, '&quot;')}">
+      <div class="supershopper-results-wrapper" data-original-same="${JSON.stringify(sameProducts).replace(/"/g, '&quot;')}" data-original-similar="${JSON.stringify(similarProducts).replace(/"/g, '&quot;')}" data-current-product="${JSON.stringify(currentProduct).replace(/"/g, '&quot;')}" data-columns="${JSON.stringify(columns).replace(/"/g, '&quot;')}">
   `;
   
   // SECTION 1: Same Product (simpler table, no images needed)
@@ -1366,34 +1379,11 @@ function displayComparisonResults(results, currentProduct, modal, isCached = fal
       <div class="supershopper-section">
         <h4 class="supershopper-section-title">Available at these retailers</h4>
         <table class="supershopper-comparison-table">
-          <thead>
-            <tr>
-              <th>Retailer</th>
-              <th>Action</th>
-            </tr>
-          </thead>
+          ${renderSameProductHeader(columns)}
           <tbody>
+            ${renderSameProductRows(sameProducts, columns, category)}
     `;
     
-    sameProducts.forEach(result => {
-      html += `
-        <tr class="${result.isCurrentPage ? 'supershopper-current-row' : ''}">
-          <td>
-            <div class="supershopper-retailer-cell">
-              ${result.isCurrentPage ? '<span class="supershopper-price-indicator same">✓</span>' : ''}
-              <strong>${escapeHtml(result.retailer)}</strong>
-            </div>
-          </td>
-          <td>
-            ${result.isCurrentPage 
-              ? '<span class="supershopper-current-badge">You are here</span>' 
-              : `<a href="${escapeUrlForAttribute(result.url)}" target="_blank" class="supershopper-visit-btn">Visit Store</a>`
-            }
-          </td>
-        </tr>
-      `;
-    });
-    
     html += `
           </tbody>
         </table>
@@ -1410,16 +1400,7 @@ function displayComparisonResults(results, currentProduct, modal, isCached = fal
     `;
     
     similarProducts.forEach(result => {
-      html += `
-        <div class="supershopper-similar-product-card">
-          ${result.imageUrl ? `<img src="${escapeUrlForAttribute(result.imageUrl)}" alt="${escapeHtml(result.title)}" class="supershopper-similar-product-image" />` : '<div class="supershopper-similar-product-image-placeholder">No image</div>'}
-          <div class="supershopper-similar-product-info">
-            <div class="supershopper-similar-product-title">${escapeHtml(result.title)}</div>
-            <div class="supershopper-similar-product-retailer">${escapeHtml(result.retailer)}</div>
-            <a href="${escapeUrlForAttribute(result.url)}" target="_blank" class="supershopper-visit-btn">Visit Store</a>
-          </div>
-        </div>
-      `;
+      html += renderSimilarProductCard(result, showUnitPrice ? currentProduct.unitPrice : null);
     });
     
     html += `
@@ -1451,10 +1432,414 @@ function displayComparisonResults(results, currentProduct, modal, isCached = fal
     });
   }
   
+  const optionsBtn = body.querySelector('.supershopper-open-options-btn');
+  if (optionsBtn) {
+    optionsBtn.addEventListener('click', openExtensionOptions);
+  }
+  
+  // Retailer rows expand to their other listings; delegated, as the table is redrawn by filters and paging
+  resultsWrapper.addEventListener('click', (event) => {
+    const toggle = event.target.closest('.supershopper-listings-toggle');
+    if (!toggle) return;
+    setListingsExpanded(toggle.closest('tbody'), toggle.dataset.retailerKey, toggle.getAttribute('aria-expanded') !== 'true');
+  });
+  
   // Add smooth scroll to top
   body.scrollTop = 0;
 }
 
+/**
+ * Split results into same-product rows and similar-product cards (unsorted)
+ */
+function groupComparisonResults(results, currentProduct) {
+  const sameProducts = [];
+  const similarProducts = [];
+  
+  results.forEach(result => {
+    if (result.isCurrentPage) {
+      // Current page always goes in "same" group
+      sameProducts.push(result);
+    } else {
+      // Calculate similarity to current product (pass currentProduct for brand matching)
+      const similarity = calculateTitleSimilarity(currentProduct.title, result.title, currentProduct, result.offer?.gtin);
+      const variantConflict = findVariantConflict(currentProduct, result.title);
+      
+      // Lower threshold to 0.65 to catch more same products (they often have slightly different titles)
+      // Model number matches will push this over 0.95 anyway
+      if (similarity > SAME_PRODUCT_MIN_SIMILARITY) {  // CHANGED: from 0.70 to 0.65
+        sameProducts.push({ ...result, similarity });
+      } else {
+        similarProducts.push({ ...result, similarity, variantConflict });
+      }
+    }
+  });
+  
+  return { sameProducts, similarProducts };
+}
+
+/**
+ * Add another page's results to the open modal without re-rendering it
+ * Rows and cards are appended in place; the filter and sort data is extended, and
+ * with a filter or sort other than the default the sections are redrawn from it.
+ */
+function appendComparisonResults(results, currentProduct, modal) {
+  const body = modal.querySelector('#supershopper-modal-body');
+  const resultsWrapper = body && body.querySelector('.supershopper-results-wrapper');
+  if (!resultsWrapper || results.length === 0) return;
+  
+  const { sameProducts, similarProducts } = groupComparisonResults(results, currentProduct);
+  similarProducts.sort((a, b) => b.similarity - a.similarity);
+  const readStored = (name, fallback = '[]') => JSON.parse((resultsWrapper.getAttribute(name) || fallback).replace(/&quot;/g, '"'));
+  resultsWrapper.setAttribute('data-original-same', JSON.stringify([...readStored('data-original-same'), ...sameProducts]));
+  resultsWrapper.setAttribute('data-original-similar', JSON.stringify([...readStored('data-original-similar'), ...similarProducts]));
+  
+  // The first availability or rating to turn up adds its column, which means redrawing the table
+  const columns = readStored('data-columns', '{}');
+  const showUnitPrice = columns.unitPrice === true;
+  const added = getSameProductColumns(results, currentProduct);
+  const newColumn = (added.availability && !columns.availability) || (added.rating && !columns.rating);
+  if (newColumn) {
+    columns.availability = columns.availability || added.availability;
+    columns.rating = columns.rating || added.rating;
+    resultsWrapper.setAttribute('data-columns', JSON.stringify(columns));
+  }
+  
+  // New retailers join the filter dropdown in the same order displayComparisonResults sorts them
+  const filterSelect = body.querySelector('#supershopper-filter-retailer');
+  const sortSelect = body.querySelector('#supershopper-sort-by');
+  if (filterSelect) {
+    const listed = new Set([...filterSelect.options].map(option => option.value));
+    results.map(r => r.retailer).filter(retailer => retailer && !listed.has(retailer)).forEach(retailer => {
+      listed.add(retailer);
+      const option = document.createElement('option');
+      option.value = retailer;
+      option.textContent = retailer;
+      const next = [...filterSelect.options].find(existing => existing.value !== 'all' && existing.value > retailer);
+      filterSelect.insertBefore(option, next || null);
+    });
+  }
+  
+  if (newColumn || (filterSelect && filterSelect.value !== 'all') || (sortSelect && sortSelect.value !== 'relevance')) {
+    applyFiltersAndSort(body, resultsWrapper, filterSelect.value, sortSelect.value, currentProduct);
+    return;
+  }
+  
+  const tbody = resultsWrapper.querySelector('.supershopper-comparison-table tbody');
+  if (tbody && sameProducts.length > 0) {
+    // New retailers go at the end of their retailer group; a group not shown yet, or a
+    // new listing for a retailer already shown, means redrawing the table
+    const lastRowOf = (groupId) => [...tbody.querySelectorAll(`tr[data-retailer-group="${groupId}"]`)].pop();
+    const shownKeys = new Set([...tbody.querySelectorAll('tr[data-retailer-key]')].map(row => row.dataset.retailerKey));
+    const retailers = groupListingsByRetailer(sameProducts);
+    if (retailers.every(listings => !shownKeys.has(getListingRetailerKey(listings[0])) && lastRowOf(getRetailerGroup(listings[0].retailer).id))) {
+      retailers.forEach(listings => {
+        lastRowOf(getRetailerGroup(listings[0].retailer).id).insertAdjacentHTML('afterend', renderRetailerRows(listings, columns));
+      });
+    } else {
+      const expanded = [...tbody.querySelectorAll('.supershopper-listings-toggle[aria-expanded="true"]')].map(toggle => toggle.dataset.retailerKey);
+      tbody.innerHTML = renderSameProductRows(readStored('data-original-same'), columns, detectProductCategory(currentProduct));
+      expanded.forEach(key => setListingsExpanded(tbody, key, true));
+    }
+  }
+  
+  if (similarProducts.length > 0) {
+    const cards = similarProducts
+      .map(result => renderSimilarProductCard(result, showUnitPrice ? currentProduct.unitPrice : null))
+      .join('');
+    const grid = resultsWrapper.querySelector('.supershopper-similar-products');
+    if (grid) {
+      grid.insertAdjacentHTML('beforeend', cards);
+    } else {
+      resultsWrapper.insertAdjacentHTML('beforeend', `
+        <div class="supershopper-section">
+          <h4 class="supershopper-section-title">Similar products</h4>
+          <div class="supershopper-similar-products">${cards}</div>
+        </div>
+      `);
+    }
+  }
+}
+
+/**
+ * Optional columns of the "Available at these retailers" table
+ * Each is shown when at least one other retailer's listing has the data.
+ * @returns {{ unitPrice: boolean, availability: boolean, rating: boolean }}
+ */
+function getSameProductColumns(results, currentProduct) {
+  const others = results.filter(result => !result.isCurrentPage);
+  return {
+    unitPrice: others.some(result => isUnitPriceComparable(currentProduct.unitPrice, result.unitPrice)),
+    availability: others.some(result => result.availability),
+    rating: others.some(result => result.rating != null)
+  };
+}
+
+/**
+ * Number of cells in a row of the "Available at these retailers" table
+ */
+function countSameProductColumns(columns) {
+  return 2 + ['unitPrice', 'availability', 'rating'].filter(name => columns[name]).length;
+}
+
+/**
+ * Header of the "Available at these retailers" table
+ */
+function renderSameProductHeader(columns) {
+  return `<thead>
+            <tr>
+              <th>Retailer</th>
+              ${columns.unitPrice ? '<th>Unit price</th>' : ''}
+              ${columns.availability ? '<th>Availability</th>' : ''}
+              ${columns.rating ? '<th>Rating</th>' : ''}
+              <th>Action</th>
+            </tr>
+          </thead>`;
+}
+
+/**
+ * Rows of the "Available at these retailers" table, the current page first
+ * Each retailer gets one row, its best match, with its other listings folded
+ * under it. With a category, the retailers are grouped by retailer group
+ * (product_categories.js) under a heading row each, unless they all fall in one group.
+ */
+function renderSameProductRows(results, columns, category = null) {
+  const current = results.filter(result => result.isCurrentPage);
+  const retailers = groupListingsByRetailer(results.filter(result => !result.isCurrentPage));
+  const html = current.map(result => renderSameProductRow(result, columns));
+  
+  const groupIds = new Set(retailers.map(listings => getRetailerGroup(listings[0].retailer).id));
+  if (!category || groupIds.size < 2) {
+    return html.concat(retailers.map(listings => renderRetailerRows(listings, columns))).join('');
+  }
+  
+  for (const groupId of getRetailerGroupOrder(category)) {
+    const inGroup = retailers.filter(listings => getRetailerGroup(listings[0].retailer).id === groupId);
+    if (inGroup.length === 0) continue;
+    const label = getRetailerGroup(inGroup[0][0].retailer).label;
+    html.push(`
+    <tr class="supershopper-group-row" data-group-heading="${groupId}">
+      <td colspan="${countSameProductColumns(columns)}">${escapeHtml(label)}</td>
+    </tr>`);
+    inGroup.forEach(listings => html.push(renderRetailerRows(listings, columns)));
+  }
+  return html.join('');
+}
+
+/**
+ * Store a result belongs to; results cached before getRetailerKey existed fall back to the name
+ */
+function getListingRetailerKey(result) {
+  return result.retailerKey || (result.retailer || '').toLowerCase();
+}
+
+/**
+ * Listings per retailer, retailers in the order they first appear and each
+ * retailer's listings best match (highest title similarity) first
+ * @returns {Array<Object[]>}
+ */
+function groupListingsByRetailer(results) {
+  const byRetailer = new Map();
+  results.forEach(result => {
+    const key = getListingRetailerKey(result);
+    if (!byRetailer.has(key)) byRetailer.set(key, []);
+    byRetailer.get(key).push(result);
+  });
+  return [...byRetailer.values()].map(listings =>
+    [...listings].sort((a, b) => (b.similarity || 0) - (a.similarity || 0))
+  );
+}
+
+/**
+ * A retailer's row (its best match) followed by its other listings, collapsed
+ */
+function renderRetailerRows(listings, columns) {
+  const [best, ...more] = listings;
+  return renderSameProductRow(best, columns, more.length) +
+    more.map(result => renderExtraListingRow(result, columns)).join('');
+}
+
+/**
+ * Expand or collapse the other listings under a retailer's row
+ */
+function setListingsExpanded(tbody, retailerKey, expanded) {
+  if (!tbody) return;
+  const rows = [...tbody.querySelectorAll('tr[data-listing-of]')].filter(row => row.dataset.listingOf === retailerKey);
+  rows.forEach(row => { row.hidden = !expanded; });
+  const toggle = [...tbody.querySelectorAll('.supershopper-listings-toggle')].find(button => button.dataset.retailerKey === retailerKey);
+  if (toggle) {
+    toggle.setAttribute('aria-expanded', String(expanded));
+    toggle.textContent = formatListingsToggle(rows.length, expanded);
+  }
+}
+
+/**
+ * "+2 more listings" / "Hide 2 listings"
+ */
+function formatListingsToggle(count, expanded) {
+  const noun = count === 1 ? 'listing' : 'listings';
+  return expanded ? `Hide ${count} ${noun}` : `+${count} more ${noun}`;
+}
+
+/**
+ * Render one row of the "Available at these retailers" table
+ * @param {number} moreListings - Other listings of this retailer, folded under the row
+ */
+function renderSameProductRow(result, columns, moreListings = 0) {
+  const variantSummary = formatVariantSummary(result.variant);
+  const listingSummary = result.isCurrentPage ? formatListingSummary(result) : '';
+  const retailerKey = escapeAttribute(getListingRetailerKey(result));
+  return `
+    <tr class="${result.isCurrentPage ? 'supershopper-current-row' : ''}"${result.isCurrentPage ? '' : ` data-retailer-group="${getRetailerGroup(result.retailer).id}" data-retailer-key="${retailerKey}"`}>
+      <td>
+        <div class="supershopper-retailer-cell">
+          ${result.isCurrentPage ? '<span class="supershopper-price-indicator same">✓</span>' : ''}
+          <strong>${escapeHtml(result.retailer)}</strong>
+          ${renderStrategyBadge(result.strategy)}
+          ${result.isDemo ? '<span class="supershopper-demo-badge">DEMO</span>' : ''}
+          ${!result.isCurrentPage && result.condition && result.condition !== 'new' ? formatListingSummary({ condition: result.condition }) : ''}
+          ${moreListings > 0 ? `<button type="button" class="supershopper-listings-toggle" data-retailer-key="${retailerKey}" aria-expanded="false">${formatListingsToggle(moreListings, false)}</button>` : ''}
+        </div>
+        ${result.isCurrentPage && variantSummary ? `<div class="supershopper-variant-text">${escapeHtml(variantSummary)}</div>` : ''}
+        ${listingSummary ? `<div class="supershopper-listing-text">${listingSummary}</div>` : ''}
+      </td>
+      ${renderOfferCells(result, columns)}
+      <td>
+        ${result.isCurrentPage 
+          ? '<span class="supershopper-current-badge">You are here</span>' 
+          : `<a href="${escapeUrlForAttribute(result.url)}" target="_blank" class="supershopper-visit-btn">Visit Store</a>`
+        }
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * Render another listing of a retailer already in the table, hidden until its row is expanded
+ */
+function renderExtraListingRow(result, columns) {
+  return `
+    <tr class="supershopper-listing-row" data-retailer-group="${getRetailerGroup(result.retailer).id}" data-listing-of="${escapeAttribute(getListingRetailerKey(result))}" hidden>
+      <td>
+        <div class="supershopper-listing-title" title="${escapeAttribute(result.title)}">${escapeHtml(result.title)}</div>
+        ${renderStrategyBadge(result.strategy)}
+        ${result.isDemo ? '<span class="supershopper-demo-badge">DEMO</span>' : ''}
+      </td>
+      ${renderOfferCells(result, columns)}
+      <td>
+        <a href="${escapeUrlForAttribute(result.url)}" target="_blank" class="supershopper-visit-btn">Visit Store</a>
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * Unit price, availability and rating cells of a table row, for the columns shown
+ */
+function renderOfferCells(result, columns) {
+  const availabilityClass = {
+    'In Stock': 'in-stock',
+    'Limited Stock': 'limited',
+    'Out of Stock': 'out-of-stock',
+    'Discontinued': 'out-of-stock'
+  }[result.availability] || '';
+  return `
+      ${columns.unitPrice ? `<td class="supershopper-unit-price">${renderUnitPrice(result.unitPrice)}</td>` : ''}
+      ${columns.availability ? `<td class="supershopper-availability ${availabilityClass}"${renderProvenanceTitle(result, 'availability')}>${escapeHtml(result.availability || '--')}</td>` : ''}
+      ${columns.rating ? `<td class="supershopper-rating"${renderProvenanceTitle(result, 'rating')}>${result.rating != null
+        ? `<span class="supershopper-rating-stars">★</span> ${escapeHtml(result.rating.toFixed(1))}${result.reviewCount != null ? ` <span class="supershopper-review-count">(${escapeHtml(result.reviewCount.toLocaleString('en-US'))})</span>` : ''}`
+        : '--'}</td>` : ''}`;
+}
+
+/**
+ * Unit price text; a converted one is marked "≈" with the listed price in its tooltip
+ */
+function renderUnitPrice(unitPrice) {
+  if (!unitPrice) return '--';
+  if (!unitPrice.convertedFrom) return escapeHtml(formatUnitPrice(unitPrice));
+  const listed = formatUnitPrice({ ...unitPrice, ...unitPrice.convertedFrom });
+  return `<span class="supershopper-converted-price" title="Converted from ${escapeAttribute(listed)} with the exchange rates in Options">≈ ${escapeHtml(formatUnitPrice(unitPrice))}</span>`;
+}
+
+/**
+ * Tooltip saying where an offer field was read, e.g. ' title="From the search result's structured data"'
+ */
+function renderProvenanceTitle(result, field) {
+  const source = result.offer && result.offer.provenance && result.offer.provenance[field];
+  if (!source) return '';
+  const text = source.startsWith('pagemap.') || source === 'metatags'
+    ? "From the search result's structured data"
+    : "From the search result's text";
+  return ` title="${escapeAttribute(text)}"`;
+}
+
+/**
+ * Render one card of the "Similar products" grid
+ * @param {Object} currentUnitPrice - Shown alongside when the card's unit price is comparable
+ */
+function renderSimilarProductCard(result, currentUnitPrice = null) {
+  const conflict = result.variantConflict;
+  const showUnitPrice = isUnitPriceComparable(currentUnitPrice, result.unitPrice);
+  return `
+    <div class="supershopper-similar-product-card">
+      ${result.imageUrl ? `<img src="${escapeUrlForAttribute(result.imageUrl)}" alt="${escapeAttribute(result.title)}" class="supershopper-similar-product-image" />` : '<div class="supershopper-similar-product-image-placeholder">No image</div>'}
+      <div class="supershopper-similar-product-info">
+        <div class="supershopper-similar-product-title">${escapeHtml(result.title)}</div>
+        <div class="supershopper-similar-product-retailer">${escapeHtml(result.retailer)} ${renderStrategyBadge(result.strategy)}${result.isDemo ? ' <span class="supershopper-demo-badge">DEMO</span>' : ''}</div>
+        ${conflict ? `<div class="supershopper-variant-badge" title="Same product, different ${escapeAttribute(conflict.dimension)} (you are viewing ${escapeAttribute(conflict.current)})">Different ${escapeHtml(conflict.dimension)}: ${escapeHtml(conflict.other)}</div>` : ''}
+        ${showUnitPrice ? `<div class="supershopper-unit-price" title="You are viewing ${escapeAttribute(formatUnitPrice(currentUnitPrice))}">${renderUnitPrice(result.unitPrice)}</div>` : ''}
+        <a href="${escapeUrlForAttribute(result.url)}" target="_blank" class="supershopper-visit-btn">Visit Store</a>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Small badge naming the search strategy (UPC, model number, title) that found a result
+ */
+function renderStrategyBadge(strategy) {
+  const info = SEARCH_STRATEGY_LABELS[strategy];
+  if (!info) return '';
+  return `<span class="supershopper-strategy-badge ${strategy}" title="${escapeAttribute(info.title)}">${escapeHtml(info.label)}</span>`;
+}
+
+/**
+ * "256GB · Blue · Size M" summary of a selected variant
+ */
+function formatVariantSummary(variant) {
+  if (!variant) return '';
+  return Object.entries(variant)
+    .filter(([, value]) => value)
+    .map(([dimension, value]) => {
+      if (dimension === 'pack') return `Pack of ${value}`;
+      if (dimension === 'size') return `Size ${value}`;
+      return value;
+    })
+    .join(' · ');
+}
+
+/**
+ * Condition and seller line for the listing being viewed, as HTML
+ * e.g. "[Refurbished] Sold by Acme (third-party) · Fulfilled by Amazon"
+ */
+function formatListingSummary(listing) {
+  const labels = { new: 'New', used: 'Used', refurbished: 'Refurbished', 'open-box': 'Open box' };
+  const parts = [];
+  if (listing.condition && listing.condition !== 'new') {
+    parts.push(`<span class="supershopper-condition-badge">${escapeHtml(labels[listing.condition] || listing.condition)}</span>`);
+  } else if (listing.condition === 'new') {
+    parts.push(escapeHtml(labels.new));
+  }
+  if (listing.seller) {
+    parts.push(`Sold by ${escapeHtml(listing.seller)}${listing.isMarketplace ? ' (third-party)' : ''}`);
+  } else if (listing.isMarketplace) {
+    parts.push('Third-party seller');
+  }
+  if (listing.fulfilledBy && listing.fulfilledBy !== listing.seller) {
+    parts.push(`Fulfilled by ${escapeHtml(listing.fulfilledBy)}`);
+  }
+  return parts.join(' · ');
+}
+
 /**
  * Apply filter and sort to results and re-render
  */
@@ -1465,6 +1850,11 @@ function applyFiltersAndSort(body, resultsWrapper, retailerFilter, sortBy, curre
     const similarAttr = resultsWrapper.getAttribute('data-original-similar') || '[]';
     const originalSame = JSON.parse(sameAttr.replace(/&quot;/g, '"'));
     const originalSimilar = JSON.parse(similarAttr.replace(/&quot;/g, '"'));
+    const currentUnitPrice = currentProduct.unitPrice || null;
+    const columns = JSON.parse((resultsWrapper.getAttribute('data-columns') || '{}').replace(/&quot;/g, '"'));
+    const showUnitPrice = columns.unitPrice === true;
+    // Retailer groups only make sense in relevance order
+    const category = sortBy === 'relevance' ? detectProductCategory(currentProduct) : null;
     
     // Filter results
     let filteredSame = retailerFilter === 'all' 
@@ -1482,6 +1872,11 @@ function applyFiltersAndSort(body, resultsWrapper, retailerFilter, sortBy, curre
     } else if (sortBy === 'retailer-za') {
       filteredSame = [...filteredSame].sort((a, b) => (b.retailer || '').localeCompare(a.retailer || ''));
       filteredSimilar = [...filteredSimilar].sort((a, b) => (b.retailer || '').localeCompare(a.retailer || ''));
+    } else if (sortBy === 'unit-price') {
+      // Results without a comparable unit price go last
+      const unitPriceOf = (r) => (isUnitPriceComparable(currentUnitPrice, r.unitPrice) ? r.unitPrice.value : Infinity);
+      filteredSame = [...filteredSame].sort((a, b) => unitPriceOf(a) - unitPriceOf(b));
+      filteredSimilar = [...filteredSimilar].sort((a, b) => unitPriceOf(a) - unitPriceOf(b));
     } else {
       // Relevance: keep same products in original order, sort similar by similarity
       filteredSimilar.sort((a, b) => (b.similarity || 0) - (a.similarity || 0));
@@ -1497,34 +1892,11 @@ function applyFiltersAndSort(body, resultsWrapper, retailerFilter, sortBy, curre
       let sameHtml = `
         <h4 class="supershopper-section-title">Available at these retailers</h4>
         <table class="supershopper-comparison-table">
-          <thead>
-            <tr>
-              <th>Retailer</th>
-              <th>Action</th>
-            </tr>
-          </thead>
+          ${renderSameProductHeader(columns)}
           <tbody>
+            ${renderSameProductRows(filteredSame, columns, category)}
       `;
       
-      filteredSame.forEach(result => {
-        sameHtml += `
-          <tr class="${result.isCurrentPage ? 'supershopper-current-row' : ''}">
-            <td>
-              <div class="supershopper-retailer-cell">
-                ${result.isCurrentPage ? '<span class="supershopper-price-indicator same">✓</span>' : ''}
-                <strong>${escapeHtml(result.retailer)}</strong>
-              </div>
-            </td>
-            <td>
-              ${result.isCurrentPage 
-                ? '<span class="supershopper-current-badge">You are here</span>' 
-                : `<a href="${escapeUrlForAttribute(result.url)}" target="_blank" class="supershopper-visit-btn">Visit Store</a>`
-              }
-            </td>
-          </tr>
-        `;
-      });
-      
       sameHtml += `
           </tbody>
         </table>
@@ -1539,29 +1911,9 @@ function applyFiltersAndSort(body, resultsWrapper, retailerFilter, sortBy, curre
         <div class="supershopper-section">
           <h4 class="supershopper-section-title">Available at these retailers</h4>
           <table class="supershopper-comparison-table">
-            <thead>
-              <tr>
-                <th>Retailer</th>
-                <th>Action</th>
-              </tr>
-            </thead>
+            ${renderSameProductHeader(columns)}
             <tbody>
-              ${filteredSame.map(result => `
-                <tr class="${result.isCurrentPage ? 'supershopper-current-row' : ''}">
-                  <td>
-                    <div class="supershopper-retailer-cell">
-                      ${result.isCurrentPage ? '<span class="supershopper-price-indicator same">✓</span>' : ''}
-                      <strong>${escapeHtml(result.retailer)}</strong>
-                    </div>
-                  </td>
-                  <td>
-                    ${result.isCurrentPage 
-                      ? '<span class="supershopper-current-badge">You are here</span>' 
-                      : `<a href="${escapeUrlForAttribute(result.url)}" target="_blank" class="supershopper-visit-btn">Visit Store</a>`
-                    }
-                  </td>
-                </tr>
-              `).join('')}
+              ${renderSameProductRows(filteredSame, columns, category)}
             </tbody>
           </table>
         </div>
@@ -1577,16 +1929,7 @@ function applyFiltersAndSort(body, resultsWrapper, retailerFilter, sortBy, curre
       `;
       
       filteredSimilar.forEach(result => {
-        similarHtml += `
-          <div class="supershopper-similar-product-card">
-            ${result.imageUrl ? `<img src="${escapeUrlForAttribute(result.imageUrl)}" alt="${escapeHtml(result.title)}" class="supershopper-similar-product-image" />` : '<div class="supershopper-similar-product-image-placeholder">No image</div>'}
-            <div class="supershopper-similar-product-info">
-              <div class="supershopper-similar-product-title">${escapeHtml(result.title)}</div>
-              <div class="supershopper-similar-product-retailer">${escapeHtml(result.retailer)}</div>
-              <a href="${escapeUrlForAttribute(result.url)}" target="_blank" class="supershopper-visit-btn">Visit Store</a>
-            </div>
-          </div>
-        `;
+        similarHtml += renderSimilarProductCard(result, showUnitPrice ? currentUnitPrice : null);
       });
       
       similarHtml += `
@@ -1624,33 +1967,139 @@ function applyFiltersAndSort(body, resultsWrapper, retailerFilter, sortBy, curre
 }
 
 /**
- * Show error state in modal
+ * What to tell the user for each search error kind (classifySearchError in search_providers.js,
+ * plus budget, disabled, unconfigured and no-results from this file)
+ * message(providerName) is the headline; links point at where the fix is made;
+ * action is the button: 'retry' re-runs the search, 'options' opens the options page.
  */
-function showErrorState(modal, error) {
+const SEARCH_ERROR_HELP = {
+  'invalid-key': {
+    message: (provider) => `${provider || 'The search provider'} rejected the API key.`,
+    links: {
+      google: { label: 'Check your key in Google Cloud Console', url: 'https://console.cloud.google.com/apis/credentials' },
+      bing: { label: 'Check your key in the Azure portal', url: 'https://portal.azure.com/' }
+    },
+    action: 'options'
+  },
+  'api-not-enabled': {
+    message: () => 'The Custom Search API is not enabled for your API key\'s Google Cloud project.',
+    links: { google: { label: 'Enable the Custom Search API', url: 'https://console.cloud.google.com/apis/library/customsearch.googleapis.com' } },
+    action: 'retry'
+  },
+  'engine-not-found': {
+    message: () => 'Google could not find your Custom Search Engine ID.',
+    links: { google: { label: 'Copy the ID from Programmable Search Engine', url: 'https://programmablesearchengine.google.com/controlpanel/all' } },
+    action: 'options'
+  },
+  'quota': {
+    message: (provider) => `${provider || 'The search provider'}'s daily query quota is used up. It resets at midnight Pacific time.`,
+    links: { google: { label: 'View or raise your quota', url: 'https://console.cloud.google.com/apis/api/customsearch.googleapis.com/quotas' } },
+    action: 'options'
+  },
+  'budget': {
+    message: () => 'Your daily search limit has been reached. Products already searched still show cached results; new searches resume tomorrow.',
+    action: 'options'
+  },
+  'rate-limited': {
+    message: (provider) => `${provider || 'The search provider'} is receiving too many requests. Wait a moment, then retry.`,
+    action: 'retry'
+  },
+  'timeout': {
+    message: () => 'The search took too long to respond.',
+    action: 'retry'
+  },
+  'offline': {
+    message: () => 'You appear to be offline. Check your connection, then retry.',
+    action: 'retry'
+  },
+  'server': {
+    message: (provider) => `${provider || 'The search provider'} had a temporary server error.`,
+    action: 'retry'
+  },
+  'malformed': {
+    message: (provider) => `${provider || 'The search provider'} sent a response Super Shopper could not read. For SearXNG, make sure the instance allows format=json.`,
+    action: 'options'
+  },
+  'disabled': {
+    message: () => 'Real-time retailer search is turned off.',
+    action: 'options'
+  },
+  'unconfigured': {
+    message: () => 'No search provider is set up. Add an API key in Options, or turn on demo mode to try Super Shopper with recorded results.',
+    action: 'options'
+  },
+  'no-results': {
+    message: () => 'No other retailers were found for this product.',
+    action: 'retry'
+  },
+  'unknown': {
+    message: () => 'Unable to fetch retailer results at this time.',
+    action: 'retry'
+  }
+};
+
+/**
+ * Show error state in modal: what went wrong, a link to where it is fixed, and Retry or Options
+ * @param {Object} productInfo - When given, Retry re-runs the search instead of reloading the page
+ */
+function showErrorState(modal, error, productInfo = null) {
   const body = modal.querySelector('#supershopper-modal-body');
   if (!body) return;
   
+  const kind = SEARCH_ERROR_HELP[error.kind] ? error.kind : 'unknown';
+  const help = SEARCH_ERROR_HELP[kind];
+  const link = help.links && help.links[error.provider || 'google'];
+  
   body.innerHTML = `
-    <div class="supershopper-error">
-      <p>⚠️ Unable to fetch price comparisons at this time.</p>
+    <div class="supershopper-error" data-error-kind="${kind}">
+      <p>⚠️ ${escapeHtml(help.message(error.providerName))}</p>
       <p class="supershopper-error-detail">${escapeHtml(error.message || 'Please try again later.')}</p>
-      <button class="supershopper-retry-btn">Retry</button>
+      <div class="supershopper-error-actions">
+        ${link ? `<a class="supershopper-fix-link" href="${escapeUrlForAttribute(link.url)}" target="_blank" rel="noopener">${escapeHtml(link.label)}</a>` : ''}
+        ${help.action === 'options'
+          ? '<button class="supershopper-retry-btn supershopper-open-options-btn">Open Super Shopper options</button>'
+          : '<button class="supershopper-retry-btn">Retry</button>'}
+      </div>
     </div>
   `;
   
   // Add event listener for retry button (CSP compliant - no inline onclick)
   const retryBtn = body.querySelector('.supershopper-retry-btn');
-  if (retryBtn) {
+  if (retryBtn && help.action === 'options') {
+    retryBtn.addEventListener('click', openExtensionOptions);
+  } else if (retryBtn) {
     retryBtn.addEventListener('click', () => {
-      location.reload();
+      if (!productInfo) {
+        location.reload();
+        return;
+      }
+      showLoadingState(modal);
+      fetchPriceComparisons(productInfo, modal);
     });
   }
 }
 
+/**
+ * Open the options page (content scripts have to ask the service worker)
+ */
+function openExtensionOptions() {
+  chrome.runtime.sendMessage({ type: 'OPEN_OPTIONS' }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('Error opening options:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
 /**
  * Close the comparison modal
  */
 function closeComparisonModal() {
+  if (activeSearchId) {
+    cancelSearchRequests(activeSearchId);
+    activeSearchId = null;
+  }
+  activeResultsPaging = null;
+
   const modal = document.querySelector('.supershopper-modal-overlay');
   if (modal) {
     modal.classList.add('supershopper-modal-closing');
@@ -1671,6 +2120,14 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Escape text for use inside a quoted HTML attribute
+ * escapeHtml leaves quotes alone, so a title containing " would end the attribute.
+ */
+function escapeAttribute(text) {
+  return escapeHtml(text == null ? '' : String(text)).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 /**
  * Escape URL for use in HTML attributes (only escapes quotes, preserves URL structure)
  */
@@ -1681,57 +2138,204 @@ function escapeUrlForAttribute(url) {
   return String(url).replace(/"/g, '&quot;').replace(/'/g, '&#x27;');
 }
 
+/**
+ * Delays (ms) between extraction attempts after a page load or navigation
+ * Product content on SPA pages renders some time after the URL changes.
+ */
+const PRODUCT_CHECK_DELAYS = [0, 500, 1000, 2000, 3000, 5000, 8000];
+
+/**
+ * URL (without hash) the button and modal currently belong to
+ */
+let currentPageKey = null;
+
+/**
+ * Pending extraction attempt for the current page
+ */
+let productCheckTimeout = null;
+
+/**
+ * URL check running while a product is shown (see watchNavigation)
+ */
+let navigationPollInterval = null;
+
 /**
  * Initialize comparison functionality for product pages
  */
-function initComparisonFeature() {
+async function initComparisonFeature() {
+  // Local extraction rule overrides must be in place before the first check
+  await loadCustomExtractionRules();
+  await loadResultFilterSettings();
+  await loadRegionSettings();
+  await loadExtractionDebugSetting();
+  await loadPageDomain();
+  
+  currentPageKey = getPageKey();
+  
   // Wait for page to load
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
-      checkAndInjectButton();
+      scheduleProductCheck();
     });
   } else {
-    checkAndInjectButton();
+    scheduleProductCheck();
   }
   
-  // Also check when DOM changes (for dynamic pages)
-  let checkTimeout;
-  const observer = new MutationObserver(() => {
-    // Debounce: wait for mutations to settle before checking
-    clearTimeout(checkTimeout);
-    checkTimeout = setTimeout(() => {
-      checkAndInjectButton();
-    }, 500);
-  });
-  observer.observe(document.body, { childList: true, subtree: true });
+  watchVariantChanges();
+  watchNavigation();
+}
+
+/**
+ * Identify a page by URL without the hash (hash changes don't load a new product)
+ */
+function getPageKey() {
+  return window.location.href.split('#')[0];
+}
+
+/**
+ * Detect client-side navigation (Walmart, Target and others are SPAs)
+ * - history.pushState/replaceState, announced by navigation_hook.js from the page's world
+ * - back/forward (popstate)
+ * - once a product has been found, a 1s URL check as a fallback (startNavigationPolling)
+ */
+function watchNavigation() {
+  window.addEventListener('supershopper:locationchange', handleLocationChange);
+  window.addEventListener('popstate', handleLocationChange);
+}
+
+/**
+ * Check the URL every second while a product is shown; this also restores the
+ * button if the page re-rendered it away. Pages without a product aren't polled.
+ */
+function startNavigationPolling() {
+  if (navigationPollInterval) return;
+  navigationPollInterval = setInterval(() => {
+    if (getPageKey() !== currentPageKey) {
+      handleLocationChange();
+    } else if (currentProductInfo && !document.querySelector('.supershopper-compare-btn') && !productCheckTimeout) {
+      scheduleProductCheck();
+    }
+  }, 1000);
+}
+
+/**
+ * Stop the URL check once navigation has left the product pages
+ */
+function stopNavigationPolling() {
+  clearInterval(navigationPollInterval);
+  navigationPollInterval = null;
+}
+
+/**
+ * Tear down state for the old product and extract the new one
+ */
+function handleLocationChange() {
+  const pageKey = getPageKey();
+  if (pageKey === currentPageKey) return;
+  currentPageKey = pageKey;
+  
+  const previousProduct = currentProductInfo;
+  teardownProductState();
+  scheduleProductCheck(previousProduct);
+}
+
+/**
+ * Remove the button and modal belonging to the previous product
+ */
+function teardownProductState() {
+  clearTimeout(productCheckTimeout);
+  productCheckTimeout = null;
+  currentProductInfo = null;
+  
+  document.querySelectorAll('.supershopper-compare-btn').forEach(button => button.remove());
+  closeComparisonModal();
+}
+
+/**
+ * Try to extract and inject the button, retrying while the page renders
+ * @param {Object} previousProduct - Product before navigation; an identical title means the
+ *   page hasn't swapped content yet, so that extraction is retried rather than used
+ */
+function scheduleProductCheck(previousProduct = null, attempt = 0) {
+  clearTimeout(productCheckTimeout);
+  productCheckTimeout = setTimeout(() => {
+    productCheckTimeout = null;
+    const isLastAttempt = attempt >= PRODUCT_CHECK_DELAYS.length - 1;
+    
+    // On the last attempt accept an unchanged title (e.g. a variant with the same name)
+    const injected = checkAndInjectButton(isLastAttempt ? null : previousProduct);
+    if (injected) {
+      startNavigationPolling();
+    } else if (!isLastAttempt) {
+      scheduleProductCheck(previousProduct, attempt + 1);
+    } else {
+      stopNavigationPolling();
+    }
+  }, PRODUCT_CHECK_DELAYS[Math.min(attempt, PRODUCT_CHECK_DELAYS.length - 1)]);
 }
 
 /**
  * Check if we're on a product page and inject the compare button
+ * Returns true once the button is on the page
+ * @param {Object} previousProduct - Skip extraction results that still show this product
  */
-function checkAndInjectButton() {
-  // Only run on supported retailers
-  const hostname = window.location.hostname.toLowerCase();
-  if (!hostname.includes('amazon.') && 
-      !hostname.includes('target.') && 
-      !hostname.includes('walmart.') &&
-      !hostname.includes('bestbuy.') &&
-      !hostname.includes('best-buy.') &&
-      !hostname.includes('ebay.') &&
-      !hostname.includes('costco.')) {
-    return;
-  }
+function checkAndInjectButton(previousProduct = null) {
+  // Runs on every site: known retailers use their own extractors, other
+  // stores are detected through schema.org / OpenGraph structured data
   
   // Check if already injected
   if (document.querySelector('.supershopper-compare-btn')) {
-    return;
+    return true;
   }
   
-  // Extract product info
-  const productInfo = extractProductInfo();
-  if (productInfo && productInfo.priceElement) {
-    injectCompareButton(productInfo);
+  // Extract product info (traced into the debug panel when that option is on)
+  const productInfo = extractProductInfoWithDebug();
+  if (!productInfo || !productInfo.priceElement) {
+    return false;
   }
+  if (previousProduct && productInfo.title === previousProduct.title) {
+    return false; // Page hasn't swapped to the new product yet
+  }
+  
+  injectCompareButton(productInfo);
+  return document.querySelector('.supershopper-compare-btn') !== null;
+}
+
+/**
+ * Re-extract when the user picks another size/color/capacity in the retailer's variant picker
+ * Listens at the document level (capture phase) since pickers are re-rendered on change.
+ */
+function watchVariantChanges() {
+  let refreshTimeout;
+  const onPickerEvent = (e) => {
+    const rule = findExtractionRule(window.location.hostname.toLowerCase());
+    const picker = rule && rule.variants && rule.variants.picker;
+    if (!picker || !(e.target instanceof Element)) return;
+    
+    try {
+      if (!e.target.closest(picker)) return;
+    } catch (err) {
+      return; // Invalid picker selector from a local rule
+    }
+    
+    // Give the page time to swap price/title for the new variant
+    clearTimeout(refreshTimeout);
+    refreshTimeout = setTimeout(refreshProductInfo, 800);
+  };
+  
+  document.addEventListener('click', onPickerEvent, true);
+  document.addEventListener('change', onPickerEvent, true);
+}
+
+/**
+ * Re-extract product info and re-inject the button next to the (possibly new) price element
+ */
+function refreshProductInfo() {
+  const productInfo = extractProductInfoWithDebug();
+  if (!productInfo || !productInfo.priceElement) return;
+  
+  document.querySelectorAll('.supershopper-compare-btn').forEach(button => button.remove());
+  injectCompareButton(productInfo);
 }
 
 // Auto-initialize when script loads
@@ -0,0 +1,201 @@
+// domain_utils.js
+// Public-suffix-aware URL parsing. A hostname is split into its public suffix
+// ("com", "co.uk", "myshopify.com"), the registrable domain one label above it
+// ("bestbuy.co.uk") and whatever subdomain is left ("www", "shop"). Retailer
+// names, the country filter and retailer deduplication all work from this
+// instead of substring checks on the URL, which mistake "decathlon.com" or a
+// path containing ".ca" for a foreign store.
+//
+// The suffixes come from the Public Suffix List (https://publicsuffix.org/list/),
+// bundled in public_suffix_list.js (regenerate it with
+// scripts/update_public_suffix_list.js). Wildcard ("*.ck") and exception
+// ("!www.ck") rules are honoured, and hosts no rule covers fall back to the
+// list's default rule: the last label is the suffix.
+//
+// The service worker loads the list with importScripts. Content scripts don't
+// carry it onto every page: the page's own host is parsed by the service worker
+// (loadPageDomain in search_client.js) and remembered here, and the list is
+// injected only when a comparison needs result URLs parsed (loadPublicSuffixList).
+
+/**
+ * Country-code TLDs sold as generic names ("example.co", "github.io"); a bare
+ * one of these doesn't tie a store to the country, though "com.co" still does
+ */
+const GENERIC_COUNTRY_TLDS = ['co', 'io', 'ai', 'me', 'tv', 'ly', 'fm', 'gg', 'to', 'ws', 'cc', 'eu'];
+
+/**
+ * Lookup tables built from PUBLIC_SUFFIX_RULES on first use (getPublicSuffixIndex)
+ *   rules      - suffix -> true when it comes from the list's private section
+ *   wildcards  - "ck" for "*.ck", same values
+ *   exceptions - "www.ck" for "!www.ck", same values
+ */
+let publicSuffixIndex = null;
+
+/**
+ * parseDomain() results by hostname, including ones parsed by the service worker
+ */
+const parsedDomains = new Map();
+
+/**
+ * Whether public_suffix_list.js has been loaded into this context
+ */
+function isPublicSuffixListLoaded() {
+  return typeof PUBLIC_SUFFIX_RULES !== 'undefined';
+}
+
+/**
+ * The lookup tables, built the first time a suffix is looked up
+ * Without the list only the default rule applies, which misreads "co.uk".
+ */
+function getPublicSuffixIndex() {
+  if (publicSuffixIndex) return publicSuffixIndex;
+  if (!isPublicSuffixListLoaded()) {
+    console.warn('Public suffix list not loaded; reading the last label as the suffix');
+    return buildPublicSuffixIndex({});
+  }
+  publicSuffixIndex = buildPublicSuffixIndex(PUBLIC_SUFFIX_RULES);
+  return publicSuffixIndex;
+}
+
+/**
+ * Keep a domain parsed elsewhere (the service worker's parseDomain) for later lookups
+ */
+function rememberParsedDomain(domain) {
+  if (domain && domain.hostname) parsedDomains.set(domain.hostname, domain);
+}
+
+function buildPublicSuffixIndex(sections) {
+  const index = { rules: new Map(), wildcards: new Map(), exceptions: new Map() };
+  for (const [section, text] of Object.entries(sections)) {
+    const isPrivate = section === 'private';
+    for (const rule of text.split(' ')) {
+      if (!rule) continue;
+      if (rule.startsWith('!')) index.exceptions.set(rule.slice(1), isPrivate);
+      else if (rule.startsWith('*.')) index.wildcards.set(rule.slice(2), isPrivate);
+      else index.rules.set(rule, isPrivate);
+    }
+  }
+  return index;
+}
+
+/**
+ * Hostname of a URL, or of a bare host such as a search result's displayLink
+ * Lowercased, without "www." handling or a trailing dot; '' when there is none.
+ */
+function getUrlHostname(urlOrHost) {
+  if (!urlOrHost) return '';
+  const value = String(urlOrHost).trim();
+  try {
+    const url = /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? new URL(value) : new URL(`https://${value}`);
+    return url.hostname.toLowerCase().replace(/\.$/, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Public suffix of a hostname under the list's rules
+ * The longest matching rule wins, except that an exception rule ("!www.ck")
+ * makes its parent the suffix. With icannOnly, private rules ("myshopify.com")
+ * are skipped.
+ * @returns {{ suffix: string, isPrivate: boolean }}
+ */
+function findPublicSuffix(hostname, icannOnly = false) {
+  const { rules, wildcards, exceptions } = getPublicSuffixIndex();
+  const applies = (table, key) => table.has(key) && !(icannOnly && table.get(key));
+  const labels = hostname.split('.');
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    const parent = labels.slice(i + 1).join('.');
+    if (applies(exceptions, candidate)) return { suffix: parent, isPrivate: exceptions.get(candidate) };
+    if (applies(rules, candidate)) return { suffix: candidate, isPrivate: rules.get(candidate) };
+    if (parent && applies(wildcards, parent)) return { suffix: candidate, isPrivate: wildcards.get(parent) };
+  }
+  return { suffix: labels[labels.length - 1], isPrivate: false };
+}
+
+/**
+ * Longest public suffix of a hostname ("co.uk", "myshopify.com", "kawasaki.jp" subdomains)
+ */
+function getPublicSuffix(hostname) {
+  return findPublicSuffix(hostname).suffix;
+}
+
+/**
+ * ISO country code a public suffix belongs to, or null
+ * A private suffix ("blogspot.co.uk") takes the country of the ICANN suffix it
+ * sits under; an ICANN one the country of its two-letter TLD ("uk" is GB).
+ */
+function getSuffixCountry(suffix, isPrivate) {
+  if (isPrivate) {
+    const icann = findPublicSuffix(suffix, true).suffix;
+    return icann === suffix ? null : getSuffixCountry(icann, false);
+  }
+  const labels = suffix.split('.');
+  const tld = labels[labels.length - 1];
+  if (labels.length === 1 && GENERIC_COUNTRY_TLDS.includes(tld)) return null;
+  if (tld === 'uk') return 'GB';
+  return /^[a-z]{2}$/.test(tld) ? tld.toUpperCase() : null;
+}
+
+/**
+ * Split a URL or host into its public suffix, registrable domain and subdomain
+ * "https://www.bestbuy.co.uk/site/x" -> { hostname: 'www.bestbuy.co.uk', suffix: 'co.uk',
+ *   registrableDomain: 'bestbuy.co.uk', name: 'bestbuy', subdomain: 'www', country: 'GB' }
+ * The registrable domain is null when the host is a bare suffix, an IP address or
+ * a single label such as "localhost"; name is then the whole hostname.
+ * @returns {{ hostname: string, suffix: string|null, registrableDomain: string|null, name: string,
+ *   subdomain: string, country: string|null } | null}
+ */
+function parseDomain(urlOrHost) {
+  const hostname = getUrlHostname(urlOrHost);
+  if (!hostname) return null;
+  if (parsedDomains.has(hostname)) return parsedDomains.get(hostname);
+  const domain = splitHostname(hostname);
+  // A guess made without the list isn't kept, so it is redone once the list loads
+  if (isPublicSuffixListLoaded()) parsedDomains.set(hostname, domain);
+  return domain;
+}
+
+/**
+ * parseDomain() of a lowercased hostname
+ */
+function splitHostname(hostname) {
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[') || !hostname.includes('.')) {
+    return { hostname, suffix: null, registrableDomain: null, name: hostname, subdomain: '', country: null };
+  }
+
+  const { suffix, isPrivate } = findPublicSuffix(hostname);
+  const rest = hostname.slice(0, -(suffix.length + 1)).split('.').filter(Boolean);
+  const country = getSuffixCountry(suffix, isPrivate);
+  if (rest.length === 0) {
+    return { hostname, suffix, registrableDomain: null, name: hostname, subdomain: '', country };
+  }
+
+  const name = rest[rest.length - 1];
+  return {
+    hostname,
+    suffix,
+    registrableDomain: `${name}.${suffix}`,
+    name,
+    subdomain: rest.slice(0, -1).join('.'),
+    country
+  };
+}
+
+/**
+ * Registrable domain of a URL or host ("shop.example.co.uk" -> "example.co.uk"),
+ * falling back to the hostname; '' when it can't be parsed
+ */
+function getRegistrableDomain(urlOrHost) {
+  const domain = parseDomain(urlOrHost);
+  return domain ? (domain.registrableDomain || domain.hostname) : '';
+}
+
+/**
+ * Country a URL's domain belongs to ('GB' for .co.uk), or null for generic TLDs
+ */
+function getDomainCountry(urlOrHost) {
+  const domain = parseDomain(urlOrHost);
+  return domain ? domain.country : null;
+}
@@ -0,0 +1,223 @@
+// extraction_debug.js
+// Opt-in diagnostic overlay (Options → Developer) for when the button doesn't appear:
+// outlines the nodes each field was read from, lists every selector tried with
+// hit/miss, and shows the final productInfo with a "Copy report" action.
+
+/**
+ * Whether the debug panel is enabled (sync storage "enableExtractionDebug")
+ */
+let extractionDebugEnabled = false;
+
+/**
+ * Load the debug setting; resolves with the current value
+ */
+function loadExtractionDebugSetting() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ enableExtractionDebug: false }, (items) => {
+      extractionDebugEnabled = items.enableExtractionDebug === true;
+      resolve(extractionDebugEnabled);
+    });
+  });
+}
+
+// Toggling the option takes effect on the next extraction; turning it off removes the panel
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.enableExtractionDebug) {
+    extractionDebugEnabled = changes.enableExtractionDebug.newValue === true;
+    if (!extractionDebugEnabled) removeExtractionDebugPanel();
+  }
+});
+
+/**
+ * Run extractProductInfo() with a trace, and show the panel when debugging is enabled
+ * Returns productInfo exactly as extractProductInfo() would.
+ */
+function extractProductInfoWithDebug() {
+  if (!extractionDebugEnabled) {
+    return extractProductInfo();
+  }
+
+  const trace = createExtractionTrace();
+  const productInfo = extractProductInfo(document, window.location.href, trace);
+  try {
+    renderExtractionDebugPanel(trace, productInfo);
+  } catch (error) {
+    console.warn('Error rendering extraction debug panel:', error);
+  }
+  return productInfo;
+}
+
+/**
+ * Why the button would not be injected for this result, or null if it will be
+ */
+function getExtractionOutcome(trace, productInfo) {
+  if (!productInfo) {
+    if (!trace.ruleId) return 'No retailer rule for this host and no structured product data found';
+    const missing = ['title', 'price'].filter(name => !trace.fields[name] || trace.fields[name].value == null);
+    return missing.length > 0
+      ? `Rule "${trace.ruleId}" found no ${missing.join(' or ')}, and no structured product data`
+      : `Rule "${trace.ruleId}" failed${trace.errors.length ? `: ${trace.errors[0]}` : ''}`;
+  }
+  if (!productInfo.priceElement) return 'Product found but no price element to place the button next to';
+  return null;
+}
+
+/**
+ * Build (or rebuild) the on-page debug panel and outline matched nodes
+ */
+function renderExtractionDebugPanel(trace, productInfo) {
+  removeExtractionDebugPanel();
+
+  const panel = document.createElement('div');
+  panel.id = 'supershopper-debug-panel';
+  panel.className = 'supershopper-debug-panel';
+  panel.setAttribute('data-supershopper-injected', '1');
+
+  const header = document.createElement('div');
+  header.className = 'supershopper-debug-header';
+  const heading = document.createElement('strong');
+  heading.textContent = 'Super Shopper extraction debug';
+  header.appendChild(heading);
+
+  const copyBtn = document.createElement('button');
+  copyBtn.textContent = 'Copy report';
+  copyBtn.addEventListener('click', async () => {
+    const copied = await copyTextToClipboard(buildExtractionDebugReport(trace, productInfo));
+    copyBtn.textContent = copied ? 'Copied' : 'Copy failed';
+    setTimeout(() => { copyBtn.textContent = 'Copy report'; }, 2000);
+  });
+  header.appendChild(copyBtn);
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = '×';
+  closeBtn.title = 'Hide until the next extraction';
+  closeBtn.addEventListener('click', removeExtractionDebugPanel);
+  header.appendChild(closeBtn);
+  panel.appendChild(header);
+
+  const outcome = getExtractionOutcome(trace, productInfo);
+  const summary = document.createElement('div');
+  summary.className = `supershopper-debug-summary ${outcome ? 'fail' : 'pass'}`;
+  summary.textContent = outcome || `Extraction OK (${trace.source === 'rule' ? `rule "${trace.ruleId}"` : 'structured data'})`;
+  panel.appendChild(summary);
+
+  // One block per rule field: value plus every selector tried
+  for (const [name, field] of Object.entries(trace.fields)) {
+    const block = document.createElement('div');
+    block.className = 'supershopper-debug-field';
+
+    const title = document.createElement('div');
+    title.className = 'supershopper-debug-field-name';
+    title.textContent = `${field.value != null ? '✓' : '✗'} ${name}: ${formatDebugValue(field.value)}`;
+    if (field.element) {
+      highlightExtractionNode(field.element, name);
+      title.classList.add('has-node');
+      title.title = 'Scroll to the matched element';
+      title.addEventListener('click', () => field.element.scrollIntoView({ behavior: 'smooth', block: 'center' }));
+    }
+    block.appendChild(title);
+
+    field.attempts.forEach(attempt => {
+      const line = document.createElement('div');
+      line.className = `supershopper-debug-attempt ${attempt.status}`;
+      line.textContent = `${attempt.status.toUpperCase()} ${attempt.selector}${attempt.reason ? ` (${attempt.reason})` : ''}`;
+      block.appendChild(line);
+    });
+    panel.appendChild(block);
+  }
+
+  trace.specs.forEach(spec => {
+    const line = document.createElement('div');
+    line.className = 'supershopper-debug-attempt';
+    line.textContent = `SPECS ${spec.rows}: ${spec.rowCount} rows${spec.filled.length ? `, filled ${spec.filled.join(', ')}` : ''}`;
+    panel.appendChild(line);
+  });
+
+  const info = document.createElement('pre');
+  info.className = 'supershopper-debug-info';
+  info.textContent = JSON.stringify(serializeProductInfo(productInfo), null, 2);
+  panel.appendChild(info);
+
+  document.body.appendChild(panel);
+}
+
+/**
+ * Outline a node a field was read from, labelled with the field name
+ */
+function highlightExtractionNode(element, fieldName) {
+  element.classList.add('supershopper-debug-highlight');
+  const existing = element.getAttribute('data-supershopper-debug-field');
+  element.setAttribute('data-supershopper-debug-field', existing ? `${existing}, ${fieldName}` : fieldName);
+}
+
+/**
+ * Remove the panel and all node outlines
+ */
+function removeExtractionDebugPanel() {
+  document.getElementById('supershopper-debug-panel')?.remove();
+  document.querySelectorAll('.supershopper-debug-highlight').forEach(el => {
+    el.classList.remove('supershopper-debug-highlight');
+    el.removeAttribute('data-supershopper-debug-field');
+  });
+}
+
+/**
+ * Short single-line rendering of a field value for the panel
+ */
+function formatDebugValue(value) {
+  if (value == null) return '(none)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? text.substring(0, 77) + '...' : text;
+}
+
+/**
+ * Plain-text report to paste into an extraction bug
+ */
+function buildExtractionDebugReport(trace, productInfo) {
+  const lines = [
+    'Super Shopper extraction report',
+    `URL: ${trace.url}`,
+    `Extension: ${chrome.runtime.getManifest().version}`,
+    `User agent: ${navigator.userAgent}`,
+    `Rule: ${trace.ruleId || '(none)'} | Source: ${trace.source || '(nothing extracted)'}`,
+    `Outcome: ${getExtractionOutcome(trace, productInfo) || 'extraction OK'}`,
+    ''
+  ];
+
+  for (const [name, field] of Object.entries(trace.fields)) {
+    lines.push(`${name}: ${formatDebugValue(field.value)}`);
+    field.attempts.forEach(attempt => {
+      lines.push(`  ${attempt.status.padEnd(8)} ${attempt.selector}${attempt.reason ? ` (${attempt.reason})` : ''}`);
+    });
+  }
+  trace.specs.forEach(spec => {
+    lines.push(`specs ${spec.rows}: ${spec.rowCount} rows, filled ${spec.filled.join(', ') || 'nothing'}`);
+  });
+  if (trace.errors.length > 0) {
+    lines.push('', 'Errors:', ...trace.errors.map(error => `  ${error}`));
+  }
+
+  lines.push('', 'productInfo:', JSON.stringify(serializeProductInfo(productInfo), null, 2));
+  return lines.join('\n');
+}
+
+/**
+ * Copy text, falling back to a hidden textarea where the async clipboard API is unavailable
+ */
+async function copyTextToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('data-supershopper-injected', '1');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand('copy');
+    textarea.remove();
+    return copied;
+  }
+}
@@ -0,0 +1,144 @@
+// extraction_fixtures.js
+// Capture and replay of product-page fixtures for the extractors.
+// A fixture is the page HTML plus the productInfo extracted from it; replaying
+// runs extractProductInfo() against the saved HTML and diffs the result, so
+// retailer markup changes show up as fixture failures instead of a missing button.
+// A fixture marked synthetic holds a reduced page written around a rule's
+// selectors rather than a capture; it has no capturedAt and no live result.
+
+const EXTRACTION_FIXTURE_VERSION = 1;
+
+/**
+ * Copy productInfo without DOM references so it can be stored as JSON
+ */
+function serializeProductInfo(productInfo) {
+  if (!productInfo) return null;
+  const serialized = {};
+  for (const [key, value] of Object.entries(productInfo)) {
+    if (key === 'priceElement' || (value && typeof value === 'object' && value.nodeType)) continue;
+    serialized[key] = value === undefined ? null : value;
+  }
+  return serialized;
+}
+
+/**
+ * Page HTML with Super Shopper's own injected elements and executable scripts removed
+ * JSON-LD blocks are kept since the structured data extractor reads them.
+ */
+function captureCleanPageHtml(doc = document) {
+  const clone = doc.documentElement.cloneNode(true);
+  clone.querySelectorAll('[data-supershopper-injected], [data-supershopper-modal]').forEach(el => el.remove());
+  clone.querySelectorAll('script:not([type="application/ld+json"]), noscript, iframe').forEach(el => el.remove());
+  clone.querySelectorAll('.supershopper-debug-highlight').forEach(el => {
+    el.classList.remove('supershopper-debug-highlight');
+    el.removeAttribute('data-supershopper-debug-field');
+  });
+  return '<!DOCTYPE html>\n' + clone.outerHTML;
+}
+
+/**
+ * Parse fixture HTML into a detached document whose relative URLs resolve against pageUrl
+ */
+function parseFixtureDocument(html, pageUrl) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const base = doc.createElement('base');
+  base.href = pageUrl;
+  doc.head.prepend(base);
+  return doc;
+}
+
+/**
+ * Build a fixture from the current page
+ * The expected result comes from replaying the cleaned HTML, so the fixture
+ * is self-consistent; the live extraction is kept alongside for reference.
+ */
+function buildExtractionFixture(liveProductInfo, doc = document, pageUrl = window.location.href) {
+  const html = captureCleanPageHtml(doc);
+  const expected = serializeProductInfo(extractProductInfo(parseFixtureDocument(html, pageUrl), pageUrl));
+
+  return {
+    version: EXTRACTION_FIXTURE_VERSION,
+    url: pageUrl,
+    retailer: (expected && expected.retailer) || (liveProductInfo && liveProductInfo.retailer) || null,
+    capturedAt: new Date().toISOString(),
+    expected: expected,
+    live: serializeProductInfo(liveProductInfo),
+    html: html
+  };
+}
+
+/**
+ * File name for a fixture, e.g. "amazon-2024-05-01T12-00-00.json", or "amazon-synthetic.json"
+ */
+function getFixtureFileName(fixture) {
+  const retailer = (fixture.retailer || 'unknown').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  const stamp = fixture.synthetic
+    ? 'synthetic'
+    : (fixture.capturedAt || new Date().toISOString()).replace(/[:.]/g, '-').replace(/-\d{3}Z$/, '');
+  return `${retailer}-${stamp}.json`;
+}
+
+/**
+ * Save a fixture as a JSON download
+ */
+function downloadExtractionFixture(fixture) {
+  const blob = new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = getFixtureFileName(fixture);
+  link.setAttribute('data-supershopper-injected', '1');
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Capture the current page as a fixture and download it
+ */
+function captureExtractionFixture(productInfo) {
+  try {
+    const fixture = buildExtractionFixture(productInfo);
+    if (!fixture.expected) {
+      console.warn('Fixture captured but replay extracted nothing - the saved HTML may be missing lazily rendered content');
+    }
+    downloadExtractionFixture(fixture);
+    return fixture;
+  } catch (error) {
+    console.error('Error capturing extraction fixture:', error);
+    return null;
+  }
+}
+
+/**
+ * Run the extractors against a fixture's saved HTML
+ * Returns { actual, diffs } where diffs lists fields that changed
+ */
+function replayExtractionFixture(fixture) {
+  const doc = parseFixtureDocument(fixture.html || '', fixture.url);
+  const actual = serializeProductInfo(extractProductInfo(doc, fixture.url));
+  return {
+    actual: actual,
+    diffs: diffProductInfo(fixture.expected, actual)
+  };
+}
+
+/**
+ * Field-by-field comparison of two serialized productInfo objects
+ */
+function diffProductInfo(expected, actual) {
+  if (!expected || !actual) {
+    return expected === actual ? [] : [{ field: '(product)', expected: expected, actual: actual }];
+  }
+
+  const fields = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  const diffs = [];
+  for (const field of fields) {
+    const a = JSON.stringify(expected[field] === undefined ? null : expected[field]);
+    const b = JSON.stringify(actual[field] === undefined ? null : actual[field]);
+    if (a !== b) {
+      diffs.push({ field: field, expected: expected[field], actual: actual[field] });
+    }
+  }
+  return diffs;
+}
@@ -0,0 +1,103 @@
+// fixture_runner.js
+// Replays extraction fixtures (see extraction_fixtures.js) and reports snapshot differences.
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const resultsBody = document.getElementById("results");
+  const summary = document.getElementById("summary");
+
+  // Fixtures run against the built-in rules only, so results don't depend on
+  // the local rule overrides saved in the options page
+  const runFixtures = (entries) => {
+    resultsBody.innerHTML = "";
+    let failures = 0;
+
+    entries.forEach(({ name, fixture, error }) => {
+      const row = document.createElement("tr");
+      const retailer = fixture ? `${fixture.retailer || ""}${fixture.synthetic ? " (synthetic)" : ""}` : "";
+      const cells = [name, retailer, "", "", ""].map(text => {
+        const cell = document.createElement("td");
+        cell.textContent = text;
+        row.appendChild(cell);
+        return cell;
+      });
+      resultsBody.appendChild(row);
+
+      if (error) {
+        failures++;
+        cells[2].innerHTML = '<span class="fail">ERROR</span>';
+        cells[3].textContent = error;
+        return;
+      }
+
+      let replay;
+      try {
+        replay = replayExtractionFixture(fixture);
+      } catch (replayError) {
+        failures++;
+        cells[2].innerHTML = '<span class="fail">ERROR</span>';
+        cells[3].textContent = replayError.message;
+        return;
+      }
+
+      if (replay.diffs.length === 0) {
+        cells[2].innerHTML = '<span class="pass">PASS</span>';
+        return;
+      }
+
+      failures++;
+      cells[2].innerHTML = '<span class="fail">FAIL</span>';
+      replay.diffs.forEach(diff => {
+        const line = document.createElement("div");
+        line.className = "diff";
+        line.textContent = `${diff.field}: ${JSON.stringify(diff.expected)} → ${JSON.stringify(diff.actual)}`;
+        cells[3].appendChild(line);
+      });
+
+      // Accepting the new result downloads the fixture with an updated snapshot
+      const updateBtn = document.createElement("button");
+      updateBtn.textContent = "Update snapshot";
+      updateBtn.addEventListener("click", () => {
+        downloadExtractionFixture({ ...fixture, expected: replay.actual });
+      });
+      cells[4].appendChild(updateBtn);
+    });
+
+    summary.textContent = `${entries.length - failures} of ${entries.length} fixtures passed.`;
+    summary.className = failures > 0 ? "fail" : "pass";
+  };
+
+  document.getElementById("runBundled").addEventListener("click", async () => {
+    try {
+      const index = await (await fetch("fixtures/extraction/index.json")).json();
+      const entries = await Promise.all(index.map(async (file) => {
+        try {
+          const fixture = await (await fetch(`fixtures/extraction/${file}`)).json();
+          return { name: file, fixture };
+        } catch (error) {
+          return { name: file, error: `Could not load fixture: ${error.message}` };
+        }
+      }));
+      if (entries.length === 0) {
+        summary.textContent = "No bundled fixtures listed in fixtures/extraction/index.json.";
+        summary.className = "";
+        resultsBody.innerHTML = "";
+        return;
+      }
+      runFixtures(entries);
+    } catch (error) {
+      summary.textContent = `Could not load fixture index: ${error.message}`;
+      summary.className = "fail";
+    }
+  });
+
+  document.getElementById("fixtureFiles").addEventListener("change", async (e) => {
+    const entries = await Promise.all([...e.target.files].map(async (file) => {
+      try {
+        return { name: file.name, fixture: JSON.parse(await file.text()) };
+      } catch (error) {
+        return { name: file.name, error: `Invalid fixture JSON: ${error.message}` };
+      }
+    }));
+    runFixtures(entries);
+  });
+});
@@ -0,0 +1,23 @@
+// navigation_hook.js
+// Runs in the page's main world (see manifest.json) so it sees the page's own
+// history.pushState/replaceState calls, which content scripts in the isolated
+// world cannot patch. Each call is announced with a window event that
+// comparison_modal.js listens for.
+
+(() => {
+  // Patch only once per page, without leaving a marker on window for the page to
+  // see: an earlier copy answers this cancelable event by cancelling it
+  const probe = new CustomEvent('supershopper:historyhook', { cancelable: true });
+  window.dispatchEvent(probe);
+  if (probe.defaultPrevented) return;
+  window.addEventListener('supershopper:historyhook', (e) => e.preventDefault());
+  
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new CustomEvent('supershopper:locationchange', { detail: { method } }));
+      return result;
+    };
+  }
+})();
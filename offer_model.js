@@ -0,0 +1,370 @@
+// offer_model.js
+// The Offer: what a search result says about a listing (price, stock, rating,
+// brand, GTIN, condition, seller), read from a Google CSE item's pagemap
+// (offer, product, aggregaterating, metatags) with the title and snippet as a
+// fallback, and where each field came from. Loaded by the service worker
+// (search_providers.js builds one per candidate) and by the content scripts,
+// which share the availability and condition vocabulary with the page extractor
+// and match results on the Offer's GTIN. Needs price_utils.js and
+// product_identifiers.js.
+//
+// Offer shape:
+//   price        - number in currency, or null
+//   currency     - ISO code ('USD', 'GBP'; see SUPPORTED_CURRENCIES), set with price
+//   availability - 'In Stock', 'Limited Stock', 'Out of Stock', 'Pre-order',
+//                  'Backorder', 'Discontinued', 'In Store Only', or null
+//   rating       - average rating on a 0-5 scale, or null
+//   reviewCount  - number of reviews (or ratings), or null
+//   brand, seller - strings, or null
+//   gtin         - check-digit verified GTIN-14 (as productInfo.gtin), or null
+//   condition    - 'new', 'used', 'refurbished', 'open-box', or null
+//   provenance   - field name -> where it was read: 'pagemap.offer',
+//                  'pagemap.product', 'pagemap.aggregaterating', 'metatags',
+//                  'snippet' or 'title'
+
+/**
+ * Offer fields tracked in provenance
+ */
+const OFFER_FIELDS = ['price', 'currency', 'availability', 'rating', 'reviewCount', 'brand', 'gtin', 'condition', 'seller'];
+
+/**
+ * An Offer with no fields known
+ */
+function createEmptyOffer() {
+  const offer = {};
+  OFFER_FIELDS.forEach(field => { offer[field] = null; });
+  offer.provenance = {};
+  return offer;
+}
+
+/**
+ * Build the Offer of a search result
+ * @param {Object} item - CSE item ({ title, snippet, htmlSnippet, pagemap }); other
+ *   providers pass { title, snippet } and get what the text says
+ * @param {number|null} referencePrice - Current product's price, to pick among several prices in text
+ * @param {string} localCurrency - Currency the listing's store prices in (getCurrencyForUrl), for
+ *   prices that don't name one and for what "$" means
+ */
+function normalizeOffer(item, referencePrice = null, localCurrency = 'USD') {
+  const offer = createEmptyOffer();
+  const pagemap = (item && item.pagemap) || {};
+  const set = (field, value, source) => {
+    if (offer[field] == null && value != null && value !== '') {
+      offer[field] = value;
+      offer.provenance[field] = source;
+    }
+  };
+
+  // schema.org Offer: the most reliable source of price, stock, condition and seller
+  for (const entry of asPagemapList(pagemap.offer)) {
+    readOfferEntry(entry, 'pagemap.offer', set, referencePrice, localCurrency);
+  }
+
+  for (const product of asPagemapList(pagemap.product)) {
+    if (product.offers && typeof product.offers === 'object') {
+      for (const entry of asPagemapList(product.offers)) {
+        readOfferEntry(entry, 'pagemap.product', set, referencePrice, localCurrency);
+      }
+    }
+    readOfferEntry(product, 'pagemap.product', set, referencePrice, localCurrency);
+    set('brand', readBrand(pagemapValue(product, 'brand')), 'pagemap.product');
+    set('gtin', readGtin(product), 'pagemap.product');
+  }
+
+  for (const rating of asPagemapList(pagemap.aggregaterating)) {
+    const rated = readRating(rating);
+    if (rated) {
+      set('rating', rated.rating, 'pagemap.aggregaterating');
+      set('reviewCount', rated.reviewCount, 'pagemap.aggregaterating');
+    }
+  }
+
+  // OpenGraph / product: metatags
+  for (const tag of asPagemapList(pagemap.metatags)) {
+    const currency = readOfferCurrency(tag['product:price:currency'] || tag['og:price:currency'], localCurrency);
+    const amount = tag['product:price:amount'] || tag['og:price:amount'] || null;
+    if (amount && currency) {
+      const price = parseOfferPrice(amount, currency);
+      if (price) {
+        set('price', price, 'metatags');
+        set('currency', currency, 'metatags');
+      }
+    }
+    if (tag['twitter:label1'] === 'Price' && tag['twitter:data1']) {
+      const price = parseLocalizedPrice(tag['twitter:data1'], localCurrency);
+      if (price) {
+        set('price', price.amount, 'metatags');
+        if (offer.provenance.price === 'metatags') set('currency', price.currency, 'metatags');
+      }
+    }
+    set('availability', normalizeAvailability(tag['product:availability'] || tag['og:availability']), 'metatags');
+    set('condition', normalizeCondition(tag['product:condition'] || tag['og:condition']), 'metatags');
+    set('brand', readBrand(tag['product:brand'] || tag['og:brand']), 'metatags');
+  }
+
+  // Text: a "$12.99" or "£12.99" price, "Rating: 4.6 · 1,234 reviews", "In stock", "(Renewed)"
+  const text = `${(item && item.title) || ''} ${(item && item.snippet) || ''}`.replace(/\s+/g, ' ');
+  if (offer.price == null) {
+    const priceText = extractPriceFromItemTextOnly(item || {}, referencePrice, localCurrency);
+    const price = parseLocalizedPrice(priceText || '', localCurrency);
+    if (price) {
+      set('price', price.amount, 'snippet');
+      set('currency', price.currency, 'snippet');
+    }
+  }
+  const snippetRating = parseRatingText(text);
+  if (snippetRating) {
+    set('rating', snippetRating.rating, 'snippet');
+    set('reviewCount', snippetRating.reviewCount, 'snippet');
+  }
+  set('availability', parseAvailabilityText(text), 'snippet');
+  set('condition', parseConditionFromTitle(item && item.title), 'title');
+
+  return offer;
+}
+
+/**
+ * Price, currency, availability, condition and seller of a schema.org Offer (or Product) entry
+ * Prices in an unsupported currency are skipped; a bare product price far from the
+ * reference price is taken for a different currency or unit and skipped too.
+ */
+function readOfferEntry(entry, source, set, referencePrice, localCurrency = 'USD') {
+  const statedCurrency = pagemapValue(entry, 'priceCurrency');
+  const currency = readOfferCurrency(statedCurrency, localCurrency);
+  const rawPrice = pagemapValue(entry, 'price') || pagemapValue(entry, 'lowPrice');
+  if (rawPrice != null && currency) {
+    const price = parseOfferPrice(rawPrice, currency);
+    const plausible = source !== 'pagemap.product' || statedCurrency || !referencePrice ||
+      (price && price / referencePrice < 50 && price / referencePrice > 0.01);
+    if (price && plausible) {
+      set('price', price, source);
+      set('currency', currency, source);
+    }
+  }
+  set('availability', normalizeAvailability(pagemapValue(entry, 'availability')), source);
+  set('condition', normalizeCondition(pagemapValue(entry, 'itemCondition')), source);
+  const seller = pagemapValue(entry, 'seller');
+  set('seller', typeof seller === 'object' && seller ? (seller.name || null) : (seller || null), source);
+}
+
+/**
+ * Fill the gaps of one provider's Offer from another's copy of the same listing
+ */
+function mergeOffers(primary, secondary) {
+  if (!primary) return secondary || null;
+  if (!secondary) return primary;
+  const merged = { ...primary, provenance: { ...primary.provenance } };
+  OFFER_FIELDS.forEach(field => {
+    if (merged[field] == null && secondary[field] != null) {
+      merged[field] = secondary[field];
+      merged.provenance[field] = secondary.provenance[field];
+    }
+  });
+  return merged;
+}
+
+/**
+ * Pagemap entries are arrays of objects; a lone object is accepted too
+ */
+function asPagemapList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).filter(entry => entry && typeof entry === 'object');
+}
+
+/**
+ * Read a pagemap field whatever its case (CSE lowercases schema.org names: "pricecurrency")
+ */
+function pagemapValue(entry, name) {
+  if (!entry) return null;
+  if (entry[name] != null) return entry[name];
+  const lower = name.toLowerCase();
+  const key = Object.keys(entry).find(candidate => candidate.toLowerCase() === lower);
+  return key ? entry[key] : null;
+}
+
+/**
+ * Currency of a price field: the stated code when supported, the store's own
+ * currency when none is stated, null for a currency prices aren't read in
+ */
+function readOfferCurrency(currency, localCurrency = 'USD') {
+  if (!currency || !String(currency).trim()) return localCurrency;
+  return normalizeCurrencyCode(String(currency));
+}
+
+/**
+ * "$1,299.99", "1.299,99", "1299.99" or 1299.99 as a number; null when it isn't a positive price
+ */
+function parseOfferPrice(value, localCurrency = 'USD') {
+  if (typeof value === 'number') return value > 0 ? value : null;
+  const text = String(value).trim();
+  const localized = parseLocalizedPrice(text, localCurrency);
+  const price = localized ? localized.amount : parseLocalizedNumber(text, localCurrency);
+  return price != null && !isNaN(price) && price > 0 ? price : null;
+}
+
+/**
+ * Extract price from text only (fallback when structured data unavailable)
+ * This is less reliable than structured data but better than nothing
+ * @param {string} localCurrency - Currency of the listing's store, for what "$" means
+ */
+function extractPriceFromItemTextOnly(item, referencePrice = null, localCurrency = 'USD') {
+  // ONLY use this as fallback - structured data is preferred
+  const textToSearch = (item.title + ' ' + (item.snippet || '') + ' ' + (item.htmlSnippet || '')).replace(/\s+/g, ' ');
+  
+  // STRICT regex: ONLY match prices with a currency marker ($, £, €, C$, USD, ...)
+  const priceRegex = new RegExp(
+    `(?:(?:${CURRENCY_MARKER_PATTERN})\\s*(?:${LOCALIZED_AMOUNT_PATTERN})|(?:${LOCALIZED_AMOUNT_PATTERN})\\s*(?:${CURRENCY_MARKER_PATTERN}))` +
+    '(?!\\s*(?:off|discount|saved|cash back|shipping|tax))',
+    'gi'
+  );
+  
+  const matches = [...textToSearch.matchAll(priceRegex)];
+  
+  if (matches.length > 0) {
+    const candidates = matches.map(m => m[0].trim());
+    
+    if (referencePrice && candidates.length > 1) {
+      let bestCandidate = candidates[0];
+      let minDiff = Number.MAX_VALUE;
+      
+      for (const candidate of candidates) {
+        const val = parseLocalizedPrice(candidate, localCurrency)?.amount ?? null;
+        if (val !== null && val > 0) {
+          // Reject prices that are way off (currency confusion)
+          const ratio = val / referencePrice;
+          if (ratio > 50 || ratio < 0.01) continue;
+          
+          const diff = Math.abs(val - referencePrice);
+          if (diff < minDiff) {
+            minDiff = diff;
+            bestCandidate = candidate;
+          }
+        }
+      }
+      return bestCandidate;
+    }
+    
+    return candidates[0];
+  }
+  
+  // Fallback: Try decoding HTML snippet if simple regex failed
+  if (item.htmlSnippet) {
+    const decoded = item.htmlSnippet
+      .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&nbsp;/g, ' ')
+      .replace(/&#36;/g, '$').replace(/&pound;/g, '£').replace(/&euro;/g, '€'); // Decode currency entities
+      
+    const matchesHtml = [...decoded.matchAll(priceRegex)];
+    if (matchesHtml.length > 0) {
+      return matchesHtml[0][0].trim();
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Brand name from a string or a schema.org Brand/Organization object
+ */
+function readBrand(value) {
+  if (!value) return null;
+  const name = typeof value === 'object' ? value.name : value;
+  const trimmed = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '';
+  return trimmed || null;
+}
+
+/**
+ * GTIN from a product's gtin, gtin14, gtin13, gtin12, gtin8 or upc field, as a GTIN-14
+ * Values failing their check digit are skipped, as they are on the product page.
+ */
+function readGtin(product) {
+  for (const name of ['gtin', 'gtin14', 'gtin13', 'gtin12', 'gtin8', 'upc']) {
+    const gtin14 = toGtin14(String(pagemapValue(product, name) || '').replace(/\D/g, ''));
+    if (gtin14) return gtin14;
+  }
+  return null;
+}
+
+/**
+ * Rating on a 0-5 scale and review count of a schema.org AggregateRating
+ */
+function readRating(entry) {
+  const value = parseFloat(pagemapValue(entry, 'ratingValue'));
+  if (isNaN(value) || value <= 0) return null;
+  const best = parseFloat(pagemapValue(entry, 'bestRating')) || 5;
+  const count = parseInt(String(pagemapValue(entry, 'reviewCount') || pagemapValue(entry, 'ratingCount') || '').replace(/,/g, ''), 10);
+  return {
+    rating: Math.round((value / best) * 5 * 10) / 10,
+    reviewCount: isNaN(count) ? null : count
+  };
+}
+
+/**
+ * Rating in search snippet text: "Rating: 4.6 · 1,234 reviews", "4.5 out of 5 stars (812)"
+ */
+function parseRatingText(text) {
+  const match = text.match(/rating:?\s*([0-5](?:\.\d)?)(?:\s*\/\s*5)?(?:\s*[·\-–,]\s*\u200E?\s*([\d,]+)\s*(?:reviews?|ratings?|votes?))?/i) ||
+    text.match(/([0-5](?:\.\d)?)\s*out of\s*5\s*stars?(?:\s*\(?([\d,]+)\)?)?/i);
+  if (!match) return null;
+  const rating = parseFloat(match[1]);
+  if (isNaN(rating) || rating <= 0) return null;
+  const count = match[2] ? parseInt(match[2].replace(/,/g, ''), 10) : NaN;
+  return { rating, reviewCount: isNaN(count) ? null : count };
+}
+
+/**
+ * Stock status stated in snippet text
+ */
+function parseAvailabilityText(text) {
+  // "Not in stock" and "no longer in stock" mean out of stock, not in stock
+  if (/\b(out of stock|(?:not|no longer) in stock|sold out|currently unavailable)\b/i.test(text)) return 'Out of Stock';
+  if (/\bpre-?order\b/i.test(text)) return 'Pre-order';
+  if (/\b(back-?order(ed)?)\b/i.test(text)) return 'Backorder';
+  if (/\bin stock\b/i.test(text)) return 'In Stock';
+  return null;
+}
+
+/**
+ * Map schema.org / OpenGraph availability values to display text
+ */
+function normalizeAvailability(value) {
+  if (!value) return null;
+  const key = String(value).toLowerCase().replace(/^https?:\/\/schema\.org\//, '').replace(/[\s_-]/g, '');
+  const map = {
+    instock: 'In Stock',
+    onlineonly: 'In Stock',
+    limitedavailability: 'Limited Stock',
+    outofstock: 'Out of Stock',
+    soldout: 'Out of Stock',
+    discontinued: 'Discontinued',
+    preorder: 'Pre-order',
+    presale: 'Pre-order',
+    backorder: 'Backorder',
+    instoreonly: 'In Store Only'
+  };
+  return map[key] || null;
+}
+
+/**
+ * Normalize listing condition text to 'new', 'used', 'refurbished' or 'open-box'
+ * Accepts retailer wording ("Used - Like New", "Renewed", "Open Box: Excellent")
+ * and schema.org values ("https://schema.org/RefurbishedCondition")
+ */
+function normalizeCondition(value) {
+  if (!value) return null;
+  const text = String(value).toLowerCase();
+  if (/open[\s-]?box/.test(text)) return 'open-box';
+  if (/refurb|renewed|restored|remanufactured/.test(text)) return 'refurbished';
+  // Checked before "new" so "Used - Like New" stays used
+  if (/\bused|pre-?owned|second[\s-]?hand|damaged|for parts/.test(text)) return 'used';
+  if (/\bnew/.test(text)) return 'new';
+  return null;
+}
+
+/**
+ * Condition stated in a title, e.g. "Apple iPhone 13 (Renewed)"
+ * Only explicit non-new markers count; "New Balance" is not a condition.
+ */
+function parseConditionFromTitle(title) {
+  const match = (title || '').match(/\b(renewed|refurbished|restored|open[\s-]?box|pre-?owned)\b/i);
+  return match ? normalizeCondition(match[1]) : null;
+}
@@ -2,37 +2,336 @@ document.addEventListener("DOMContentLoaded", () => {
   const googleAPIKeyInput = document.getElementById("googleAPIKey");
   const googleSearchEngineIdInput = document.getElementById("googleSearchEngineId");
   const enableAPICallsInput = document.getElementById("enableAPICalls");
+  const enableDemoModeInput = document.getElementById("enableDemoMode");
+  const enableFixtureCaptureInput = document.getElementById("enableFixtureCapture");
+  const enableExtractionDebugInput = document.getElementById("enableExtractionDebug");
+  const customExtractionRulesInput = document.getElementById("customExtractionRules");
+  const customResultFiltersInput = document.getElementById("customResultFilters");
+  const resultFilterRules = document.getElementById("resultFilterRules");
+  const bingAPIKeyInput = document.getElementById("bingAPIKey");
+  const searxngURLInput = document.getElementById("searxngURL");
+  const dailyQueryCapInput = document.getElementById("dailyQueryCap");
+  const autoLoadMoreResultsInput = document.getElementById("autoLoadMoreResults");
+  const targetRetailerCountInput = document.getElementById("targetRetailerCount");
+  const maxResultPagesInput = document.getElementById("maxResultPages");
+  const regionInput = document.getElementById("region");
+  const enableCurrencyConversionInput = document.getElementById("enableCurrencyConversion");
+  const exchangeRatesInput = document.getElementById("exchangeRates");
+  const providerInputs = [...document.querySelectorAll(".search-provider")];
   const status = document.getElementById("status");
 
+  const showStatus = (text, color, duration = 2000) => {
+    status.textContent = text;
+    status.style.color = color;
+    setTimeout(() => {
+      status.textContent = "";
+      status.style.color = "";
+    }, duration);
+  };
+
+  Object.values(REGIONS).forEach(region => {
+    const option = document.createElement("option");
+    option.value = region.id;
+    option.textContent = `${region.label} (${region.currency})`;
+    regionInput.appendChild(option);
+  });
+  exchangeRatesInput.placeholder = JSON.stringify(BUNDLED_EXCHANGE_RATES);
+
   chrome.storage.sync.get(
-    { 
+    {
       googleAPIKey: '',
       googleSearchEngineId: '',
-      enableAPICalls: true
+      enableAPICalls: true,
+      enableDemoMode: false,
+      enableFixtureCapture: false,
+      enableExtractionDebug: false,
+      searchProviders: ["google"],
+      bingAPIKey: '',
+      searxngURL: '',
+      dailyQueryCap: DEFAULT_DAILY_QUERY_CAP,
+      autoLoadMoreResults: true,
+      targetRetailerCount: 6,
+      maxResultPages: 3,
+      region: DEFAULT_REGION_ID,
+      enableCurrencyConversion: false,
+      exchangeRates: {}
     },
     (settings) => {
       googleAPIKeyInput.value = settings.googleAPIKey || '';
       googleSearchEngineIdInput.value = settings.googleSearchEngineId || '';
       enableAPICallsInput.checked = settings.enableAPICalls !== false;
+      enableDemoModeInput.checked = settings.enableDemoMode === true;
+      enableFixtureCaptureInput.checked = settings.enableFixtureCapture === true;
+      enableExtractionDebugInput.checked = settings.enableExtractionDebug === true;
+      bingAPIKeyInput.value = settings.bingAPIKey || '';
+      searxngURLInput.value = settings.searxngURL || '';
+      dailyQueryCapInput.value = settings.dailyQueryCap;
+      renderSearchUsage(settings.dailyQueryCap);
+      autoLoadMoreResultsInput.checked = settings.autoLoadMoreResults !== false;
+      targetRetailerCountInput.value = settings.targetRetailerCount;
+      maxResultPagesInput.value = settings.maxResultPages;
+      regionInput.value = getRegion(settings.region).id;
+      enableCurrencyConversionInput.checked = settings.enableCurrencyConversion === true;
+      const rates = settings.exchangeRates || {};
+      exchangeRatesInput.value = Object.keys(rates).length > 0 ? JSON.stringify(rates, null, 2) : '';
+      providerInputs.forEach(input => {
+        input.checked = settings.searchProviders.includes(input.value);
+      });
     }
   );
 
+  // Rules can outgrow sync storage quotas, so they live in local storage
+  chrome.storage.local.get({ customExtractionRules: [], disabledResultFilters: [], customResultFilters: [] }, (items) => {
+    const rules = items.customExtractionRules || [];
+    customExtractionRulesInput.value = rules.length > 0 ? JSON.stringify(rules, null, 2) : '';
+    const filters = items.customResultFilters || [];
+    customResultFiltersInput.value = filters.length > 0 ? JSON.stringify(filters, null, 2) : '';
+    renderResultFilterRules(resultFilterRules, items.disabledResultFilters || []);
+  });
+
   document.getElementById("save").addEventListener("click", () => {
     const googleAPIKey = googleAPIKeyInput.value.trim();
     const googleSearchEngineId = googleSearchEngineIdInput.value.trim();
     const enableAPICalls = enableAPICallsInput.checked;
+    const enableDemoMode = enableDemoModeInput.checked;
+    const enableFixtureCapture = enableFixtureCaptureInput.checked;
+    const enableExtractionDebug = enableExtractionDebugInput.checked;
+    const bingAPIKey = bingAPIKeyInput.value.trim();
+    const searxngURL = searxngURLInput.value.trim();
+    const searchProviders = providerInputs.filter(input => input.checked).map(input => input.value);
+    const dailyQueryCap = parseInt(dailyQueryCapInput.value, 10);
+    const autoLoadMoreResults = autoLoadMoreResultsInput.checked;
+    const targetRetailerCount = parseInt(targetRetailerCountInput.value, 10);
+    const maxResultPages = parseInt(maxResultPagesInput.value, 10);
+    const region = regionInput.value;
+    const enableCurrencyConversion = enableCurrencyConversionInput.checked;
+
+    if (searchProviders.includes("searxng") && !/^https?:\/\//.test(searxngURL)) {
+      showStatus("SearXNG needs an http(s) URL.", "#d32f2f", 5000);
+      return;
+    }
+
+    if (!Number.isInteger(dailyQueryCap) || dailyQueryCap < 0) {
+      showStatus("Daily query limit must be a whole number (0 for no limit).", "#d32f2f", 5000);
+      return;
+    }
+
+    if (!Number.isInteger(targetRetailerCount) || targetRetailerCount < 1 ||
+        !Number.isInteger(maxResultPages) || maxResultPages < 1 || maxResultPages > 10) {
+      showStatus("More results: retailers must be at least 1 and pages between 1 and 10.", "#d32f2f", 5000);
+      return;
+    }
+
+    let exchangeRates;
+    try {
+      exchangeRates = parseExchangeRates(exchangeRatesInput.value);
+    } catch (error) {
+      showStatus(`Exchange rates not saved: ${error.message}`, "#d32f2f", 5000);
+      return;
+    }
+
+    let customExtractionRules;
+    try {
+      customExtractionRules = parseExtractionRules(customExtractionRulesInput.value);
+    } catch (error) {
+      showStatus(`Extraction rules not saved: ${error.message}`, "#d32f2f", 5000);
+      return;
+    }
 
-    chrome.storage.sync.set({ 
+    let customResultFilters;
+    try {
+      customResultFilters = parseResultFilters(customResultFiltersInput.value);
+    } catch (error) {
+      showStatus(`Result filters not saved: ${error.message}`, "#d32f2f", 5000);
+      return;
+    }
+    const disabledResultFilters = [...resultFilterRules.querySelectorAll("input[type=checkbox]")]
+      .filter(input => !input.checked)
+      .map(input => input.value);
+
+    chrome.storage.local.set({ customExtractionRules, customResultFilters, disabledResultFilters });
+    chrome.storage.sync.set({
       googleAPIKey,
       googleSearchEngineId,
-      enableAPICalls
+      enableAPICalls,
+      enableDemoMode,
+      enableFixtureCapture,
+      enableExtractionDebug,
+      searchProviders,
+      bingAPIKey,
+      searxngURL,
+      dailyQueryCap,
+      autoLoadMoreResults,
+      targetRetailerCount,
+      maxResultPages,
+      region,
+      enableCurrencyConversion,
+      exchangeRates
     }, () => {
-      status.textContent = "Settings saved.";
-      status.style.color = "#4caf50";
-      setTimeout(() => {
-        status.textContent = "";
-        status.style.color = "";
-      }, 2000);
+      renderSearchUsage(dailyQueryCap);
+      showStatus("Settings saved.", "#4caf50");
     });
   });
 });
+
+/**
+ * Show today's remaining queries per provider and a 14-day usage chart
+ */
+async function renderSearchUsage(cap) {
+  const ledger = await loadSearchUsage();
+  const quotaContainer = document.getElementById("usageQuota");
+  const chart = document.getElementById("usageChart");
+  const axis = document.getElementById("usageAxis");
+  const providerNames = { google: "Google Custom Search", bing: "Bing Web Search", searxng: "SearXNG", mock: "Mock" };
+
+  quotaContainer.innerHTML = "";
+  ["google", "bing"].forEach(id => {
+    const quota = getSearchQuota(ledger, id, cap);
+    const line = document.createElement("div");
+    line.className = `usage-quota${quota.cacheOnly ? " low" : ""}`;
+    line.textContent = quota.cap
+      ? `${providerNames[id]}: ${quota.used} used today, ${quota.remaining} of ${quota.cap} left${quota.cacheOnly ? " (cache-only)" : ""}`
+      : `${providerNames[id]}: ${quota.used} used today (no limit)`;
+    quotaContainer.appendChild(line);
+  });
+
+  const history = getSearchUsageHistory(ledger, 14);
+  const scale = Math.max(cap || 0, ...history.map(entry => entry.total), 1);
+  chart.innerHTML = "";
+  history.forEach(entry => {
+    const bar = document.createElement("div");
+    bar.className = "usage-bar";
+    bar.title = `${entry.day}: ${entry.total} queries` +
+      Object.entries(entry.counts).map(([id, count]) => `\n${providerNames[id] || id}: ${count}`).join("");
+    for (const [id, count] of Object.entries(entry.counts)) {
+      const segment = document.createElement("span");
+      segment.className = id;
+      segment.style.height = `${(count / scale) * 120}px`;
+      bar.appendChild(segment);
+    }
+    chart.appendChild(bar);
+  });
+  if (cap) {
+    const capLine = document.createElement("div");
+    capLine.className = "usage-cap-line";
+    capLine.style.bottom = `${(cap / scale) * 120}px`;
+    capLine.title = `Daily limit: ${cap}`;
+    chart.appendChild(capLine);
+  }
+  axis.innerHTML = `<span>${history[0].day}</span><span>today</span>`;
+}
+
+/**
+ * One checkbox per built-in result filter rule (result_filters.js), checked when enabled
+ */
+function renderResultFilterRules(container, disabled) {
+  container.innerHTML = "";
+  RESULT_FILTER_RULES.forEach(rule => {
+    const label = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.value = rule.id;
+    input.checked = !disabled.includes(rule.id);
+    label.append(input, ` ${rule.label} `);
+    const id = document.createElement("code");
+    id.textContent = rule.id;
+    label.appendChild(id);
+    container.appendChild(label);
+  });
+}
+
+/**
+ * Parse and sanity-check the exchange rates textarea: { "CAD": 1.38, ... } in units per US dollar
+ * Throws with a readable message when the JSON or a rate is malformed.
+ */
+function parseExchangeRates(text) {
+  if (!text.trim()) return {};
+
+  const rates = JSON.parse(text);
+  if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+    throw new Error("expected a JSON object of currency codes and rates");
+  }
+
+  const normalized = {};
+  for (const [code, rate] of Object.entries(rates)) {
+    const currency = normalizeCurrencyCode(code);
+    if (!currency) {
+      throw new Error(`"${code}" is not a supported currency (${SUPPORTED_CURRENCIES.join(", ")})`);
+    }
+    if (typeof rate !== "number" || !(rate > 0)) {
+      throw new Error(`rate for ${currency} must be a positive number`);
+    }
+    normalized[currency] = rate;
+  }
+  return normalized;
+}
+
+/**
+ * Parse and sanity-check the custom result filters textarea
+ * Throws with a readable message when the JSON or a rule is malformed.
+ */
+function parseResultFilters(text) {
+  if (!text.trim()) return [];
+
+  const rules = JSON.parse(text);
+  if (!Array.isArray(rules)) {
+    throw new Error("expected a JSON array of rules");
+  }
+
+  rules.forEach((rule, index) => {
+    const label = `rule ${index + 1}`;
+    if (!rule || typeof rule !== "object") {
+      throw new Error(`${label} must be an object`);
+    }
+    if (!["accept", "reject"].includes(rule.action)) {
+      throw new Error(`${label} "action" must be "accept" or "reject"`);
+    }
+    if (!["host", "url", "title"].includes(rule.field)) {
+      throw new Error(`${label} "field" must be "host", "url" or "title"`);
+    }
+    if (typeof rule.pattern === "string" && rule.pattern) {
+      try {
+        new RegExp(rule.pattern, "i");
+      } catch (error) {
+        throw new Error(`${label} "pattern" is not a valid regular expression`);
+      }
+    } else if (typeof rule.contains !== "string" || !rule.contains) {
+      throw new Error(`${label} needs "contains" or "pattern"`);
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Parse and sanity-check the custom extraction rules textarea
+ * Throws with a readable message when the JSON or a rule is malformed.
+ */
+function parseExtractionRules(text) {
+  if (!text.trim()) return [];
+
+  const rules = JSON.parse(text);
+  if (!Array.isArray(rules)) {
+    throw new Error("expected a JSON array of rules");
+  }
+
+  rules.forEach((rule, index) => {
+    const label = `rule ${index + 1}`;
+    if (!rule || typeof rule !== "object" || typeof rule.id !== "string" || !rule.id) {
+      throw new Error(`${label} needs a string "id"`);
+    }
+    if (rule.hosts !== undefined && !Array.isArray(rule.hosts)) {
+      throw new Error(`${label} "hosts" must be an array`);
+    }
+    if (rule.fields !== undefined && (typeof rule.fields !== "object" || Array.isArray(rule.fields))) {
+      throw new Error(`${label} "fields" must be an object`);
+    }
+    for (const [name, spec] of Object.entries(rule.fields || {})) {
+      if (spec.selectors !== undefined && !Array.isArray(spec.selectors)) {
+        throw new Error(`${label} field "${name}" selectors must be an array`);
+      }
+    }
+  });
+
+  return rules;
+}
@@ -1,31 +1,459 @@
 // price_utils.js
-// Shared utilities for parsing price text and formatting currency.
+// Shared utilities for parsing price text and formatting currency, in USD and the
+// other SUPPORTED_CURRENCIES.
 
 /**
- * Try to parse the first currency-like number in a string.
- * Returns number in float (USD assumed) or null.
+ * Currencies prices are read and compared in (ISO codes)
+ */
+const SUPPORTED_CURRENCIES = ["USD", "CAD", "GBP", "EUR", "AUD", "NZD", "MXN", "CHF", "JPY", "INR"];
+
+/**
+ * Currencies written with a bare "$"; which one a "$" means depends on the store
+ */
+const DOLLAR_CURRENCIES = ["USD", "CAD", "AUD", "NZD", "MXN"];
+
+/**
+ * Symbols and prefixes that name a currency ("C$", "£"); a bare "$" is resolved separately
+ */
+const CURRENCY_SYMBOLS = {
+  "US$": "USD", "C$": "CAD", "CA$": "CAD", "A$": "AUD", "AU$": "AUD", "NZ$": "NZD", "MX$": "MXN",
+  "£": "GBP", "€": "EUR", "¥": "JPY", "₹": "INR"
+};
+
+// A currency marker: a symbol (longest first), a bare "$" or an ISO code
+const CURRENCY_MARKER_PATTERN = [
+  ...Object.keys(CURRENCY_SYMBOLS).sort((a, b) => b.length - a.length).map(symbol => symbol.replace(/\$/g, "\\$")),
+  "\\$",
+  `\\b(?:${SUPPORTED_CURRENCIES.join("|")})\\b`
+].join("|");
+
+// Currencies whose stores group thousands with "." ("1.299,99 €")
+const DOT_GROUPING_CURRENCIES = ["EUR"];
+
+// An amount with either decimal convention: "1,299.99", "1.299,99", "1 299,99" (NBSP),
+// "12,99", "1299", or Indian lakh grouping ("1,29,999")
+// Groups split by a plain space only count before a decimal part or a currency
+// marker ("1 299,99", "1 299 €"), or after a marker when nothing but punctuation
+// follows ("$1 234"), so "5 100" and "$5 100 sold" stay two numbers.
+const LOCALIZED_AMOUNT_PATTERN = [
+  `(?<=(?:${CURRENCY_MARKER_PATTERN})\\s*)[0-9]{1,3}(?: [0-9]{3})+(?:[.,][0-9]{1,2}(?![0-9])|(?=\\s*(?:$|[^\\sA-Za-z0-9])))`,
+  `[0-9]{1,3}(?: [0-9]{3})+(?:[.,][0-9]{1,2}(?![0-9])|(?=\\s*(?:${CURRENCY_MARKER_PATTERN})))`,
+  "[0-9]{1,2}(?:,[0-9]{2})+,[0-9]{3}(?:\\.[0-9]{1,2})?(?![0-9])",
+  "[0-9]{1,3}(?:[.,\\u00A0\\u202F'][0-9]{3})+(?:[.,][0-9]{1,2})?(?![0-9])",
+  "[0-9]+(?:[.,][0-9]{1,2})?(?![0-9])"
+].join("|");
+
+// Labels before an amount saying what it is
+const WAS_PRICE_LABEL = /\b(?:was|list(?:\s+price)?|reg(?:ular)?\.?(?:\s+price)?|original(?:ly)?(?:\s+price)?|compare\s+at|msrp|rrp|retail(?:\s+price)?)\s*:?\s*$/i;
+const FROM_PRICE_LABEL = /\b(?:from|starting\s+(?:at|from)|as\s+low\s+as)\s*:?\s*$/i;
+const MULTIBUY_LABEL = /(?<![\w.,])(\d{1,2})\s*(?:for|\/)\s*$/i;
+
+// Amounts that are savings, fees or charges rather than what the item costs
+const NOT_A_PRICE_BEFORE = /\b(?:save|saving|you\s+save|extra|shipping|delivery|plus)\s*:?\s*$|\+\s*$/i;
+const NOT_A_PRICE_AFTER = /^\s*(?:off\b|discount|saved?\b|savings|cash\s*back|shipping|delivery|tax|credit|rebate|coupon|in\s+rewards)/i;
+
+// Ratings, review counts and percentages, blanked out before amounts are looked for
+const PRICE_NOISE_PATTERN = /\brat(?:ed|ing)\s*:?\s*[0-5](?:[.,][0-9])?|\b[0-5](?:[.,][0-9])?\s*(?:out\s+of\s+5|\/\s*5(?![0-9]))(?:\s*stars?)?|\b[0-5](?:[.,][0-9])?\s*stars?\b|\(?\b[0-9][0-9,.]*\)?\s*(?:reviews?|ratings?|votes?)\b|\b[0-9]+(?:[.,][0-9]+)?\s*%/gi;
+
+/**
+ * Parse price text into a structured result
+ * Understands both decimal conventions ("1,299.99", "1.299,99 €"), currency
+ * codes and symbols, ranges ("$10 – $20"), was/now pairs (labelled, or struck
+ * through with U+0336), "from $X" and multi-buy offers ("2 for $5"). Ratings
+ * ("4.5 out of 5"), review counts, percentages, savings ("Save $5", "$5 off")
+ * and shipping or tax amounts are not taken for the price.
+ *
+ * kind is 'single', 'range' (amount is the low end), 'sale' (amount is the
+ * current price, was the earlier one), 'from' or 'multibuy' (amount is the
+ * price of one item, total what the offer costs). confidence runs from 0 to 1:
+ * high for an amount with a currency marker and an unambiguous reading, lower
+ * for bare numbers, for a was price with no current one and when several
+ * unrelated prices compete.
+ *
+ * @param {Object} options - localCurrency: currency of the store, used for "$" and
+ *   unmarked amounts; requireCurrency: ignore amounts without a currency marker
+ * @returns {{ amount: number, currency: string, kind: string, confidence: number,
+ *   low: number|null, high: number|null, was: number|null, quantity: number|null,
+ *   total: number|null }|null}
+ */
+function parsePrice(text, { localCurrency = "USD", requireCurrency = false } = {}) {
+  if (!text || typeof text !== "string") return null;
+  const { plain, struck } = readStruckText(text.replace(/[\u2012-\u2015\u2212]/g, "-"));
+  const masked = plain.replace(PRICE_NOISE_PATTERN, match => " ".repeat(match.length));
+
+  let tokens = findPriceTokens(masked, struck, localCurrency);
+
+  // "2 for $5", "3/$10": the count in front is not a price
+  let multibuy = null;
+  for (const token of tokens) {
+    const match = token.marked && !multibuy ? masked.slice(0, token.start).match(MULTIBUY_LABEL) : null;
+    if (match && parseInt(match[1], 10) > 1) {
+      multibuy = { token, quantity: parseInt(match[1], 10) };
+      tokens = tokens.filter(other => other === token || other.end <= match.index || other.start >= token.start);
+    }
+  }
+
+  if (requireCurrency) tokens = tokens.filter(token => token.marked);
+  if (tokens.length === 0) return null;
+
+  const marked = tokens.filter(token => token.marked);
+  const currency = (marked[0] || tokens[0]).currency;
+  const result = ({ confidence, ...fields }) => ({
+    amount: fields.amount,
+    currency,
+    kind: fields.kind,
+    confidence: Math.round(confidence * 100) / 100,
+    low: null, high: null, was: null, quantity: null, total: null,
+    ...fields
+  });
+
+  // Ranges: "$10 - $20", "$10 to $20", "10 - 20 €"
+  for (let i = 0; i + 1 < tokens.length; i++) {
+    const [low, high] = [tokens[i], tokens[i + 1]];
+    if ((low.marked || high.marked) && /^\s*(?:-|to)\s*$/i.test(high.before) && high.amount > low.amount) {
+      return result({ amount: low.amount, kind: "range", low: low.amount, high: high.amount, confidence: 0.9 });
+    }
+  }
+
+  // Was/now: a labelled or struck-through earlier price and the current one
+  const isWas = (token) => token.struck || WAS_PRICE_LABEL.test(token.before);
+  const was = tokens.find(isWas);
+  const current = (marked.length > 0 ? marked : tokens).find(token => !isWas(token));
+
+  if (multibuy) {
+    const total = multibuy.token.amount;
+    return result({
+      amount: Math.round((total / multibuy.quantity) * 100) / 100,
+      kind: "multibuy",
+      was: was && was !== multibuy.token ? was.amount : null,
+      quantity: multibuy.quantity,
+      total: total,
+      confidence: 0.85
+    });
+  }
+
+  if (was && current) {
+    return result({ amount: current.amount, kind: "sale", was: was.amount, confidence: current.marked ? 0.95 : 0.7 });
+  }
+
+  const from = tokens.find(token => FROM_PRICE_LABEL.test(token.before));
+  if (from) {
+    return result({ amount: from.amount, kind: "from", confidence: from.marked ? 0.85 : 0.5 });
+  }
+
+  if (!current) {
+    // Only a was price: better than nothing, but probably not what it sells for
+    return result({ amount: was.amount, kind: "single", confidence: 0.4 });
+  }
+
+  // Just two marked prices side by side ("$19.99 $24.99") are usually a sale
+  // whose strike-through styling was lost with the markup
+  const next = tokens[tokens.indexOf(current) + 1];
+  if (marked.length === 2 && current.marked && next && next.marked && /^\s*$/.test(next.before) &&
+      next.amount !== current.amount) {
+    return result({
+      amount: Math.min(current.amount, next.amount),
+      kind: "sale",
+      was: Math.max(current.amount, next.amount),
+      confidence: 0.7
+    });
+  }
+
+  const rivals = new Set(marked.map(token => token.amount)).size - 1;
+  const confidence = current.marked ? 0.9 - Math.min(rivals, 2) * 0.15 : 0.5;
+  return result({ amount: current.amount, kind: "single", confidence });
+}
+
+/**
+ * Text without strike-through combining marks (U+0335, U+0336, U+0338), and
+ * which of its characters carried one
+ */
+function readStruckText(text) {
+  let plain = "";
+  const struck = [];
+  for (let i = 0; i < text.length; i++) {
+    if (/[\u0335\u0336\u0338]/.test(text[i])) {
+      if (struck.length > 0) struck[struck.length - 1] = true;
+      continue;
+    }
+    plain += text[i];
+    struck.push(false);
+  }
+  return { plain, struck };
+}
+
+/**
+ * Amounts in text, with their currency and the text since the previous amount
+ * Savings, fees and bare numbers that count or measure something are left out.
+ */
+function findPriceTokens(text, struck, localCurrency) {
+  const regex = new RegExp(
+    `(?<![\\w.,$])(?:(${CURRENCY_MARKER_PATTERN})\\s*)?(${LOCALIZED_AMOUNT_PATTERN})(?!\\w)` +
+    `(?:\\s*(?:(${CURRENCY_MARKER_PATTERN})(?!\\s*[0-9])|(¢)))?`,
+    "gi"
+  );
+  const countedAfter = new RegExp(`^\\s*(?:${QUANTITY_UNIT_PATTERN}|x|pack|pk|items?|sold|left|in\\s+stock|days?|months?|years?|hours?)(?![a-z])`, "i");
+  const tokens = [];
+  let previousEnd = 0;
+  for (const m of text.matchAll(regex)) {
+    const start = m.index;
+    const end = m.index + m[0].length;
+    const before = text.slice(previousEnd, start);
+    const after = text.slice(end);
+    const marker = m[1] || m[3];
+    let currency = marker ? resolveCurrencyMarker(/^[a-z]{3}$/i.test(marker) ? marker.toUpperCase() : marker, localCurrency) : null;
+    let amount = parseLocalizedNumber(m[2], currency || localCurrency);
+    if (m[4]) {
+      // Unit prices are often shown in cents: "25.0¢/oz"
+      amount = amount != null ? amount / 100 : null;
+      currency = DOLLAR_CURRENCIES.includes(localCurrency) ? localCurrency : "USD";
+    }
+    previousEnd = end;
+    if (amount == null || amount <= 0 || (marker && !currency)) continue;
+    if (NOT_A_PRICE_BEFORE.test(before) || NOT_A_PRICE_AFTER.test(after)) continue;
+    if (!currency && countedAfter.test(after)) continue;
+    tokens.push({
+      start, end, before, amount,
+      currency: currency || localCurrency,
+      marked: !!currency,
+      struck: struck.slice(start, end).some(Boolean)
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Amount of the price in a string ("$1,234.56", "1.299,00 €", "From $20"), in
+ * whatever currency it is; null when there is none. See parsePrice.
  */
 function parsePriceText(text) {
+  const parsed = parsePrice(text);
+  return parsed ? parsed.amount : null;
+}
+
+/**
+ * Read an amount written in either decimal convention
+ * The last separator followed by one or two digits is the decimal point. A lone
+ * ",ddd" groups thousands ("1,299"); a lone ".ddd" does only in currencies that
+ * group with "." ("1.299 €") and is a decimal part otherwise ("$1.125/oz"). Two or
+ * more groups ("1.299.000") always group.
+ */
+function parseLocalizedNumber(text, currency = "USD") {
+  if (text == null) return null;
+  const digits = String(text).replace(/[\s\u00A0\u202F']/g, "");
+  if (!/^[0-9]*[.,]?[0-9][0-9.,]*$/.test(digits)) return null;
+
+  const lastDot = digits.lastIndexOf(".");
+  const lastComma = digits.lastIndexOf(",");
+  let decimal = null;
+  if (lastDot >= 0 && lastComma >= 0) {
+    decimal = lastDot > lastComma ? "." : ",";
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const separator = lastDot >= 0 ? "." : ",";
+    const parts = digits.split(separator);
+    const dotGroups = DOT_GROUPING_CURRENCIES.includes(currency);
+    if (parts.length === 2 && (parts[1].length !== 3 || (separator === "." && !dotGroups) || /^0*$/.test(parts[0]))) decimal = separator;
+  }
+
+  const grouping = decimal === "," ? /\./g : decimal === "." ? /,/g : /[.,]/g;
+  const value = parseFloat(digits.replace(grouping, "").replace(",", "."));
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Currency of a marker found next to a price
+ * A bare "$" is the store's own dollar (localCurrency) when it uses one, else USD.
+ */
+function resolveCurrencyMarker(marker, localCurrency = "USD") {
+  if (marker === "$") return DOLLAR_CURRENCIES.includes(localCurrency) ? localCurrency : "USD";
+  return CURRENCY_SYMBOLS[marker] || normalizeCurrencyCode(marker);
+}
+
+/**
+ * Uppercased ISO code when it is one of SUPPORTED_CURRENCIES, else null
+ */
+function normalizeCurrencyCode(code) {
+  if (!code || typeof code !== "string") return null;
+  const upper = code.trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(upper) ? upper : null;
+}
+
+/**
+ * Amount and currency of the price in text that names its currency: "$1,299.99",
+ * "C$ 24.99", "£12.50", "1.299,00 €", "12,99 EUR"
+ * Numbers without a marker are not taken for prices. See parsePrice.
+ * @param {string} localCurrency - Currency of the store the text is from; decides what "$" means
+ * @returns {{ amount: number, currency: string }|null}
+ */
+function parseLocalizedPrice(text, localCurrency = "USD") {
+  const parsed = parsePrice(text, { localCurrency, requireCurrency: true });
+  return parsed ? { amount: parsed.amount, currency: parsed.currency } : null;
+}
+
+/**
+ * Units a quantity can be expressed in, converted to one base unit per dimension
+ * so "1 lb" and "16 oz" (or "1 L" and "33.8 fl oz") compare directly.
+ */
+const QUANTITY_UNITS = {
+  "fl oz": { base: "fl oz", factor: 1 },
+  "fluid ounce": { base: "fl oz", factor: 1 },
+  "ml": { base: "fl oz", factor: 0.033814 },
+  "milliliter": { base: "fl oz", factor: 0.033814 },
+  "l": { base: "fl oz", factor: 33.814 },
+  "liter": { base: "fl oz", factor: 33.814 },
+  "litre": { base: "fl oz", factor: 33.814 },
+  "gal": { base: "fl oz", factor: 128 },
+  "gallon": { base: "fl oz", factor: 128 },
+  "qt": { base: "fl oz", factor: 32 },
+  "quart": { base: "fl oz", factor: 32 },
+  "pt": { base: "fl oz", factor: 16 },
+  "pint": { base: "fl oz", factor: 16 },
+  "oz": { base: "oz", factor: 1 },
+  "ounce": { base: "oz", factor: 1 },
+  "lb": { base: "oz", factor: 16 },
+  "pound": { base: "oz", factor: 16 },
+  "g": { base: "oz", factor: 0.035274 },
+  "gram": { base: "oz", factor: 0.035274 },
+  "kg": { base: "oz", factor: 35.274 },
+  "kilogram": { base: "oz", factor: 35.274 },
+  "count": { base: "count", factor: 1 },
+  "ct": { base: "count", factor: 1 },
+  "each": { base: "count", factor: 1 },
+  "piece": { base: "count", factor: 1 },
+  "pc": { base: "count", factor: 1 },
+  "tablet": { base: "count", factor: 1 },
+  "capsule": { base: "count", factor: 1 },
+  "sheet": { base: "sheet", factor: 1 },
+  "load": { base: "load", factor: 1 }
+};
+
+/**
+ * Look up a unit word ("Fl. Oz.", "lbs", "Ounces", "Count") in QUANTITY_UNITS
+ * Plurals are tried without a trailing "s" first ("ounces", "pieces"), then
+ * without "es".
+ */
+function normalizeQuantityUnit(unitText) {
+  if (!unitText) return null;
+  const key = unitText.toLowerCase().replace(/\./g, "").replace(/\s+/g, " ").trim();
+  return QUANTITY_UNITS[key] || QUANTITY_UNITS[key.replace(/s$/, "")] || QUANTITY_UNITS[key.replace(/es$/, "")] || null;
+}
+
+// Unit words, longest first so "fl oz" wins over "oz"
+const QUANTITY_UNIT_PATTERN = "fl\\.?\\s?oz\\.?|fluid\\s+ounces?|ounces?|oz\\.?|milliliters?|ml|liters?|litres?|l|gallons?|gal|quarts?|qt|pints?|pt|pounds?|lbs?\\.?|kilograms?|kg|grams?|g|count|ct|each|pieces?|pcs?|tablets?|capsules?|sheets?|loads?";
+
+/**
+ * Parse the quantity a listing is sold in
+ * Handles "24 fl oz", "Pack of 6", "120 Count", "6 x 16.9 fl oz" and
+ * "16.9 Fl Oz (Pack of 6)"; pack counts multiply the per-item size.
+ * @returns {{ amount: number, unit: string, packCount: number }|null}
+ *          amount in the base unit of QUANTITY_UNITS, across the whole pack
+ */
+function parseQuantityText(text) {
   if (!text || typeof text !== "string") return null;
-  // Remove non-breaking spaces
   text = text.replace(/\u00A0/g, " ");
-  // Regex: find currency symbol optional, digits, comma/period
-  // We'll accept numbers like "$1,234.56", "1,234.56", "€123.45", "£99"
-  const m = text.match(/([£€¥$])?\s*([0-9]{1,3}(?:[, \u00A0][0-9]{3})*(?:\.[0-9]+)?|[0-9]+(?:\.[0-9]+)?)/);
+
+  const sizeRegex = new RegExp(`(\\d+(?:\\.\\d+)?)\\s?-?\\s?(${QUANTITY_UNIT_PATTERN})(?![a-z])`, "i");
+  const multiRegex = new RegExp(`(\\d+)\\s?[x×]\\s?(\\d+(?:\\.\\d+)?)\\s?-?\\s?(${QUANTITY_UNIT_PATTERN})(?![a-z])`, "i");
+  const packMatch = text.match(/\b(?:pack|set|case|box) of (\d+)\b/i) || text.match(/\b(\d+)[\s-]?(?:pack|pk)\b/i);
+
+  let packCount = packMatch ? parseInt(packMatch[1], 10) : 1;
+  let size = null;
+
+  const multi = text.match(multiRegex);
+  if (multi) {
+    packCount = parseInt(multi[1], 10);
+    size = { value: parseFloat(multi[2]), unit: normalizeQuantityUnit(multi[3]) };
+  } else {
+    // Loads beat a measured size ("64 Loads, 92 fl oz" compares per load), and a
+    // measured size beats a bare count
+    const sizes = [...text.matchAll(new RegExp(sizeRegex.source, "gi"))]
+      .map(m => ({ value: parseFloat(m[1]), unit: normalizeQuantityUnit(m[2]) }))
+      .filter(candidate => candidate.unit && candidate.value > 0);
+    size = sizes.find(candidate => candidate.unit.base === "load") ||
+      sizes.find(candidate => candidate.unit.base !== "count") || sizes[0] || null;
+    if (size && size.unit.base === "count" && packMatch) {
+      // "Pack of 2, 120 Count" is 240 tablets
+      return { amount: size.value * packCount, unit: "count", packCount };
+    }
+  }
+
+  if (size && size.unit) {
+    const amount = Math.round(size.value * size.unit.factor * packCount * 1000) / 1000;
+    return { amount, unit: size.unit.base, packCount };
+  }
+  if (packMatch && packCount > 0) {
+    return { amount: packCount, unit: "count", packCount };
+  }
+  return null;
+}
+
+/**
+ * Price per base unit for a listing
+ * @returns {{ value: number, unit: string, currency: string }|null}
+ */
+function computeUnitPrice(price, quantity, currency = "USD") {
+  if (!price || !quantity || !quantity.amount || quantity.amount <= 0) return null;
+  // A single item priced "per count" says nothing the sticker price doesn't
+  if (quantity.unit === "count" && quantity.amount === 1) return null;
+  return { value: price / quantity.amount, unit: quantity.unit, currency: currency };
+}
+
+/**
+ * Parse a retailer-shown unit price such as "$0.25/oz", "($0.54 / Fl Oz)",
+ * "25.0¢/oz", "$1.20 per lb" or "£1.10/kg", converted to the base unit
+ * @param {string} localCurrency - Currency of the store, for "$" and unmarked prices
+ * @returns {{ value: number, unit: string, currency: string }|null}
+ */
+function parseUnitPriceText(text, localCurrency = "USD") {
+  if (!text || typeof text !== "string") return null;
+  const m = text.replace(/\u00A0/g, " ")
+    .match(new RegExp(`((?:[A-Z]{1,2}\\$|[£€¥$])?\\s*(?:[0-9]{1,3}(?:[., \\u202F'][0-9]{3})+(?:[.,][0-9]+)?|[0-9]+(?:[.,][0-9]+)?)\\s*[¢€£]?)\\s*(?:/|per)\\s*(\\d+(?:\\.\\d+)?\\s*)?(${QUANTITY_UNIT_PATTERN})(?![a-z])`, "i"));
   if (!m) return null;
-  // m[2] has numeric with commas/spaces — remove commas/spaces
-  const cleaned = m[2].replace(/[, \u00A0]/g, "");
-  const v = parseFloat(cleaned);
-  if (isNaN(v)) return null;
-  return v;
+  const localized = parseLocalizedPrice(m[1], localCurrency);
+  const price = localized ? localized.amount : parsePriceText(m[1]);
+  const unit = normalizeQuantityUnit(m[3]);
+  if (!price || !unit) return null;
+  // "$2.50 / 100 ct" is per 100
+  const per = m[2] ? parseFloat(m[2]) : 1;
+  return { value: price / (per * unit.factor), unit: unit.base, currency: localized ? localized.currency : localCurrency };
 }
 
-function formatCurrency(n) {
+/**
+ * Whether two unit prices can be compared directly
+ * Listings for liquids say "oz" and "fl oz" interchangeably, so the two are treated alike.
+ * Prices in different currencies are not comparable (see toRegionUnitPrice in regions.js).
+ */
+function isUnitPriceComparable(a, b) {
+  if (!a || !b || !(a.value > 0) || !(b.value > 0)) return false;
+  if ((a.currency || "USD") !== (b.currency || "USD")) return false;
+  const ounces = ["oz", "fl oz"];
+  return a.unit === b.unit || (ounces.includes(a.unit) && ounces.includes(b.unit));
+}
+
+/**
+ * "$0.254/fl oz"; sub-dollar unit prices keep a third decimal
+ */
+function formatUnitPrice(unitPrice) {
+  if (!unitPrice || unitPrice.value == null || isNaN(unitPrice.value)) return "--";
+  const digits = unitPrice.value < 1 ? 3 : 2;
+  const value = unitPrice.value.toLocaleString(undefined, {
+    style: "currency",
+    currency: unitPrice.currency || "USD",
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  });
+  return `${value}/${unitPrice.unit}`;
+}
+
+/**
+ * "$12.99", "CA$12.99" or "£12.99" (symbols follow the browser's locale unless one is given)
+ */
+function formatCurrency(n, currency = "USD", locale = undefined) {
   if (n == null || isNaN(n)) return "--";
   // Always show 2 decimal places for currency
-  return n.toLocaleString(undefined, { 
+  return n.toLocaleString(locale, { 
     style: "currency", 
-    currency: "USD", 
+    currency: currency || "USD", 
     minimumFractionDigits: 2,
     maximumFractionDigits: 2 
   });
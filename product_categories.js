@@ -0,0 +1,340 @@
+// product_categories.js
+// Product categories and the stores that specialise in them. The category is
+// detected from the page's breadcrumb trail (productInfo.breadcrumbs) or, failing
+// that, its title; the search planner then adds a query restricted to the
+// category's stores (only for a breadcrumb match or a title naming the category
+// more than once, since the query counts against the daily cap), and the modal
+// groups retailers by their retailer group.
+// Also names retailers from their URL (extractRetailerName), for the modal and
+// the structured data extractor.
+
+/**
+ * Retailer groups in display order, each with the domain names of its stores
+ * patterns: registrable domain name ("bestbuy") -> display name, merged into RETAILER_MAP
+ */
+const RETAILER_GROUPS = [
+  {
+    id: 'general',
+    label: 'Department stores',
+    patterns: {
+      'amazon': 'Amazon',
+      'target': 'Target',
+      'walmart': 'Walmart',
+      'costco': 'Costco',
+      'ebay': 'eBay',
+      'kroger': 'Kroger',
+      'walgreens': 'Walgreens',
+      'frysfood': "Fry's Food",
+      'homedepot': 'Home Depot',
+      'home-depot': 'Home Depot',
+      'lowes': "Lowe's",
+      'kohls': "Kohl's",
+      'macys': "Macy's",
+      'jcpenney': "JCPenney",
+      'jc-penney': "JCPenney",
+      'sears': 'Sears',
+      'overstock': 'Overstock',
+      'zappos': 'Zappos'
+    }
+  },
+  {
+    id: 'electronics',
+    label: 'Electronics & tech',
+    patterns: {
+      'bestbuy': 'Best Buy',
+      'best-buy': 'Best Buy',
+      'newegg': 'Newegg',
+      'bhphotovideo': 'B&H Photo',
+      'bhphoto': 'B&H Photo',
+      'microcenter': 'Micro Center',
+      'micro-center': 'Micro Center',
+      'frys': "Fry's Electronics",
+      'apple': 'Apple',
+      'microsoft': 'Microsoft Store'
+    }
+  },
+  {
+    id: 'office',
+    label: 'Office supplies',
+    patterns: {
+      'staples': 'Staples',
+      'officedepot': 'Office Depot',
+      'office-depot': 'Office Depot',
+      'officemax': 'OfficeMax'
+    }
+  },
+  {
+    id: 'sports',
+    label: 'Sports & outdoor',
+    patterns: {
+      'rei': 'REI',
+      'dickssportinggoods': "Dick's Sporting Goods",
+      'dicks': "Dick's Sporting Goods",
+      'academy': "Academy Sports"
+    }
+  },
+  {
+    id: 'pets',
+    label: 'Pet stores',
+    patterns: {
+      'chewy': 'Chewy',
+      'petco': 'Petco',
+      'petsmart': 'PetSmart',
+      'pet-smart': 'PetSmart'
+    }
+  },
+  {
+    id: 'home',
+    label: 'Home & furniture',
+    patterns: {
+      'wayfair': 'Wayfair',
+      'bedbathandbeyond': "Bed Bath & Beyond",
+      'bed-bath-and-beyond': "Bed Bath & Beyond",
+      'crateandbarrel': 'Crate & Barrel',
+      'crate-and-barrel': 'Crate & Barrel',
+      'potterybarn': 'Pottery Barn',
+      'pottery-barn': 'Pottery Barn',
+      'westelm': 'West Elm',
+      'west-elm': 'West Elm',
+      'ikea': 'IKEA'
+    }
+  },
+  {
+    id: 'specialty',
+    label: 'Specialty stores',
+    patterns: {
+      'gamestop': 'GameStop',
+      'game-stop': 'GameStop',
+      'ulta': 'Ulta Beauty',
+      'sephora': 'Sephora',
+      'nordstromrack': "Nordstrom Rack",
+      'nordstrom-rack': "Nordstrom Rack",
+      'nordstrom': 'Nordstrom'
+    }
+  },
+  {
+    id: 'brand',
+    label: 'Brand websites',
+    patterns: {
+      'nike': 'Nike',
+      'adidas': 'Adidas',
+      'sony': 'Sony',
+      'samsung': 'Samsung',
+      'dell': 'Dell',
+      'hp': 'HP',
+      'lenovo': 'Lenovo',
+      'jbl': 'JBL',
+      'lg': 'LG',
+      'tcl': 'TCL'
+    }
+  }
+];
+
+/**
+ * Group for retailers missing from RETAILER_GROUPS
+ */
+const OTHER_RETAILER_GROUP = { id: 'other', label: 'Other stores' };
+
+/**
+ * Comprehensive retailer mapping for 20+ major retailers
+ * Maps domain names to display names; built from RETAILER_GROUPS
+ */
+const RETAILER_MAP = Object.assign({}, ...RETAILER_GROUPS.map(group => group.patterns));
+
+/**
+ * Extract retailer name from URL using comprehensive mapping
+ * Matches the registrable domain's name (parseDomain, domain_utils.js), so
+ * "shop.lg.com" is LG but "blogspot.com" stores and "lgbtqstore.com" are not.
+ */
+function extractRetailerName(url) {
+  const domain = parseDomain(url);
+  if (!domain) return 'Other Retailer';
+  
+  // Known retailer by its domain name ("bestbuy" from "www.bestbuy.com")
+  if (Object.prototype.hasOwnProperty.call(RETAILER_MAP, domain.name)) {
+    return RETAILER_MAP[domain.name];
+  }
+  
+  // Capitalize first letter and handle special cases
+  const specialCases = {
+    'kohls': "Kohl's",
+    'macys': "Macy's",
+    'jcpenney': "JCPenney",
+    'dicks': "Dick's",
+    'bedbathandbeyond': "Bed Bath & Beyond",
+  };
+  
+  if (specialCases[domain.name]) {
+    return specialCases[domain.name];
+  }
+  
+  // Convert hyphenated domains to readable format
+  const readable = domain.name
+    .split('-')
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+  
+  return readable || 'Other Retailer';
+}
+
+/**
+ * Deduplication key of a result's store: the name of a known retailer (so
+ * amazon.com and smile.amazon.com are one store), otherwise its registrable
+ * domain (so two myshopify.com stores are two)
+ */
+function getRetailerKey(url) {
+  const domain = parseDomain(url);
+  if (!domain) return 'other retailer';
+  if (Object.prototype.hasOwnProperty.call(RETAILER_MAP, domain.name)) {
+    return RETAILER_MAP[domain.name].toLowerCase();
+  }
+  return domain.registrableDomain || domain.hostname;
+}
+
+/**
+ * Product categories
+ * keywords are matched as whole words against breadcrumbs and the title;
+ * sites are the specialist stores searched with site: (see planSearchQueries);
+ * retailerGroup is listed first when results are grouped.
+ */
+const PRODUCT_CATEGORIES = {
+  pets: {
+    label: 'Pet supplies',
+    keywords: ['pet', 'pets', 'dog', 'dogs', 'cat', 'cats', 'puppy', 'kitten', 'cat litter', 'aquarium', 'bird food', 'kibble'],
+    sites: ['chewy.com', 'petco.com', 'petsmart.com'],
+    retailerGroup: 'pets'
+  },
+  electronics: {
+    label: 'Electronics',
+    keywords: ['electronics', 'headphones', 'earbuds', 'laptop', 'laptops', 'computers', 'monitor', 'tv', 'tvs', 'television',
+      'camera', 'cameras', 'lens', 'speaker', 'speakers', 'tablet', 'cell phones', 'smartphone', 'graphics card', 'ssd',
+      'router', 'smartwatch', 'audio'],
+    sites: ['bhphotovideo.com', 'newegg.com', 'bestbuy.com'],
+    retailerGroup: 'electronics'
+  },
+  gaming: {
+    label: 'Video games',
+    keywords: ['video games', 'playstation', 'ps5', 'xbox', 'nintendo switch', 'gaming console'],
+    sites: ['gamestop.com', 'bestbuy.com'],
+    retailerGroup: 'specialty'
+  },
+  office: {
+    label: 'Office supplies',
+    keywords: ['office supplies', 'office products', 'printer', 'ink', 'toner', 'copy paper', 'printer paper', 'stapler',
+      'pens', 'binder', 'desk organizer'],
+    sites: ['staples.com', 'officedepot.com'],
+    retailerGroup: 'office'
+  },
+  sports: {
+    label: 'Sports & outdoors',
+    keywords: ['sports', 'outdoors', 'outdoor recreation', 'camping', 'hiking', 'fitness', 'exercise', 'cycling', 'bike',
+      'yoga', 'tent', 'fishing', 'golf'],
+    sites: ['rei.com', 'dickssportinggoods.com', 'academy.com'],
+    retailerGroup: 'sports'
+  },
+  home: {
+    label: 'Home & furniture',
+    keywords: ['furniture', 'home decor', 'bedding', 'sofa', 'mattress', 'rug', 'rugs', 'kitchen', 'dining', 'cookware', 'bath'],
+    sites: ['wayfair.com', 'crateandbarrel.com', 'ikea.com'],
+    retailerGroup: 'home'
+  },
+  tools: {
+    label: 'Tools & home improvement',
+    keywords: ['tools', 'tools & home improvement', 'home improvement', 'hardware', 'power tools', 'drill', 'plumbing',
+      'electrical', 'lawn', 'garden'],
+    sites: ['homedepot.com', 'lowes.com'],
+    retailerGroup: 'general'
+  },
+  beauty: {
+    label: 'Beauty',
+    keywords: ['beauty', 'makeup', 'cosmetics', 'skin care', 'skincare', 'fragrance', 'perfume', 'hair care'],
+    sites: ['ulta.com', 'sephora.com'],
+    retailerGroup: 'specialty'
+  },
+  household: {
+    label: 'Household essentials',
+    keywords: ['household', 'household supplies', 'household essentials', 'laundry', 'detergent', 'cleaning supplies',
+      'paper towels', 'toilet paper', 'grocery'],
+    sites: [],
+    retailerGroup: 'general'
+  }
+};
+
+/**
+ * Weight of a keyword found in the breadcrumbs, relative to one found in the title
+ */
+const BREADCRUMB_CATEGORY_WEIGHT = 3;
+
+/**
+ * Title-only score a category needs before its stores get their own query
+ * One keyword is too weak a signal: "Cat 6 Ethernet Cable" and "Hot Dog Toaster"
+ * aren't pet supplies.
+ */
+const MIN_TITLE_CATEGORY_SEARCH_SCORE = 2;
+
+/**
+ * Most likely category of a product, or null
+ * Breadcrumb matches outweigh title matches; ties go to the category listed first.
+ * @returns {{ id: string, label: string, source: 'breadcrumbs' | 'title', score: number, sites: string[],
+ *   retailerGroup: string } | null}
+ */
+function detectProductCategory(productInfo) {
+  if (!productInfo) return null;
+  const crumbs = (productInfo.breadcrumbs || []).join(' / ').toLowerCase();
+  const title = (productInfo.title || '').toLowerCase();
+
+  let best = null;
+  for (const [id, category] of Object.entries(PRODUCT_CATEGORIES)) {
+    let crumbHits = 0;
+    let titleHits = 0;
+    for (const keyword of category.keywords) {
+      const pattern = new RegExp(`(^|[^a-z0-9])${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9])`);
+      if (pattern.test(crumbs)) crumbHits++;
+      if (pattern.test(title)) titleHits++;
+    }
+    const score = crumbHits * BREADCRUMB_CATEGORY_WEIGHT + titleHits;
+    if (score > 0 && (!best || score > best.score)) {
+      best = { id, score, source: crumbHits > 0 ? 'breadcrumbs' : 'title' };
+    }
+  }
+
+  if (!best) return null;
+  const category = PRODUCT_CATEGORIES[best.id];
+  return {
+    id: best.id,
+    label: category.label,
+    source: best.source,
+    score: best.score,
+    sites: category.sites,
+    retailerGroup: category.retailerGroup
+  };
+}
+
+/**
+ * Specialist stores worth a site: query for this product, leaving out the one being viewed
+ * None for a category guessed from a single title keyword.
+ */
+function getCategorySearchSites(category, productInfo) {
+  if (!category) return [];
+  if (category.source === 'title' && category.score < MIN_TITLE_CATEGORY_SEARCH_SCORE) return [];
+  const current = (productInfo.retailer || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return category.sites.filter(site => !current || !site.replace(/[^a-z0-9]/g, '').startsWith(current));
+}
+
+/**
+ * Retailer group of a display name from extractRetailerName
+ */
+function getRetailerGroup(retailer) {
+  const group = RETAILER_GROUPS.find(candidate => Object.values(candidate.patterns).includes(retailer));
+  return group || OTHER_RETAILER_GROUP;
+}
+
+/**
+ * Retailer group ids in display order: the product category's group first, other stores last
+ */
+function getRetailerGroupOrder(category) {
+  const ids = RETAILER_GROUPS.map(group => group.id);
+  const first = category && category.retailerGroup;
+  return [...(first ? [first] : []), ...ids.filter(id => id !== first), OTHER_RETAILER_GROUP.id];
+}
@@ -1,790 +1,937 @@
 // product_extractor.js
-// Product information extraction for Amazon, Target, and Walmart
+// Product information extraction: a rule engine running the retailer
+// definitions in retailer_rules.js, plus a generic schema.org / OpenGraph
+// extractor for any other store
+
+/**
+ * Extraction rules added or overridden locally from the options page
+ * Loaded from chrome.storage.local by loadCustomExtractionRules()
+ */
+let customExtractionRules = [];
+
+/**
+ * Post-processors referenced by name from rule field specs
+ * Called with the value and { currency } of the page's store (getCurrencyForUrl).
+ * Returning null rejects the candidate value so the next selector is tried.
+ */
+const EXTRACTION_POST_PROCESSORS = {
+  price: (value, { currency = 'USD' } = {}) => {
+    // "£1,299.99" and "1.299,99 €" need the locale-aware parser; bare numbers the lenient one
+    const localized = parseLocalizedPrice(value, currency);
+    const price = localized ? localized.amount : parsePriceText(value);
+    return price && price > 0 ? price : null;
+  },
+  httpUrl: (value) => (value && value.startsWith('http') ? value : null),
+  stripBy: (value) => value.replace(/^by\s+/i, ''),
+  unitPrice: (value, { currency = 'USD' } = {}) => parseUnitPriceText(value, currency),
+  condition: (value) => normalizeCondition(value),
+  // "Ships from and sold by Amazon.com." / "Sold by Acme and Fulfilled by Amazon." -> seller name
+  stripSellerLabel: (value) => value
+    .replace(/^(?:(?:ships?|shipped|sold|fulfilled|from|and|by)\s+)+/i, '')
+    .replace(/\s+and\s+(?:fulfilled|shipped)\s+by\b.*$/i, '')
+    .replace(/\.$/, '')
+    .trim() || null,
+  // "Sold by Acme and Fulfilled by Amazon." -> "Amazon"; a bare short value is taken as-is
+  fulfiller: (value) => {
+    const match = value.match(/(?:fulfilled|shipped|ships)\s+(?:from\s+and\s+sold\s+)?(?:by|from)\s+(.+?)(?:\.?\s*$|\.\s|\s+and\s)/i);
+    if (match) return match[1].trim();
+    return value.length <= 40 ? value.replace(/\.$/, '') : null;
+  },
+  stripLabel: (value) => value.replace(/^[^:]*:\s*/, ''),
+  // "Model #ABC-123" / "MFR # WH1000XM5/B" -> code after the '#'
+  stripHashLabel: (value) => value.replace(/^[^#]*#\s*/, ''),
+  // "Internet #312345678  Model #ABC-123  Store SKU #1001" -> "ABC-123"; null without a "Model #"
+  modelHashValue: (value) => {
+    const match = value.match(/\bmodel\s*#\s*([^\s#]+)/i);
+    return match ? match[1] : null;
+  },
+  stripModelLabel: (value) => value.replace(/^.*?model\s*(?:no\.?|number|#)?\s*:?\s*/i, '') || null,
+  // "Click to select 256GB", "Blue - selected", "M, out of stock" -> bare option value
+  cleanVariantLabel: (value) => value
+    .replace(/^click to select\s+/i, '')
+    .replace(/\s*[-,]\s*(?:selected|currently selected|unavailable|out of stock|not available|sold out)\b.*$/i, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+};
 
 /**
  * Extract product information from the current page
  * Returns a standardized product object or null if extraction fails
+ * @param {Document} doc - Document to read (defaults to the live page; fixtures pass a parsed copy)
+ * @param {string} pageUrl - URL the document was loaded from
  */
-function extractProductInfo() {
-  const hostname = window.location.hostname.toLowerCase();
+function extractProductInfo(doc = document, pageUrl = window.location.href, trace = null) {
+  const hostname = new URL(pageUrl).hostname.toLowerCase();
   
   // Detect which retailer we're on
-  if (hostname.includes('amazon.')) {
-    return extractAmazonProduct();
-  } else if (hostname.includes('target.')) {
-    return extractTargetProduct();
-  } else if (hostname.includes('walmart.')) {
-    return extractWalmartProduct();
-  } else if (hostname.includes('bestbuy.') || hostname.includes('best-buy.')) {
-    return extractBestBuyProduct();
-  } else if (hostname.includes('ebay.')) {
-    return extractEbayProduct();
-  } else if (hostname.includes('costco.')) {
-    return extractCostcoProduct();
+  const rule = findExtractionRule(hostname);
+  if (trace) {
+    trace.ruleId = rule ? rule.id : null;
+    trace.retailer = rule ? rule.retailer : null;
+  }
+  if (rule) {
+    const ruleProduct = runExtractionRule(rule, doc, pageUrl, trace);
+    if (ruleProduct) {
+      if (trace) trace.source = 'rule';
+      return ruleProduct;
+    }
   }
   
-  return null;
+  // Any other store (or a rule that found nothing): rely on published structured data
+  const structuredProduct = extractStructuredDataProduct(doc, pageUrl);
+  if (trace) trace.source = structuredProduct ? 'structured-data' : null;
+  return structuredProduct;
 }
 
 /**
- * Extract product information from Amazon
+ * Empty trace for extractProductInfo() to fill in diagnostic mode
+ * fields: name -> { attempts: [{ selector, status, reason }], element, value }
+ * where status is 'hit', 'miss', 'rejected' or 'invalid'
  */
-function extractAmazonProduct() {
-  try {
-    // Product title - multiple selectors for different page layouts
-    const titleSelectors = [
-      '#productTitle',
-      'h1.a-size-large.product-title-word-break',
-      'h1.a-size-base-plus',
-      '[data-feature-name="title"]',
-      '#title'
-    ];
-    let title = null;
-    for (const selector of titleSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        title = el.textContent.trim();
-        break;
-      }
-    }
-    
-    // Price - try multiple selectors
-    const priceSelectors = [
-      '.a-price .a-offscreen',
-      '.a-price-whole',
-      '#priceblock_ourprice',
-      '#priceblock_dealprice',
-      '#priceblock_saleprice',
-      '.a-price-symbol + .a-price-whole',
-      '[data-a-color="price"] .a-offscreen'
-    ];
-    let price = null;
-    let priceElement = null;
-    for (const selector of priceSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        const priceText = el.textContent || el.innerText || '';
-        price = parsePriceText(priceText);
-        if (price && price > 0) {
-          priceElement = el;
-          break;
-        }
-      }
-    }
-    
-    // If price not found, try to find any price in the page
-    if (!price) {
-      const priceContainers = document.querySelectorAll('[data-asin-price], .a-price, #price');
-      for (const container of priceContainers) {
-        const priceText = container.textContent || container.innerText || '';
-        price = parsePriceText(priceText);
-        if (price && price > 0) {
-          priceElement = container;
-          break;
-        }
-      }
-    }
-    
-    // Product image
-    const imageSelectors = [
-      '#landingImage',
-      '#imgBlkFront',
-      '#main-image',
-      '#leftCol img[data-a-dynamic-image]',
-      '.a-dynamic-image[src]'
-    ];
-    let imageUrl = null;
-    for (const selector of imageSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        // First try direct src attribute
-        imageUrl = el.src || el.getAttribute('src');
-        if (imageUrl && imageUrl.startsWith('http')) {
-          break;
-        }
-        
-        // Try data-a-dynamic-image which contains JSON with multiple image sizes
-        const dynamicImage = el.getAttribute('data-a-dynamic-image');
-        if (dynamicImage) {
-          try {
-            const images = JSON.parse(dynamicImage);
-            // Get the largest/highest quality image (usually first key)
-            const imageKeys = Object.keys(images);
-            if (imageKeys.length > 0) {
-              imageUrl = imageKeys[0];
-              if (imageUrl && imageUrl.startsWith('http')) {
-                break;
-              }
-            }
-          } catch (e) {
-            // If parsing fails, continue to next selector
-          }
-        }
-        
-        // Try data-src as fallback
-        imageUrl = el.getAttribute('data-src');
-        if (imageUrl && imageUrl.startsWith('http')) {
-          break;
-        }
-      }
-    }
-    
-    // Brand - often in product title or separate element
-    let brand = null;
-    const brandSelectors = [
-      '#brand',
-      '[data-feature-name="bylineInfo"]',
-      '.po-brand .po-break-word',
-      '#productOverview_feature_div .po-brand .po-break-word'
-    ];
-    for (const selector of brandSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        brand = el.textContent.trim().replace(/^by\s+/i, '');
-        if (brand) break;
-      }
-    }
-    
-    // ASIN (Amazon Standard Identification Number) - from URL or data attributes
-    let asin = null;
-    const urlMatch = window.location.href.match(/\/dp\/([A-Z0-9]{10})/);
-    if (urlMatch) {
-      asin = urlMatch[1];
+function createExtractionTrace(pageUrl = window.location.href) {
+  return {
+    url: pageUrl,
+    ruleId: null,
+    retailer: null,
+    source: null,
+    fields: {},
+    specs: [],
+    errors: []
+  };
+}
+
+/**
+ * Built-in rules merged with local overrides, local rules first
+ * A local rule whose id matches a built-in rule replaces only the fields it defines.
+ */
+function getExtractionRules() {
+  const builtInById = new Map(RETAILER_EXTRACTION_RULES.map(rule => [rule.id, rule]));
+  const overriddenIds = new Set();
+  const rules = [];
+  
+  for (const custom of customExtractionRules) {
+    const builtIn = builtInById.get(custom.id);
+    if (builtIn) {
+      overriddenIds.add(custom.id);
+      rules.push({
+        ...builtIn,
+        ...custom,
+        fields: { ...builtIn.fields, ...(custom.fields || {}) }
+      });
     } else {
-      // Try data attributes
-      const asinEl = document.querySelector('[data-asin]');
-      if (asinEl) {
-        asin = asinEl.getAttribute('data-asin');
-      }
+      rules.push(custom);
     }
-    
-    // UPC/SKU - try to extract from product details
-    let upc = null;
-    const upcSelectors = [
-      'th:contains("UPC") + td',
-      'th:contains("ASIN") + td',
-      '.product-info-detail:contains("UPC")'
-    ];
-    // Check in product details table
-    const detailRows = document.querySelectorAll('#productDetails_techSpec_section_1 tr, #productDetails_detailBullets_sections1 tr');
-    for (const row of detailRows) {
-      const th = row.querySelector('th');
-      const td = row.querySelector('td');
-      if (th && td) {
-        const label = th.textContent.trim().toLowerCase();
-        if ((label.includes('upc') || label.includes('ean')) && td) {
-          upc = td.textContent.trim();
-          break;
-        }
-      }
-    }
-    
-    // Return product object if we have at least title and price
-    if (title && price) {
-      return {
-        retailer: 'Amazon',
-        title: title,
-        price: price,
-        currency: 'USD',
-        imageUrl: imageUrl,
-        brand: brand,
-        sku: asin || upc,
-        upc: upc,
-        asin: asin,
-        url: window.location.href,
-        priceElement: priceElement // Store reference to price element for button placement
-      };
-    }
-  } catch (error) {
-    console.warn('Error extracting Amazon product:', error);
   }
   
-  return null;
+  for (const rule of RETAILER_EXTRACTION_RULES) {
+    if (!overriddenIds.has(rule.id)) rules.push(rule);
+  }
+  return rules;
 }
 
 /**
- * Extract product information from Target
+ * Whether a rule's hosts entry covers a parsed domain (parseDomain)
+ * A bare store name is compared with the registrable domain's name ('lowes'
+ * matches lowes.com and lowes.ca but not fellowes.com); an entry with a dot
+ * ('bestbuy.ca') matches that domain and its subdomains. A trailing dot, as in
+ * the older 'amazon.' form, is ignored.
  */
-function extractTargetProduct() {
+function ruleHostMatches(host, domain) {
+  const entry = String(host).toLowerCase().replace(/\.$/, '');
+  if (!entry) return false;
+  if (!entry.includes('.')) return entry === domain.name;
+  return domain.hostname === entry || domain.hostname.endsWith(`.${entry}`);
+}
+
+/**
+ * Find the extraction rule whose hosts match the hostname
+ */
+function findExtractionRule(hostname) {
+  const domain = parseDomain(hostname);
+  if (!domain) return null;
+  return getExtractionRules().find(rule =>
+    Array.isArray(rule.hosts) && rule.hosts.some(host => ruleHostMatches(host, domain))
+  ) || null;
+}
+
+/**
+ * Run a declarative retailer rule against the current page
+ * Returns a standardized product object, or null without a title and price
+ */
+function runExtractionRule(rule, doc = document, pageUrl = window.location.href, trace = null) {
   try {
-    // Product title
-    const titleSelectors = [
-      'h1[data-test="product-title"]',
-      'h1.product-title',
-      '[data-test="product-title"]',
-      'h1'
-    ];
-    let title = null;
-    for (const selector of titleSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        title = el.textContent.trim();
-        if (title && title.length > 0) break;
-      }
-    }
-    
-    // Price
-    const priceSelectors = [
-      '[data-test="product-price"]',
-      '[data-test="current-price"]',
-      '.h-text-bold[aria-label*="price"]',
-      '[itemprop="price"]',
-      '.price'
-    ];
-    let price = null;
+    const values = {};
     let priceElement = null;
-    for (const selector of priceSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        const priceText = el.textContent || el.innerText || el.getAttribute('aria-label') || '';
-        price = parsePriceText(priceText);
-        if (price && price > 0) {
-          priceElement = el;
-          break;
-        }
-      }
-    }
     
-    // Product image
-    const imageSelectors = [
-      '[data-test="product-image"] img',
-      '[data-test="gallery-image"] img',
-      '.product-image img',
-      '#zoomImage',
-      'img[alt*="' + (title ? title.substring(0, 30) : '') + '"]'
-    ];
-    let imageUrl = null;
-    for (const selector of imageSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        imageUrl = el.src || el.getAttribute('data-src') || el.getAttribute('srcset')?.split(' ')[0];
-        if (imageUrl && imageUrl.startsWith('http')) {
-          break;
-        }
+    // Title first so selectors can reference it through {title}
+    const fieldNames = Object.keys(rule.fields || {}).sort((a, b) => (a === 'title' ? -1 : b === 'title' ? 1 : 0));
+    for (const name of fieldNames) {
+      const fieldTrace = trace ? (trace.fields[name] = { attempts: [], element: null, value: null }) : null;
+      const match = extractRuleField(rule.fields[name], values.title, doc, pageUrl, fieldTrace);
+      if (match) {
+        values[name] = match.value;
+        if (name === 'price') priceElement = match.element;
       }
     }
     
-    // Brand
-    let brand = null;
-    const brandSelectors = [
-      '[data-test="product-brand"]',
-      '.product-brand',
-      '[itemprop="brand"]'
-    ];
-    for (const selector of brandSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        brand = el.textContent.trim();
-        if (brand) break;
-      }
-    }
-    
-    // TCIN (Target's product identifier) - from URL
-    let tcin = null;
-    const urlMatch = window.location.href.match(/\/-\/A-(\d+)/);
-    if (urlMatch) {
-      tcin = urlMatch[1];
-    }
+    const currency = getCurrencyForUrl(pageUrl);
     
-    // UPC/DCPI
-    let upc = null;
-    const specs = document.querySelectorAll('[data-test="specifications"] tr, .specifications tr');
-    for (const row of specs) {
-      const label = row.querySelector('td:first-child')?.textContent?.trim()?.toLowerCase();
-      const value = row.querySelector('td:last-child')?.textContent?.trim();
-      if (label && (label.includes('upc') || label.includes('dpci')) && value) {
-        upc = value;
-        break;
+    // Spec tables fill identifiers the field selectors didn't find
+    for (const spec of rule.specs || []) {
+      const rows = doc.querySelectorAll(spec.rows);
+      const filled = [];
+      for (const row of rows) {
+        const label = row.querySelector(spec.label)?.textContent?.trim()?.toLowerCase();
+        const value = row.querySelector(spec.value)?.textContent?.trim();
+        if (!label || !value) continue;
+        for (const [name, keywords] of Object.entries(spec.fields || {})) {
+          if (values[name] == null && keywords.some(keyword => label.includes(keyword))) {
+            values[name] = value;
+            filled.push(name);
+          }
+        }
       }
-    }
-    
-    if (title && price) {
-      return {
-        retailer: 'Target',
-        title: title,
-        price: price,
-        currency: 'USD',
-        imageUrl: imageUrl,
-        brand: brand,
-        sku: tcin || upc,
-        upc: upc,
-        tcin: tcin,
-        url: window.location.href,
-        priceElement: priceElement
-      };
-    }
+      if (trace) trace.specs.push({ rows: spec.rows, rowCount: rows.length, filled: filled });
+    }
+    
+    if (!values.title || !values.price) return null;
+    
+    // Verify identifiers: a DPCI or model number in a "UPC" row must not pass as a UPC
+    Object.assign(values, normalizeProductIdentifiers(values));
+    
+    // Selected variant: picker state wins over what the title says
+    const { variant, variants } = extractRuleVariants(rule.variants, doc);
+    
+    const {
+      title, price, imageUrl, brand, quantity: quantityText, unitPrice: shownUnitPrice,
+      seller, fulfilledBy, condition, ...identifiers
+    } = values;
+    const skuField = (rule.skuFrom || []).find(name => values[name]);
+    
+    // A spec-table quantity is more reliable than one parsed from the title
+    const quantity = parseQuantityText(quantityText) || parseQuantityText(title);
+    
+    return {
+      retailer: rule.retailer,
+      title: title,
+      price: price,
+      currency: currency,
+      imageUrl: imageUrl || null,
+      brand: brand || null,
+      ...identifiers,
+      sku: skuField ? values[skuField] : null,
+      variant: { ...parseVariantAttributesFromTitle(title), ...variant },
+      variants: variants,
+      quantity: quantity,
+      unitPrice: shownUnitPrice || computeUnitPrice(price, quantity, currency),
+      ...extractListingDetails(rule.marketplace, { title, seller, fulfilledBy, condition }),
+      breadcrumbs: extractBreadcrumbs(rule.breadcrumbs, doc),
+      url: pageUrl,
+      priceElement: priceElement // Store reference to price element for button placement
+    };
   } catch (error) {
-    console.warn('Error extracting Target product:', error);
+    console.warn(`Error extracting ${rule.retailer || rule.id} product:`, error);
+    if (trace) trace.errors.push(error.message);
   }
   
   return null;
 }
 
 /**
- * Extract product information from Walmart
+ * Resolve one field spec: URL pattern first, then selectors in order
+ * Returns { value, element } or null
+ * @param {Object} fieldTrace - When given, every selector tried is recorded with its outcome
  */
-function extractWalmartProduct() {
-  try {
-    // Product title
-    const titleSelectors = [
-      'h1[itemprop="name"]',
-      'h1.prod-product-title',
-      '[data-testid="product-title"]',
-      'h1.prod-ProductTitle',
-      'h1'
-    ];
-    let title = null;
-    for (const selector of titleSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        title = el.textContent.trim();
-        if (title && title.length > 0) break;
-      }
-    }
-    
-    // Price - Walmart often shows price in multiple places
-    const priceSelectors = [
-      '[itemprop="price"]',
-      '[data-testid="price"]',
-      '.price-display',
-      '.price-current',
-      '.prod-PriceHero',
-      '[data-automation-id="product-price"]'
-    ];
-    let price = null;
-    let priceElement = null;
-    for (const selector of priceSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        const priceText = el.textContent || el.innerText || el.getAttribute('content') || '';
-        price = parsePriceText(priceText);
-        if (price && price > 0) {
-          priceElement = el;
-          break;
-        }
-      }
+function extractRuleField(spec, title, doc = document, pageUrl = window.location.href, fieldTrace = null) {
+  if (!spec) return null;
+  
+  const context = { currency: getCurrencyForUrl(pageUrl) };
+  const record = (selector, status, reason = null) => {
+    if (fieldTrace) fieldTrace.attempts.push({ selector, status, reason });
+  };
+  const hit = (selector, value, element) => {
+    record(selector, 'hit');
+    if (fieldTrace) {
+      fieldTrace.value = value;
+      fieldTrace.element = element;
+    }
+    return { value, element };
+  };
+  
+  if (spec.urlPattern) {
+    const urlMatch = pageUrl.match(new RegExp(spec.urlPattern));
+    if (urlMatch && urlMatch[1]) {
+      return hit(`url ~ ${spec.urlPattern}`, urlMatch[1], null);
     }
-    
-    // Product image
-    const imageSelectors = [
-      '[data-testid="product-image"] img',
-      '.prod-hero-image img',
-      '.hover-zoom-hero-image img',
-      'img[alt*="' + (title ? title.substring(0, 30) : '') + '"]',
-      '[itemprop="image"]'
-    ];
-    let imageUrl = null;
-    for (const selector of imageSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        imageUrl = el.src || el.getAttribute('data-src') || el.getAttribute('srcset')?.split(' ')[0];
-        if (imageUrl && imageUrl.startsWith('http')) {
-          break;
-        }
+    record(`url ~ ${spec.urlPattern}`, 'miss');
+  }
+  
+  const sources = [].concat(spec.source || 'text');
+  for (const rawSelector of spec.selectors || []) {
+    let selector = rawSelector;
+    if (selector.includes('{title}')) {
+      if (!title) {
+        record(rawSelector, 'miss', 'no title to substitute');
+        continue;
       }
-    }
-    
-    // Brand
-    let brand = null;
-    const brandSelectors = [
-      '[itemprop="brand"]',
-      '.prod-brand-name',
-      '[data-testid="product-brand"]'
-    ];
-    for (const selector of brandSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        brand = el.textContent.trim();
-        if (brand) break;
+      selector = selector.replace('{title}', title.substring(0, 30).replace(/["\\]/g, '\\$&'));
+    }
+    
+    let elements;
+    try {
+      elements = spec.matchAll ? [...doc.querySelectorAll(selector)] : [doc.querySelector(selector)];
+    } catch (e) {
+      // Invalid selector (usually from a local rule), try the next one
+      console.warn('Invalid extraction selector:', selector);
+      record(selector, 'invalid', 'invalid selector');
+      continue;
+    }
+    
+    // Why the last matched element was turned down, for the trace
+    let rejection = null;
+    for (const el of elements) {
+      if (!el) continue;
+      if (spec.requireText && !el.textContent.toLowerCase().includes(spec.requireText.toLowerCase())) {
+        rejection = `text lacks "${spec.requireText}"`;
+        continue;
       }
-    }
-    
-    // Product ID - from URL or data attributes
-    let productId = null;
-    const urlMatch = window.location.href.match(/ip\/([^\/]+)\//);
-    if (urlMatch) {
-      productId = urlMatch[1];
-    }
-    
-    // UPC
-    let upc = null;
-    const productInfo = document.querySelectorAll('[data-testid="product-info"] tr, .product-info tr');
-    for (const row of productInfo) {
-      const label = row.querySelector('th, td:first-child')?.textContent?.trim()?.toLowerCase();
-      const value = row.querySelector('td:last-child, td:nth-child(2)')?.textContent?.trim();
-      if (label && (label.includes('upc') || label.includes('model')) && value) {
-        upc = value;
-        break;
+      
+      for (const source of sources) {
+        const value = applyPostProcessors(readRuleSource(el, source), spec.post, context);
+        if (value == null || value === '') {
+          rejection = spec.post ? `empty or rejected by ${spec.post.join(', ')}` : `empty ${source}`;
+          continue;
+        }
+        if (typeof value === 'string' && (spec.excludeText || []).some(text => value.includes(text))) {
+          rejection = 'excluded text';
+          continue;
+        }
+        return hit(selector, value, el);
       }
     }
     
-    if (title && price) {
-      return {
-        retailer: 'Walmart',
-        title: title,
-        price: price,
-        currency: 'USD',
-        imageUrl: imageUrl,
-        brand: brand,
-        sku: productId || upc,
-        upc: upc,
-        productId: productId,
-        url: window.location.href,
-        priceElement: priceElement
-      };
+    if (rejection) {
+      record(selector, 'rejected', rejection);
+    } else {
+      record(selector, 'miss');
     }
-  } catch (error) {
-    console.warn('Error extracting Walmart product:', error);
   }
   
   return null;
 }
 
 /**
- * Extract product information from Best Buy
+ * Read a raw string value from an element for a field source
+ */
+function readRuleSource(el, source) {
+  let value = null;
+  if (source === 'text') {
+    value = el.textContent || el.innerText || '';
+  } else if (source === 'src') {
+    value = el.src || el.getAttribute('src');
+  } else if (source === 'srcset') {
+    value = el.getAttribute('srcset')?.split(' ')[0];
+  } else if (source === 'splitPrice') {
+    // Dollars and superscript cents in sibling elements: <span>$</span><span>99</span><span>00</span>
+    const parts = [...el.children].map(child => child.textContent.trim()).filter(text => /\d/.test(text));
+    value = parts.length >= 2 && /^\d{2}$/.test(parts[parts.length - 1])
+      ? parts.slice(0, -1).join('') + '.' + parts[parts.length - 1]
+      : null;
+  } else if (source === 'dynamicImage') {
+    // data-a-dynamic-image holds JSON keyed by image URL, largest first
+    try {
+      value = Object.keys(JSON.parse(el.getAttribute('data-a-dynamic-image') || '{}'))[0];
+    } catch (e) {
+      value = null;
+    }
+  } else {
+    value = el.getAttribute(source);
+  }
+  return typeof value === 'string' ? value.trim() : null;
+}
+
+/**
+ * Apply named post-processors in order, stopping at the first rejection
+ * @param {Object} context - { currency } passed to every processor
+ */
+function applyPostProcessors(value, names, context = {}) {
+  let result = value;
+  for (const name of names || []) {
+    if (result == null) return null;
+    const processor = EXTRACTION_POST_PROCESSORS[name];
+    if (!processor) {
+      console.warn('Unknown extraction post-processor:', name);
+      continue;
+    }
+    result = processor(result, context);
+  }
+  return result;
+}
+
+/**
+ * Read a rule's variant picker: the selected value per dimension and every option
+ * Returns { variant: { size: 'M', ... }, variants: [{ dimension, value, selected, available }] }
  */
-function extractBestBuyProduct() {
+function extractRuleVariants(spec, doc = document) {
+  const variant = {};
+  const variants = [];
+  if (!spec || !spec.groups) return { variant, variants };
+  
+  let groups;
   try {
-    // Product title
-    const titleSelectors = [
-      'h1[class*="heading"]',
-      '.sku-title h1',
-      'h1.sr-only + h1',
-      'h1'
-    ];
-    let title = null;
-    for (const selector of titleSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        title = el.textContent.trim();
-        if (title && title.length > 0 && !title.includes('Best Buy')) break;
-      }
-    }
-    
-    // Price
-    const priceSelectors = [
-      '.priceView-customer-price span[aria-hidden="true"]',
-      '.priceView-price .priceView-customer-price',
-      '[class*="pricing-price"]',
-      '[data-testid="customer-price"]',
-      '.pricing-price__value'
-    ];
-    let price = null;
-    let priceElement = null;
-    for (const selector of priceSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        const priceText = el.textContent || el.innerText || '';
-        price = parsePriceText(priceText);
-        if (price && price > 0) {
-          priceElement = el;
-          break;
-        }
-      }
-    }
-    
-    // Product image
-    const imageSelectors = [
-      '.product-image img',
-      '[data-testid="product-image"] img',
-      '.gallery-image img',
-      'img.product-image'
-    ];
-    let imageUrl = null;
-    for (const selector of imageSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        imageUrl = el.src || el.getAttribute('data-src') || el.getAttribute('srcset')?.split(' ')[0];
-        if (imageUrl && imageUrl.startsWith('http')) {
-          break;
-        }
-      }
+    groups = doc.querySelectorAll(spec.groups);
+  } catch (e) {
+    console.warn('Invalid variant selector:', spec.groups);
+    return { variant, variants };
+  }
+  
+  for (const group of groups) {
+    // Group labels read "Size:", "Color: Blue" or "Capacity 256GB"
+    const labelText = spec.label ? (group.querySelector(spec.label)?.textContent || '').trim() : '';
+    const [labelName, labelValue] = labelText.includes(':')
+      ? labelText.split(/:(.*)/s).map(part => part.trim())
+      : [labelText, ''];
+    const labelDimension = normalizeVariantDimension(labelName);
+    if (!labelDimension) continue;
+    
+    let selectedValue = spec.selected
+      ? applyPostProcessors((group.querySelector(spec.selected)?.textContent || '').trim(), ['cleanVariantLabel'])
+      : null;
+    
+    const groupOptions = [];
+    const options = spec.options ? group.querySelectorAll(spec.options) : [];
+    for (const option of options) {
+      const value = readVariantOptionValue(option, spec);
+      if (!value || groupOptions.some(o => o.value === value)) continue;
+      
+      const selected = matchesVariantState(option, spec.optionSelected);
+      if (selected && !selectedValue) selectedValue = value;
+      groupOptions.push({
+        value: value,
+        selected: selected,
+        available: !matchesVariantState(option, spec.optionUnavailable)
+      });
+    }
+    
+    selectedValue = selectedValue || labelValue;
+    const dimension = refineVariantDimension(labelDimension, [selectedValue, ...groupOptions.map(o => o.value)]);
+    if (selectedValue) {
+      variant[dimension] = selectedValue;
+    }
+    groupOptions.forEach(option => {
+      variants.push({
+        dimension: dimension,
+        value: option.value,
+        // Keep option flags consistent with the group's selected value
+        selected: option.selected || option.value === selectedValue,
+        available: option.available
+      });
+    });
+  }
+  
+  return { variant, variants };
+}
+
+/**
+ * Retailers label storage and pack counts as "Size"; classify by the values instead
+ */
+function refineVariantDimension(dimension, values) {
+  const present = values.filter(Boolean);
+  if (dimension !== 'size' || present.length === 0) return dimension;
+  if (present.every(value => /^\d+(?:\.\d+)?\s?(?:TB|GB|MB)$/i.test(value))) return 'capacity';
+  if (present.every(value => /^(?:pack of \d+|\d+[\s-]?(?:pack|count|ct))$/i.test(value))) return 'pack';
+  return dimension;
+}
+
+/**
+ * Read an option's value from the option element or its label child
+ */
+function readVariantOptionValue(option, spec) {
+  const elements = [option];
+  if (spec.optionLabel) {
+    const labelEl = option.querySelector(spec.optionLabel);
+    if (labelEl) elements.push(labelEl);
+  }
+  
+  for (const el of elements) {
+    for (const source of [].concat(spec.optionSource || 'text')) {
+      const value = applyPostProcessors(readRuleSource(el, source), ['cleanVariantLabel']);
+      if (value && value.length <= 60) return value;
     }
-    
-    // Brand
-    let brand = null;
-    const brandSelectors = [
-      '[data-testid="product-brand"]',
-      '.product-brand',
-      '[itemprop="brand"]',
-      'span[class*="brand"]'
-    ];
-    for (const selector of brandSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        brand = el.textContent.trim();
-        if (brand) break;
-      }
+  }
+  return null;
+}
+
+/**
+ * Whether an option element (or a child) matches a state selector like [aria-checked="true"]
+ */
+function matchesVariantState(el, selector) {
+  if (!selector) return false;
+  try {
+    return el.matches(selector) || el.querySelector(selector) !== null;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Map a picker label ("Size Name", "Colour", "Storage Capacity") to a dimension key
+ */
+function normalizeVariantDimension(label) {
+  const text = (label || '').toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  if (/\b(colou?r|finish)\b/.test(text)) return 'color';
+  if (/\b(capacity|storage|memory|hard disk)\b/.test(text)) return 'capacity';
+  if (/\b(pack|count|quantity|number of items)\b/.test(text)) return 'pack';
+  if (/\bsize\b/.test(text)) return 'size';
+  if (/\bstyle\b/.test(text)) return 'style';
+  return text.split(' ')[0];
+}
+
+/**
+ * Variant attributes stated in a product title (capacity, pack count, size)
+ * Used for the current page when there's no picker, and for search results.
+ */
+function parseVariantAttributesFromTitle(title) {
+  const attributes = {};
+  if (!title) return attributes;
+  
+  const capacity = title.match(/\b(\d+(?:\.\d+)?)\s?(TB|GB|MB)\b/i);
+  if (capacity) attributes.capacity = `${capacity[1]}${capacity[2].toUpperCase()}`;
+  
+  const pack = title.match(/\b(?:pack|set|case|box) of (\d+)\b/i) || title.match(/\b(\d+)[\s-]?(?:pack|pk|count|ct)\b/i);
+  if (pack) attributes.pack = pack[1];
+  
+  const size = title.match(/\bsize:?\s+(XXS|XS|S|M|L|XL|XXL|XXXL|\d+(?:\.\d+)?[WL]?)\b/i) ||
+    title.match(/\b(\d{2,3}(?:\.\d)?)(?:["\u201D]|\s?-?\s?inch(?:es)?\b|\s?in\.)/i);
+  if (size) attributes.size = size[1].toUpperCase();
+  
+  return attributes;
+}
+
+/**
+ * Canonical form of a variant value so "256 GB" equals "256GB" and "Medium" equals "M"
+ */
+function normalizeVariantValue(dimension, value) {
+  const text = String(value || '').toLowerCase().trim();
+  if (dimension === 'capacity') {
+    const match = text.match(/(\d+(?:\.\d+)?)\s?(tb|gb|mb)/);
+    if (match) {
+      const factor = { tb: 1024, gb: 1, mb: 1 / 1024 }[match[2]];
+      return String(parseFloat(match[1]) * factor);
     }
-    
-    // SKU - from URL or meta tags
-    let sku = null;
-    const urlMatch = window.location.href.match(/skuId=(\d+)/);
-    if (urlMatch) {
-      sku = urlMatch[1];
+  }
+  if (dimension === 'pack') {
+    const match = text.match(/\d+/);
+    if (match) return String(parseInt(match[0], 10));
+  }
+  if (dimension === 'size') {
+    const named = { 'extra small': 'xs', small: 's', medium: 'm', large: 'l', 'extra large': 'xl' };
+    if (named[text]) return named[text];
+  }
+  return text.replace(/[^a-z0-9.]/g, '');
+}
+
+/**
+ * Seller, fulfillment and condition of the listing being viewed
+ * @param {Object} marketplace - Rule's marketplace spec: firstParty seller names, defaultCondition
+ * @param {Object} raw - { title, seller, fulfilledBy, condition } as extracted
+ * @returns {{ seller, fulfilledBy, condition, isMarketplace }} isMarketplace is null when unknown
+ */
+function extractListingDetails(marketplace, raw) {
+  if (!marketplace) {
+    return { seller: null, fulfilledBy: null, condition: null, isMarketplace: false };
+  }
+  
+  const seller = raw.seller || null;
+  const firstParty = (marketplace.firstParty || []).map(name => name.toLowerCase());
+  let isMarketplace = null;
+  if (seller) {
+    isMarketplace = !firstParty.includes(seller.toLowerCase());
+  } else if (firstParty.length === 0) {
+    // Pure marketplaces (eBay): every listing is a third-party one
+    isMarketplace = true;
+  }
+  
+  return {
+    seller: seller,
+    fulfilledBy: raw.fulfilledBy || null,
+    condition: raw.condition || parseConditionFromTitle(raw.title) || marketplace.defaultCondition || null,
+    isMarketplace: isMarketplace
+  };
+}
+
+/**
+ * Load locally added/overridden extraction rules from storage
+ */
+function loadCustomExtractionRules() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ customExtractionRules: [] }, (items) => {
+      customExtractionRules = Array.isArray(items.customExtractionRules) ? items.customExtractionRules : [];
+      resolve(customExtractionRules);
+    });
+  });
+}
+
+// Pick up rule edits from the options page without a reload
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.customExtractionRules) {
+    const rules = changes.customExtractionRules.newValue;
+    customExtractionRules = Array.isArray(rules) ? rules : [];
+  }
+});
+
+/**
+ * Selectors for breadcrumb trails on stores without a rule (or whose rule's selectors miss)
+ */
+const GENERIC_BREADCRUMB_SELECTORS = [
+  '[itemtype*="BreadcrumbList"] [itemprop="itemListElement"] [itemprop="name"]',
+  'nav[aria-label="breadcrumb" i] a',
+  'nav[aria-label="breadcrumbs" i] a',
+  '.breadcrumb a, .breadcrumbs a'
+];
+
+/**
+ * Category trail of the page ("Pet Supplies > Dogs > Food"), top level first
+ * Tries the rule's selectors, then a JSON-LD BreadcrumbList, then common markup.
+ * "Home" and "Back to results" style links are dropped.
+ * @returns {string[]}
+ */
+function extractBreadcrumbs(selectors = null, doc = document) {
+  const clean = (names) => names
+    .map(name => cleanStructuredText(name))
+    .filter(name => name && name.length <= 60 && !/^(home|back|back to .*|all categories|shop)$/i.test(name))
+    .filter((name, index, list) => list.indexOf(name) === index);
+  
+  for (const selector of selectors || []) {
+    try {
+      const names = clean([...doc.querySelectorAll(selector)].map(el => el.textContent));
+      if (names.length > 0) return names;
+    } catch (error) {
+      console.warn('Invalid breadcrumb selector:', selector, error);
     }
-    
-    // Model number / UPC
-    let model = null;
-    const specs = document.querySelectorAll('.product-data-specification, .specifications-list');
-    for (const spec of specs) {
-      const rows = spec.querySelectorAll('tr, .spec-item');
-      for (const row of rows) {
-        const label = row.querySelector('th, .spec-label, dt')?.textContent?.trim()?.toLowerCase();
-        const value = row.querySelector('td, .spec-value, dd')?.textContent?.trim();
-        if (label && (label.includes('model') || label.includes('upc') || label.includes('sku')) && value) {
-          if (label.includes('model')) model = value;
-          if (!sku && (label.includes('sku') || label.includes('upc'))) sku = value;
-          break;
-        }
+  }
+  
+  const jsonLdNames = readJsonLdBreadcrumbs(doc);
+  if (jsonLdNames.length > 0) return clean(jsonLdNames);
+  
+  for (const selector of GENERIC_BREADCRUMB_SELECTORS) {
+    const names = clean([...doc.querySelectorAll(selector)].map(el => el.textContent));
+    if (names.length > 0) return names;
+  }
+  return [];
+}
+
+/**
+ * Item names of the first schema.org BreadcrumbList in application/ld+json blocks
+ */
+function readJsonLdBreadcrumbs(doc) {
+  const findList = (node, depth = 0) => {
+    if (!node || typeof node !== 'object' || depth > 6) return null;
+    if (Array.isArray(node)) {
+      for (const child of node) {
+        const found = findList(child, depth + 1);
+        if (found) return found;
       }
+      return null;
     }
-    
-    if (title && price) {
-      return {
-        retailer: 'Best Buy',
-        title: title,
-        price: price,
-        currency: 'USD',
-        imageUrl: imageUrl,
-        brand: brand,
-        sku: sku || model,
-        model: model,
-        url: window.location.href,
-        priceElement: priceElement
-      };
-    }
+    if ([].concat(node['@type'] || []).some(type => String(type).toLowerCase() === 'breadcrumblist')) return node;
+    return findList(node['@graph'], depth + 1) || findList(node.breadcrumb, depth + 1);
+  };
+  
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    let list;
+    try {
+      list = findList(JSON.parse(script.textContent));
+    } catch (e) {
+      // Malformed JSON-LD is common, skip the block
+      continue;
+    }
+    if (!list) continue;
+    return [].concat(list.itemListElement || [])
+      .sort((a, b) => (a.position || 0) - (b.position || 0))
+      .map(entry => entry.name || (entry.item && typeof entry.item === 'object' ? entry.item.name : null))
+      .filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Extract product information from schema.org / OpenGraph structured data
+ * Reads JSON-LD Product/Offer blocks, microdata (itemprop) and OpenGraph
+ * product:* meta tags, so it works on any store that publishes them.
+ * JSON-LD wins over microdata, which wins over OpenGraph.
+ */
+function extractStructuredDataProduct(doc = document, pageUrl = window.location.href) {
+  try {
+    const data = mergeStructuredData(
+      readJsonLdProduct(doc, pageUrl),
+      readMicrodataProduct(doc, pageUrl),
+      readOpenGraphProduct(doc, pageUrl)
+    );
+    
+    // Skip stores pricing in a currency prices can't be compared in
+    const currency = data.currency ? normalizeCurrencyCode(String(data.currency)) : getCurrencyForUrl(pageUrl);
+    if (!currency) {
+      return null;
+    }
+    
+    const price = data.price != null ? parseOfferPrice(data.price, currency) : null;
+    if (!data.title || !price || price <= 0) {
+      return null;
+    }
+    
+    const siteName = doc.querySelector('meta[property="og:site_name"]')?.getAttribute('content')?.trim();
+    const identifiers = normalizeProductIdentifiers({ gtin: data.gtin, mpn: data.mpn });
+    const quantity = parseQuantityText(data.title);
+    
+    return {
+      retailer: siteName || extractRetailerName(pageUrl),
+      title: data.title,
+      price: price,
+      currency: currency,
+      imageUrl: data.imageUrl || null,
+      brand: data.brand || null,
+      ...identifiers,
+      sku: data.sku || identifiers.gtin || identifiers.mpn || null,
+      availability: data.availability || null,
+      variant: parseVariantAttributesFromTitle(data.title),
+      variants: [],
+      quantity: quantity,
+      unitPrice: computeUnitPrice(price, quantity, currency),
+      breadcrumbs: extractBreadcrumbs(null, doc),
+      url: pageUrl,
+      priceElement: findStructuredDataPriceElement(price, doc)
+    };
   } catch (error) {
-    console.warn('Error extracting Best Buy product:', error);
+    console.warn('Error extracting structured data product:', error);
   }
   
   return null;
 }
 
 /**
- * Extract product information from eBay
+ * Merge structured data sources, earlier sources take precedence
  */
-function extractEbayProduct() {
-  try {
-    // Product title
-    const titleSelectors = [
-      'h1[id*="ebay-item-title"]',
-      'h1.x-item-title-label',
-      '.x-item-title-label',
-      'h1.it-ttl'
-    ];
-    let title = null;
-    for (const selector of titleSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        title = el.textContent.trim();
-        if (title && title.length > 0) break;
+function mergeStructuredData(...sources) {
+  const merged = {};
+  for (const source of sources) {
+    if (!source) continue;
+    for (const [key, value] of Object.entries(source)) {
+      if ((merged[key] == null || merged[key] === '') && value != null && value !== '') {
+        merged[key] = value;
       }
     }
-    
-    // Price
-    const priceSelectors = [
-      '.notranslate[id*="prcIsum"]',
-      '#prcIsum',
-      '.u-flL.condText',
-      '.notranslate[itemprop="price"]'
-    ];
-    let price = null;
-    let priceElement = null;
-    for (const selector of priceSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        const priceText = el.textContent || el.getAttribute('content') || '';
-        price = parsePriceText(priceText);
-        if (price && price > 0) {
-          priceElement = el;
-          break;
-        }
-      }
-    }
-    
-    // Product image
-    const imageSelectors = [
-      '#icImg',
-      '.img.img640',
-      '[id*="icImg"]',
-      'img[itemprop="image"]'
-    ];
-    let imageUrl = null;
-    for (const selector of imageSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        imageUrl = el.src || el.getAttribute('data-src') || el.getAttribute('srcset')?.split(' ')[0];
-        if (imageUrl && imageUrl.startsWith('http')) {
-          break;
-        }
-      }
-    }
-    
-    // Brand (often in title or item specifics)
-    let brand = null;
-    const brandSelectors = [
-      '[data-testid="ux-labels-values__values"]',
-      '.u-flL.condText',
-      'div[class*="itemAttr"]'
-    ];
-    for (const selector of brandSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        const text = el.textContent.toLowerCase();
-        if (text.includes('brand')) {
-          brand = el.textContent.replace(/brand:/i, '').trim();
-          if (brand) break;
-        }
-      }
-    }
-    
-    // Item ID - from URL
-    let itemId = null;
-    const urlMatch = window.location.href.match(/\/itm\/(\d+)/);
-    if (urlMatch) {
-      itemId = urlMatch[1];
-    }
-    
-    if (title && price) {
-      return {
-        retailer: 'eBay',
-        title: title,
-        price: price,
-        currency: 'USD',
-        imageUrl: imageUrl,
-        brand: brand,
-        sku: itemId,
-        itemId: itemId,
-        url: window.location.href,
-        priceElement: priceElement
-      };
+  }
+  return merged;
+}
+
+/**
+ * Read the first schema.org Product from application/ld+json blocks
+ */
+function readJsonLdProduct(doc, pageUrl) {
+  const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+  for (const script of scripts) {
+    let json;
+    try {
+      json = JSON.parse(script.textContent);
+    } catch (e) {
+      // Malformed JSON-LD is common, skip the block
+      continue;
+    }
+    
+    const product = findJsonLdProductNode(json);
+    if (!product) continue;
+    
+    // ProductGroup pages describe the selected variant in hasVariant
+    const variant = Array.isArray(product.hasVariant) ? product.hasVariant[0] : null;
+    const offer = pickJsonLdOffer(product.offers || (variant && variant.offers));
+    const brand = product.brand || (variant && variant.brand);
+    
+    return {
+      title: cleanStructuredText(product.name || (variant && variant.name)),
+      brand: cleanStructuredText(typeof brand === 'object' && brand ? brand.name : brand),
+      price: offer ? offer.price : null,
+      currency: offer ? offer.currency : null,
+      gtin: cleanStructuredText(product.gtin13 || product.gtin12 || product.gtin14 || product.gtin8 || product.gtin ||
+        (offer && offer.gtin)),
+      mpn: cleanStructuredText(product.mpn),
+      sku: cleanStructuredText(product.sku),
+      imageUrl: pickJsonLdImage(product.image || (variant && variant.image), pageUrl),
+      availability: offer ? normalizeAvailability(offer.availability) : null
+    };
+  }
+  return null;
+}
+
+/**
+ * Walk a JSON-LD document (arrays, @graph, nested objects) for a Product node
+ */
+function findJsonLdProductNode(node, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 6) return null;
+  
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const found = findJsonLdProductNode(child, depth + 1);
+      if (found) return found;
     }
-  } catch (error) {
-    console.warn('Error extracting eBay product:', error);
+    return null;
   }
   
+  const types = [].concat(node['@type'] || []).map(t => String(t).toLowerCase());
+  if (types.includes('product') || types.includes('productgroup')) {
+    return node;
+  }
+  
+  if (node['@graph']) {
+    return findJsonLdProductNode(node['@graph'], depth + 1);
+  }
+  if (node.mainEntity) {
+    return findJsonLdProductNode(node.mainEntity, depth + 1);
+  }
+  return null;
+}
+
+/**
+ * Reduce a JSON-LD offers value (Offer, Offer[], AggregateOffer) to price fields
+ */
+function pickJsonLdOffer(offers) {
+  if (!offers) return null;
+  const list = [].concat(offers);
+  for (const offer of list) {
+    if (!offer || typeof offer !== 'object') continue;
+    const spec = [].concat(offer.priceSpecification || [])[0] || {};
+    const price = offer.price != null ? offer.price : (offer.lowPrice != null ? offer.lowPrice : spec.price);
+    if (price == null || price === '') continue;
+    return {
+      price: price,
+      currency: offer.priceCurrency || spec.priceCurrency || null,
+      availability: offer.availability || null,
+      gtin: offer.gtin13 || offer.gtin12 || offer.gtin || null
+    };
+  }
   return null;
 }
 
 /**
- * Extract product information from Costco
+ * JSON-LD image may be a string, an array, or an ImageObject
+ */
+function pickJsonLdImage(image, pageUrl) {
+  const first = [].concat(image || [])[0];
+  if (!first) return null;
+  const url = typeof first === 'object' ? (first.url || first.contentUrl) : first;
+  return url ? toAbsoluteUrl(url, pageUrl) : null;
+}
+
+/**
+ * Read a schema.org Product described with microdata (itemscope/itemprop)
+ */
+function readMicrodataProduct(doc, pageUrl) {
+  const root = doc.querySelector('[itemscope][itemtype*="schema.org/Product" i]');
+  if (!root) return null;
+  
+  const prop = (name) => {
+    const el = root.querySelector(`[itemprop="${name}"]`);
+    if (!el) return null;
+    // Nested scopes (brand, offers) carry their value in a name property
+    if (el.hasAttribute('itemscope')) {
+      const nameEl = el.querySelector('[itemprop="name"]');
+      return nameEl ? readMicrodataValue(nameEl) : null;
+    }
+    return readMicrodataValue(el);
+  };
+  
+  return {
+    title: cleanStructuredText(prop('name')),
+    brand: cleanStructuredText(prop('brand')),
+    price: prop('price') || prop('lowPrice'),
+    currency: prop('priceCurrency'),
+    gtin: cleanStructuredText(prop('gtin13') || prop('gtin12') || prop('gtin14') || prop('gtin8') || prop('gtin')),
+    mpn: cleanStructuredText(prop('mpn')),
+    sku: cleanStructuredText(prop('sku')),
+    imageUrl: prop('image') ? toAbsoluteUrl(prop('image'), pageUrl) : null,
+    availability: normalizeAvailability(prop('availability'))
+  };
+}
+
+/**
+ * Microdata values live in content/href/src attributes before falling back to text
+ */
+function readMicrodataValue(el) {
+  const value = el.getAttribute('content') || el.getAttribute('href') || el.getAttribute('src') || el.textContent;
+  return value ? value.trim() : null;
+}
+
+/**
+ * Read OpenGraph product meta tags (og:type=product, product:price:amount, ...)
+ */
+function readOpenGraphProduct(doc, pageUrl) {
+  const meta = (property) => {
+    const el = doc.querySelector(`meta[property="${property}"], meta[name="${property}"]`);
+    return el ? (el.getAttribute('content') || '').trim() || null : null;
+  };
+  
+  const ogType = (meta('og:type') || '').toLowerCase();
+  const price = meta('product:price:amount') || meta('og:price:amount');
+  // og:title/og:image appear on every page, only trust them on product pages
+  if (!ogType.includes('product') && !price) return null;
+  
+  return {
+    title: cleanStructuredText(meta('og:title')),
+    brand: cleanStructuredText(meta('product:brand') || meta('og:brand')),
+    price: price,
+    currency: meta('product:price:currency') || meta('og:price:currency'),
+    gtin: cleanStructuredText(meta('product:upc') || meta('product:ean') || meta('product:gtin') || meta('product:isbn')),
+    mpn: cleanStructuredText(meta('product:mfr_part_no')),
+    sku: cleanStructuredText(meta('product:retailer_item_id')),
+    imageUrl: meta('og:image') ? toAbsoluteUrl(meta('og:image'), pageUrl) : null,
+    availability: normalizeAvailability(meta('product:availability') || meta('og:availability'))
+  };
+}
+
+/**
+ * Trim structured data strings, ignoring non-string values
+ */
+function cleanStructuredText(value) {
+  if (value == null) return null;
+  if (typeof value === 'number') return String(value);
+  if (typeof value !== 'string') return null;
+  const trimmed = value.replace(/\s+/g, ' ').trim();
+  return trimmed || null;
+}
+
+/**
+ * Resolve relative and protocol-relative URLs against the page URL
  */
-function extractCostcoProduct() {
+function toAbsoluteUrl(url, pageUrl) {
   try {
-    // Product title
-    const titleSelectors = [
-      'h1[automation-id="productOutputTitle"]',
-      '.product-title h1',
-      'h1.product-title',
-      'h1'
-    ];
-    let title = null;
-    for (const selector of titleSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        title = el.textContent.trim();
-        if (title && title.length > 0 && !title.includes('Costco')) break;
-      }
-    }
-    
-    // Price
-    const priceSelectors = [
-      '[automation-id="productPriceOutput"]',
-      '.product-price',
-      '.price-value',
-      '[itemprop="price"]'
-    ];
-    let price = null;
-    let priceElement = null;
-    for (const selector of priceSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        const priceText = el.textContent || el.getAttribute('content') || '';
-        price = parsePriceText(priceText);
-        if (price && price > 0) {
-          priceElement = el;
-          break;
-        }
-      }
-    }
-    
-    // Product image
-    const imageSelectors = [
-      '[automation-id="productImageOutput"] img',
-      '.product-image img',
-      '.img-container img',
-      'img.product-image'
-    ];
-    let imageUrl = null;
-    for (const selector of imageSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        imageUrl = el.src || el.getAttribute('data-src') || el.getAttribute('srcset')?.split(' ')[0];
-        if (imageUrl && imageUrl.startsWith('http')) {
-          break;
-        }
-      }
-    }
-    
-    // Brand
-    let brand = null;
-    const brandSelectors = [
-      '[automation-id="productBrand"]',
-      '.product-brand',
-      '[itemprop="brand"]'
-    ];
-    for (const selector of brandSelectors) {
-      const el = document.querySelector(selector);
-      if (el) {
-        brand = el.textContent.trim();
-        if (brand) break;
-      }
-    }
-    
-    // Item number - from URL or product details
-    let itemNumber = null;
-    const urlMatch = window.location.href.match(/\.product\.(\d+)\.html/);
-    if (urlMatch) {
-      itemNumber = urlMatch[1];
-    }
-    
-    // Model number / UPC
-    let model = null;
-    const details = document.querySelectorAll('.product-details, .specifications');
-    for (const detail of details) {
-      const rows = detail.querySelectorAll('tr, .spec-row');
-      for (const row of rows) {
-        const label = row.querySelector('th, .label, dt')?.textContent?.trim()?.toLowerCase();
-        const value = row.querySelector('td, .value, dd')?.textContent?.trim();
-        if (label && (label.includes('model') || label.includes('item') || label.includes('upc')) && value) {
-          if (label.includes('model')) model = value;
-          if (!itemNumber && label.includes('item')) itemNumber = value;
-          break;
-        }
-      }
-    }
-    
-    if (title && price) {
-      return {
-        retailer: 'Costco',
-        title: title,
-        price: price,
-        currency: 'USD',
-        imageUrl: imageUrl,
-        brand: brand,
-        sku: itemNumber || model,
-        itemNumber: itemNumber,
-        model: model,
-        url: window.location.href,
-        priceElement: priceElement
-      };
+    return new URL(url, pageUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Find a visible element showing the structured data price, for button placement
+ * Falls back to the page's main heading when no price element can be matched.
+ */
+function findStructuredDataPriceElement(price, doc) {
+  const isVisible = (el) => el.tagName !== 'META' && (el.offsetParent !== null || el.getClientRects().length > 0);
+  
+  const itempropPrice = [...doc.querySelectorAll('[itemprop="price"]')].find(isVisible);
+  if (itempropPrice) return itempropPrice;
+  
+  const candidates = doc.querySelectorAll('[class*="price" i], [id*="price" i], [data-testid*="price" i], [data-test*="price" i]');
+  for (const el of candidates) {
+    const text = (el.textContent || '').trim();
+    if (!text || text.length > 40 || !isVisible(el)) continue;
+    const value = parsePriceText(text);
+    if (value && Math.abs(value - price) < 0.01) {
+      return el;
     }
-  } catch (error) {
-    console.warn('Error extracting Costco product:', error);
   }
   
-  return null;
+  return doc.querySelector('h1');
 }
 
 /**
@@ -0,0 +1,209 @@
+// product_identifiers.js
+// Product identifier classification and validation (UPC/EAN/GTIN/ISBN/ASIN/DPCI/MPN).
+// Spec tables often mislabel values (a DPCI in a "UPC" row, a model number in
+// "UPC/Model"), so every scraped identifier is classified by its shape and
+// check digit before it is trusted for matching or caching.
+
+/**
+ * Identifier types returned by classifyIdentifier()
+ */
+const IDENTIFIER_TYPES = {
+  UPC_A: 'UPC-A',
+  EAN_8: 'EAN-8',
+  EAN_13: 'EAN-13',
+  GTIN_14: 'GTIN-14',
+  ISBN_10: 'ISBN-10',
+  ISBN_13: 'ISBN-13',
+  ASIN: 'ASIN',
+  DPCI: 'DPCI',
+  MPN: 'MPN'
+};
+
+/**
+ * GS1 mod-10 check digit validation for GTIN-8/12/13/14
+ */
+function isValidGtin(digits) {
+  if (!/^\d+$/.test(digits) || ![8, 12, 13, 14].includes(digits.length)) return false;
+  return calculateGtinCheckDigit(digits.slice(0, -1)) === Number(digits[digits.length - 1]);
+}
+
+/**
+ * GS1 check digit for a GTIN body (all digits but the last)
+ */
+function calculateGtinCheckDigit(body) {
+  let sum = 0;
+  // Weights alternate 3,1,3,... starting from the digit next to the check digit
+  for (let i = 0; i < body.length; i++) {
+    const digit = Number(body[body.length - 1 - i]);
+    sum += digit * (i % 2 === 0 ? 3 : 1);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * ISBN-10 mod-11 validation (last character may be X)
+ */
+function isValidIsbn10(isbn) {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const value = isbn[i] === 'X' ? 10 : Number(isbn[i]);
+    sum += value * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+/**
+ * Convert an ISBN-10 to its ISBN-13 (978 prefix, recomputed check digit)
+ */
+function isbn10ToIsbn13(isbn10) {
+  const body = '978' + isbn10.slice(0, 9);
+  return body + calculateGtinCheckDigit(body);
+}
+
+/**
+ * Left-pad a valid GTIN-8/12/13 to the canonical 14-digit form
+ */
+function toGtin14(digits) {
+  if (!isValidGtin(digits)) return null;
+  return digits.padStart(14, '0');
+}
+
+/**
+ * Classify a raw identifier string
+ * @param {string} raw - Scraped value, e.g. "0 12345 67890 5", "012-34-5678", "WH1000XM5/B"
+ * @param {string} hint - Field or spec label the value came from ('upc', 'dpci', 'model', ...)
+ * @returns {{ type: string, value: string, valid: boolean, gtin14: string|null }|null}
+ */
+function classifyIdentifier(raw, hint = '') {
+  if (raw == null) return null;
+  const text = String(raw).trim();
+  if (!text || text.length > 40) return null;
+  const label = String(hint || '').toLowerCase();
+
+  // Target DPCI: department-class-item, e.g. 012-34-5678
+  if (/^\d{3}-\d{2}-\d{4}$/.test(text)) {
+    return { type: IDENTIFIER_TYPES.DPCI, value: text, valid: true, gtin14: null };
+  }
+
+  // Amazon ASIN: 10 characters starting with B0 (book ASINs are ISBN-10s, handled below)
+  if (/^B0[A-Z0-9]{8}$/i.test(text)) {
+    return { type: IDENTIFIER_TYPES.ASIN, value: text.toUpperCase(), valid: true, gtin14: null };
+  }
+
+  // ISBN-10, possibly hyphenated, may end in X
+  const isbnCompact = text.replace(/[-\s]/g, '').toUpperCase();
+  if (/^\d{9}[\dX]$/.test(isbnCompact) && (label.includes('isbn') || isValidIsbn10(isbnCompact))) {
+    const valid = isValidIsbn10(isbnCompact);
+    return {
+      type: IDENTIFIER_TYPES.ISBN_10,
+      value: isbnCompact,
+      valid: valid,
+      gtin14: valid ? toGtin14(isbn10ToIsbn13(isbnCompact)) : null
+    };
+  }
+
+  // Numeric GTIN family; separators (spaces, hyphens) are common in spec tables
+  const digits = text.replace(/[-\s]/g, '');
+  if (/^\d+$/.test(digits)) {
+    const valid = isValidGtin(digits);
+    const gtin14 = valid ? toGtin14(digits) : null;
+    switch (digits.length) {
+      case 8:
+        return { type: IDENTIFIER_TYPES.EAN_8, value: digits, valid, gtin14 };
+      case 11:
+        // UPC-A with its leading zero dropped by the retailer
+        return isValidGtin('0' + digits)
+          ? { type: IDENTIFIER_TYPES.UPC_A, value: '0' + digits, valid: true, gtin14: toGtin14('0' + digits) }
+          : { type: IDENTIFIER_TYPES.MPN, value: text, valid: false, gtin14: null };
+      case 12:
+        return { type: IDENTIFIER_TYPES.UPC_A, value: digits, valid, gtin14 };
+      case 13: {
+        const isIsbn = /^97[89]/.test(digits);
+        return { type: isIsbn ? IDENTIFIER_TYPES.ISBN_13 : IDENTIFIER_TYPES.EAN_13, value: digits, valid, gtin14 };
+      }
+      case 14:
+        return { type: IDENTIFIER_TYPES.GTIN_14, value: digits, valid, gtin14 };
+      default:
+        break;
+    }
+  }
+
+  // Anything else that looks like a code is a manufacturer part/model number
+  if (/[A-Z0-9]/i.test(text) && /\d/.test(text) && !/\s{2,}/.test(text)) {
+    return { type: IDENTIFIER_TYPES.MPN, value: text, valid: true, gtin14: null };
+  }
+  if (label.includes('model') || label.includes('mpn') || label.includes('part')) {
+    return { type: IDENTIFIER_TYPES.MPN, value: text, valid: true, gtin14: null };
+  }
+  return null;
+}
+
+/**
+ * Raw fields extractors may fill with identifiers of uncertain type
+ */
+const IDENTIFIER_SOURCE_FIELDS = ['gtin', 'upc', 'ean', 'isbn', 'asin', 'dpci', 'mpn', 'model'];
+
+/**
+ * Classify raw identifier fields into verified, typed fields
+ * Values failing their check digit are dropped rather than passed on as UPCs.
+ * model and mpn fields only ever give the mpn: an all-digit model number is
+ * still a model number, whatever its check digit says.
+ * @param {Object} raw - e.g. { upc: '123-45-6789', model: 'WH1000XM5' }
+ * @returns {Object} { gtin, upc, ean, isbn, asin, dpci, mpn } with only verified values set
+ */
+function normalizeProductIdentifiers(raw) {
+  const typed = { gtin: null, upc: null, ean: null, isbn: null, asin: null, dpci: null, mpn: null };
+
+  for (const field of IDENTIFIER_SOURCE_FIELDS) {
+    if (!raw[field]) continue;
+    // Book ASINs are ISBN-10s: keep the ASIN and still derive the ISBN below
+    if (field === 'asin' && /^[A-Z0-9]{10}$/i.test(raw[field])) {
+      typed.asin = String(raw[field]).toUpperCase();
+    }
+    const id = classifyIdentifier(raw[field], field);
+    if (!id) continue;
+    if (field === 'model' || field === 'mpn') {
+      typed.mpn = typed.mpn || String(raw[field]).trim();
+      continue;
+    }
+    // A failed check digit is a typo or some other number (a model, a SKU); drop it quietly
+    if (!id.valid) continue;
+
+    switch (id.type) {
+      case IDENTIFIER_TYPES.UPC_A:
+        typed.upc = typed.upc || id.value;
+        break;
+      case IDENTIFIER_TYPES.EAN_8:
+      case IDENTIFIER_TYPES.EAN_13:
+        typed.ean = typed.ean || id.value;
+        break;
+      case IDENTIFIER_TYPES.ISBN_10:
+      case IDENTIFIER_TYPES.ISBN_13:
+        typed.isbn = typed.isbn || (id.type === IDENTIFIER_TYPES.ISBN_10 ? isbn10ToIsbn13(id.value) : id.value);
+        break;
+      case IDENTIFIER_TYPES.ASIN:
+        typed.asin = typed.asin || id.value;
+        break;
+      case IDENTIFIER_TYPES.DPCI:
+        typed.dpci = typed.dpci || id.value;
+        break;
+      default:
+        // Only model/mpn fields are trusted as part numbers; a code in a "UPC" row is noise
+        break;
+    }
+    if (id.gtin14) typed.gtin = typed.gtin || id.gtin14;
+  }
+
+  return typed;
+}
+
+/**
+ * Valid GTINs (12-14 digits) mentioned in free text such as a result title
+ * Returned in canonical GTIN-14 form.
+ */
+function findGtinsInText(text) {
+  if (!text) return [];
+  const matches = String(text).match(/\b\d{12,14}\b/g) || [];
+  return [...new Set(matches.map(toGtin14).filter(Boolean))];
+}
@@ -0,0 +1,154 @@
+// regions.js
+// Shopping regions. The region decides which country's stores are kept (the
+// non-us-domain filter in result_filters.js), the country and language searches
+// run in (Google gl/cr, Bing mkt, SearXNG language) and the currency unit prices
+// are compared in. Prices in another currency are converted with the exchange
+// rate table when conversion is on in the options page, and otherwise left out of
+// unit-price comparisons.
+// Loaded by the content scripts and the service worker (after domain_utils.js)
+// and by the options page.
+
+/**
+ * Regions by id
+ *   countries - ISO codes of the country-code domains kept in results
+ *   google    - gl (geolocation) and cr (country restrict) Custom Search params
+ *   market    - Bing mkt and SearXNG language
+ */
+const REGIONS = {
+  US: {
+    id: 'US',
+    label: 'United States',
+    currency: 'USD',
+    locale: 'en-US',
+    countries: ['US'],
+    google: { gl: 'us', cr: 'countryUS' },
+    market: 'en-US'
+  },
+  CA: {
+    id: 'CA',
+    label: 'Canada',
+    currency: 'CAD',
+    locale: 'en-CA',
+    countries: ['CA'],
+    google: { gl: 'ca', cr: 'countryCA' },
+    market: 'en-CA'
+  },
+  GB: {
+    id: 'GB',
+    label: 'United Kingdom',
+    currency: 'GBP',
+    locale: 'en-GB',
+    countries: ['GB'],
+    google: { gl: 'uk', cr: 'countryUK' },
+    market: 'en-GB'
+  }
+};
+
+const DEFAULT_REGION_ID = 'US';
+
+/**
+ * Currency stores on a country's domains price in
+ */
+const COUNTRY_CURRENCIES = {
+  US: 'USD', CA: 'CAD', GB: 'GBP', AU: 'AUD', NZ: 'NZD', MX: 'MXN', CH: 'CHF', JP: 'JPY', IN: 'INR',
+  IE: 'EUR', DE: 'EUR', FR: 'EUR', IT: 'EUR', ES: 'EUR', NL: 'EUR', BE: 'EUR', AT: 'EUR', FI: 'EUR',
+  PT: 'EUR', GR: 'EUR'
+};
+
+/**
+ * Units of each currency per US dollar, used when the options page has no table
+ * Approximate; enter current rates in the options page for accurate conversion.
+ */
+const BUNDLED_EXCHANGE_RATES = {
+  USD: 1,
+  CAD: 1.38,
+  GBP: 0.75,
+  EUR: 0.86,
+  AUD: 1.53,
+  NZD: 1.72,
+  MXN: 18.4,
+  CHF: 0.8,
+  JPY: 150,
+  INR: 88
+};
+
+/**
+ * Region, conversion switch and exchange rates, as saved by the options page
+ * Loaded from chrome.storage.sync by loadRegionSettings()
+ */
+let regionSettings = { region: REGIONS[DEFAULT_REGION_ID], convert: false, rates: BUNDLED_EXCHANGE_RATES };
+
+/**
+ * Region by id, falling back to the default region
+ */
+function getRegion(id) {
+  const key = String(id || '').toUpperCase();
+  return REGIONS[key] || REGIONS[DEFAULT_REGION_ID];
+}
+
+/**
+ * Currency a store prices in, from its domain's country
+ * Generic TLDs (.com, .shop) are taken to price in US dollars.
+ */
+function getCurrencyForUrl(urlOrHost) {
+  return COUNTRY_CURRENCIES[getDomainCountry(urlOrHost)] || 'USD';
+}
+
+/**
+ * Convert an amount between currencies through the rates table (units per USD)
+ * Returns null when either currency has no rate.
+ */
+function convertCurrency(amount, from, to, rates = regionSettings.rates) {
+  if (amount == null || isNaN(amount)) return null;
+  if (from === to) return amount;
+  const fromRate = rates[from];
+  const toRate = rates[to];
+  if (!(fromRate > 0) || !(toRate > 0)) return null;
+  return (amount / fromRate) * toRate;
+}
+
+/**
+ * A unit price in the region's currency, converted when conversion is on
+ * The original value and currency are kept in convertedFrom for tooltips. Without
+ * conversion (or a rate) the unit price is returned as-is, and
+ * isUnitPriceComparable keeps it out of comparisons in the region's currency.
+ */
+function toRegionUnitPrice(unitPrice) {
+  const currency = regionSettings.region.currency;
+  const from = unitPrice ? (unitPrice.currency || 'USD') : null;
+  if (!unitPrice || from === currency || !regionSettings.convert) return unitPrice;
+  const value = convertCurrency(unitPrice.value, from, currency);
+  if (value == null) return unitPrice;
+  return { ...unitPrice, value, currency, convertedFrom: { value: unitPrice.value, currency: from } };
+}
+
+/**
+ * Read the region settings out of a sync storage items object
+ */
+function readRegionSettings(items) {
+  const rates = items.exchangeRates && typeof items.exchangeRates === 'object' ? items.exchangeRates : {};
+  return {
+    region: getRegion(items.region),
+    convert: items.enableCurrencyConversion === true,
+    rates: { ...BUNDLED_EXCHANGE_RATES, ...rates }
+  };
+}
+
+/**
+ * Load the region settings from storage
+ */
+function loadRegionSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get({ region: DEFAULT_REGION_ID, enableCurrencyConversion: false, exchangeRates: {} }, (items) => {
+      regionSettings = readRegionSettings(items);
+      resolve(regionSettings);
+    });
+  });
+}
+
+// Pick up changes from the options page without a reload
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') return;
+  if (!changes.region && !changes.enableCurrencyConversion && !changes.exchangeRates) return;
+  loadRegionSettings();
+});
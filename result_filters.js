@@ -0,0 +1,301 @@
+// result_filters.js
+// Ordered pipeline of named rules deciding which search candidates are retailer
+// product pages. parseShoppingResults (comparison_modal.js) runs every candidate
+// through runResultFilters(); rejected candidates keep the rule and reason so the
+// modal can list them in its "Filtered out" drawer.
+//
+// Rule shape:
+//   id          - stable identifier, used to disable the rule from the options page
+//   label       - short name shown in options and the drawer
+//   test(candidate, context) -> null (no opinion), { accept: false, reason }
+//                 (rejected, later rules are skipped) or { accept: true, reason }
+//                 (accepted, later rules are skipped)
+//   context     - { url, hostname, urlPath, domain } with url and hostname lowercased;
+//                 domain is parseDomain() of the URL (domain_utils.js), or null
+//
+// Custom rules from the options page (local storage, customResultFilters) run
+// before the built-in ones:
+//   { "id": "no-aliexpress", "action": "reject", "field": "host", "contains": "aliexpress",
+//     "reason": "Ships from overseas" }
+//   action   - 'reject' or 'accept'
+//   field    - 'host', 'url' or 'title'
+//   contains - case-insensitive substring, or pattern - regular expression string
+
+/**
+ * Built-in rule ids turned off and custom rules, as saved by the options page
+ * Loaded from chrome.storage.local by loadResultFilterSettings()
+ */
+let resultFilterSettings = { disabled: [], custom: [] };
+
+/**
+ * Built-in rules, run in order
+ */
+const RESULT_FILTER_RULES = [
+  {
+    id: 'non-commerce-tld',
+    label: 'Non-commerce domains',
+    test: (candidate, { domain }) => {
+      // The first label of the suffix covers org.uk, gov.au and the like
+      const kind = domain && domain.suffix ? domain.suffix.split('.')[0] : '';
+      if (['org', 'edu', 'gov', 'mil', 'ac'].includes(kind)) {
+        return { accept: false, reason: `Non-commerce domain (.${domain.suffix})` };
+      }
+      return null;
+    }
+  },
+  {
+    // The id predates regions (regions.js), and is kept so saved settings still apply
+    id: 'non-us-domain',
+    label: 'Stores outside your region',
+    test: (candidate, { domain }) => {
+      // Other countries' domains (amazon.co.uk from the US, walmart.ca from the UK); generic TLDs pass
+      const region = regionSettings.region;
+      if (domain && domain.country && !region.countries.includes(domain.country)) {
+        return { accept: false, reason: `Outside ${region.label} (.${domain.suffix})` };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'non-retailer-site',
+    label: 'Social, news and forum sites',
+    test: (candidate, { url, hostname }) => {
+      const nonRetailerDomains = [
+        'reddit.com', 'redd.it',
+        'facebook.com', 'fb.com',
+        'twitter.com', 'x.com',
+        'instagram.com',
+        'pinterest.com',
+        'tiktok.com',
+        'youtube.com', 'youtu.be',
+        'wikipedia.org', 'wikimedia.org',
+        'quora.com',
+        'medium.com',
+        'linkedin.com',
+        'tumblr.com',
+        'blogspot.com', 'blogger.com',
+        'wordpress.com',
+        'yahoo.com',
+        'buzzfeed.com',
+        'cnn.com', 'bbc.com', 'nytimes.com', 'washingtonpost.com', 'wsj.com', 'usatoday.com',
+        'theverge.com', 'techcrunch.com', 'engadget.com', 'arstechnica.com',
+        'amazon.com/review', 'amazon.com/customer-reviews',
+        'amazon.com/product-reviews'
+      ];
+      const match = nonRetailerDomains.find(entry => entry.includes('/')
+        ? url.includes(entry)
+        : isSameOrSubdomain(hostname, entry));
+      return match ? { accept: false, reason: `Not a store (${match})` } : null;
+    }
+  },
+  {
+    id: 'non-product-page',
+    label: 'Search, category, review and account pages',
+    test: (candidate, { url }) => {
+      const nonProductPatterns = [
+        '/search', '/category', '/categories', '/brand', '/brands', '/review', '/reviews',
+        '/compare', '/guide', '/help', '/blog', '/article', '/news', '/about', '/contact',
+        '/faq', '/sitemap', '/cart', '/checkout', '/account', '/profile', '/wishlist'
+      ];
+      const match = nonProductPatterns.find(pattern => url.includes(pattern));
+      return match ? { accept: false, reason: `Not a product page (${match})` } : null;
+    }
+  },
+  {
+    id: 'app-store',
+    label: 'App store links',
+    test: (candidate, { url }) => {
+      if (url.includes('apps.apple.com') || url.includes('play.google.com') || url.includes('app-store') ||
+          (url.includes('/app/') && !url.includes('/product'))) {
+        return { accept: false, reason: 'App store link' };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'homepage',
+    label: 'Store homepages',
+    test: (candidate, { hostname, urlPath }) => {
+      // Target URLs can look short, so Target is let through
+      if ((!urlPath || urlPath.trim() === '' || urlPath === '/') && !isSameOrSubdomain(hostname, 'target.com')) {
+        return { accept: false, reason: 'Store homepage, not a product' };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'brand-site-product-page',
+    label: 'Brand site pages without a product URL',
+    test: (candidate, context) => {
+      // Brand websites often link to homepages and landing pages
+      const brandDomains = ['jbl.com', 'nike.com', 'apple.com', 'samsung.com', 'sony.com', 'dell.com'];
+      if (brandDomains.some(domain => isSameOrSubdomain(context.hostname, domain)) && !isProductPageUrl(context.url)) {
+        return { accept: false, reason: 'Brand site page without a product URL' };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'product-page-url',
+    label: 'Unknown stores without a product URL',
+    test: (candidate, context) => {
+      // Known retailers usually have good product URLs even when the pattern doesn't match exactly
+      const knownRetailerDomains = ['amazon.com', 'target.com', 'walmart.com', 'bestbuy.com',
+        'ebay.com', 'costco.com', 'homedepot.com', 'lowes.com', 'kohls.com', 'macys.com',
+        'newegg.com', 'staples.com', 'officedepot.com', 'kroger.com', 'walgreens.com', 'frysfood.com'];
+      if (!isProductPageUrl(context.url) && !knownRetailerDomains.some(domain => isSameOrSubdomain(context.hostname, domain))) {
+        return { accept: false, reason: 'Not a product page URL, and not a known retailer' };
+      }
+      return null;
+    }
+  }
+];
+
+/**
+ * URL path patterns of product pages
+ */
+const PRODUCT_PAGE_PATTERNS = [
+  // Amazon patterns
+  /\/dp\/[A-Z0-9]{10}/i,
+  /\/gp\/product\/[A-Z0-9]/i,
+  /\/product\/[A-Z0-9]/i,
+  // Target patterns - /p/product-name/-/A-12345678 or /p/-/A-123
+  /\/p\/[^\/]+/i,
+  /\/p\/[A-Z0-9-]+\//i,
+  /\/product\/[0-9]+/i,
+  // Walmart patterns
+  /\/ip\/[^\/]+\/[0-9]+/i,
+  // Walgreens patterns
+  /\/store\/.*\/id=/i,
+  // Generic product patterns
+  /\/product[s]?\/[^\/]+/i,
+  /\/item[s]?\/[^\/]+/i,
+  /\/products\/[^\/]+/i,
+  /\/shop\/[^\/]+\/[^\/]+/i, // shop/category/product
+  /\/buy\/[^\/]+/i,
+  // Best Buy, eBay, etc.
+  /\/site\/[^\/]+\/[^\/]+\/p\.aspx/i,
+  /\/itm\/[0-9]+/i
+];
+
+/**
+ * Whether a URL looks like a product page
+ */
+function isProductPageUrl(url) {
+  return PRODUCT_PAGE_PATTERNS.some(pattern => pattern.test(url));
+}
+
+/**
+ * Whether a hostname is the domain or one of its subdomains ("m.ebay.com" of "ebay.com", not "notebay.com")
+ */
+function isSameOrSubdomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Lowercased URL, hostname, path and parsed domain of a candidate, shared by every rule
+ */
+function createResultFilterContext(candidate) {
+  const url = (candidate.url || candidate.displayLink || '').toLowerCase();
+  const domain = parseDomain(url);
+  return {
+    url: url,
+    hostname: domain ? domain.hostname : '',
+    urlPath: url.match(/https?:\/\/[^\/]+\/(.*)/)?.[1] || '',
+    domain: domain
+  };
+}
+
+/**
+ * Turn a custom rule from the options page into a pipeline rule
+ * Returns null for a rule without an action, field or match.
+ */
+function compileCustomResultFilter(rule) {
+  if (!rule || !['accept', 'reject'].includes(rule.action) || !['host', 'url', 'title'].includes(rule.field)) return null;
+
+  let matches;
+  if (typeof rule.pattern === 'string' && rule.pattern) {
+    let regex;
+    try {
+      regex = new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      console.warn('Invalid custom result filter pattern:', rule.id, error);
+      return null;
+    }
+    matches = (value) => regex.test(value);
+  } else if (typeof rule.contains === 'string' && rule.contains) {
+    const needle = rule.contains.toLowerCase();
+    matches = (value) => value.toLowerCase().includes(needle);
+  } else {
+    return null;
+  }
+
+  const label = rule.label || rule.id || `${rule.action} ${rule.field}`;
+  return {
+    id: rule.id || label,
+    label: label,
+    custom: true,
+    test: (candidate, context) => {
+      const value = rule.field === 'host' ? context.hostname : rule.field === 'url' ? context.url : (candidate.title || '');
+      if (!matches(value)) return null;
+      return { accept: rule.action === 'accept', reason: rule.reason || `Custom rule: ${label}` };
+    }
+  };
+}
+
+/**
+ * Rules in the order they run: custom rules, then the enabled built-in ones
+ */
+function getActiveResultFilters() {
+  const custom = (resultFilterSettings.custom || []).map(compileCustomResultFilter).filter(Boolean);
+  const disabled = new Set(resultFilterSettings.disabled || []);
+  return [...custom, ...RESULT_FILTER_RULES.filter(rule => !disabled.has(rule.id))];
+}
+
+/**
+ * Run a candidate through the pipeline
+ * @returns {{ accepted: boolean, rule: string|null, label: string|null, reason: string|null }}
+ */
+function runResultFilters(candidate) {
+  const context = createResultFilterContext(candidate);
+  for (const rule of getActiveResultFilters()) {
+    let verdict = null;
+    try {
+      verdict = rule.test(candidate, context);
+    } catch (error) {
+      console.warn(`Result filter ${rule.id} failed:`, error);
+    }
+    if (verdict) {
+      return { accepted: verdict.accept === true, rule: rule.id, label: rule.label, reason: verdict.reason || null };
+    }
+  }
+  return { accepted: true, rule: null, label: null, reason: null };
+}
+
+/**
+ * Load disabled rule ids and custom rules from storage
+ */
+function loadResultFilterSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ disabledResultFilters: [], customResultFilters: [] }, (items) => {
+      resultFilterSettings = {
+        disabled: Array.isArray(items.disabledResultFilters) ? items.disabledResultFilters : [],
+        custom: Array.isArray(items.customResultFilters) ? items.customResultFilters : []
+      };
+      resolve(resultFilterSettings);
+    });
+  });
+}
+
+// Pick up changes from the options page without a reload
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes.disabledResultFilters) {
+    const disabled = changes.disabledResultFilters.newValue;
+    resultFilterSettings = { ...resultFilterSettings, disabled: Array.isArray(disabled) ? disabled : [] };
+  }
+  if (changes.customResultFilters) {
+    const custom = changes.customResultFilters.newValue;
+    resultFilterSettings = { ...resultFilterSettings, custom: Array.isArray(custom) ? custom : [] };
+  }
+});
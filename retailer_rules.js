@@ -0,0 +1,998 @@
+// retailer_rules.js
+// Declarative extraction rules for retailer product pages.
+// Each rule is plain JSON-compatible data run by runExtractionRule() in
+// product_extractor.js, so selector drift is fixed here (or from the options
+// page) rather than in code.
+//
+// Rule shape:
+//   id         - stable identifier, used by local overrides from the options page
+//   retailer   - display name put on productInfo.retailer
+//   hosts      - store names the rule applies to, matched against the registrable
+//                domain's name ('amazon' matches amazon.com and amazon.co.uk, 'lowes'
+//                not fellowes.com); a full domain ('bestbuy.ca') matches just that site
+//   fields     - field name -> field spec (see below); title and price are required,
+//                an optional unitPrice field reads a shown price like "$0.25/oz"
+//   specs      - spec/detail table lookups: rows selector, label/value cell
+//                selectors, and field name -> label keywords. Identifier fields
+//                (upc, ean, isbn, gtin, dpci, model) are classified and
+//                check-digit verified by product_identifiers.js afterwards
+//                Labels mapped to 'quantity' ("Net Weight", "Unit Count") feed
+//                the unit price
+//   skuFrom    - fields tried in order to fill productInfo.sku
+//   marketplace - set for sites that list third-party offers: firstParty seller
+//                names that mean the retailer itself (an empty list means every
+//                listing is third-party) and defaultCondition when none is shown.
+//                seller, fulfilledBy and condition fields are read alongside
+//   variants   - variant picker (size, color, capacity, pack count), see below
+//   breadcrumbs - CSS selectors for the category trail's links, tried in order;
+//                the first one matching anything gives the whole trail (see
+//                extractBreadcrumbs, which falls back to schema.org BreadcrumbList)
+//
+// Field spec:
+//   selectors   - CSS selectors tried in order; '{title}' is replaced with the
+//                 start of the extracted title
+//   source      - 'text' (default), 'src', 'srcset', 'dynamicImage', 'splitPrice'
+//                 (dollars and cents in separate child elements) or an attribute
+//                 name; an array is tried in order for each matched element
+//   post        - post-processor names from EXTRACTION_POST_PROCESSORS; a
+//                 processor returning null rejects the candidate
+//   urlPattern  - regex string matched against the page URL before selectors
+//   matchAll    - try every element matching a selector, not just the first
+//   requireText - only accept elements whose text contains this (case-insensitive)
+//   excludeText - reject values containing any of these strings
+//
+// Variant spec:
+//   picker            - picker container; clicks/changes inside it re-run extraction
+//   groups            - one element per dimension (size, color, ...)
+//   label             - group heading, e.g. "Size:" or "Color: Blue"
+//   selected          - element holding the selected value, when shown separately
+//   options           - option elements within a group
+//   optionLabel       - child of an option holding its label, tried after the option itself
+//   optionSource      - sources read from the option (as for fields)
+//   optionSelected    - state selector marking the selected option
+//   optionUnavailable - state selector marking unavailable options
+
+const RETAILER_EXTRACTION_RULES = [
+  {
+    id: 'amazon',
+    retailer: 'Amazon',
+    hosts: ['amazon'],
+    fields: {
+      title: {
+        selectors: [
+          '#productTitle',
+          'h1.a-size-large.product-title-word-break',
+          'h1.a-size-base-plus',
+          '[data-feature-name="title"]',
+          '#title'
+        ]
+      },
+      price: {
+        selectors: [
+          '.a-price .a-offscreen',
+          '.a-price-whole',
+          '#priceblock_ourprice',
+          '#priceblock_dealprice',
+          '#priceblock_saleprice',
+          '.a-price-symbol + .a-price-whole',
+          '[data-a-color="price"] .a-offscreen',
+          // Last resort: any price container on the page
+          '[data-asin-price]',
+          '.a-price',
+          '#price'
+        ],
+        matchAll: true,
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '#landingImage',
+          '#imgBlkFront',
+          '#main-image',
+          '#leftCol img[data-a-dynamic-image]',
+          '.a-dynamic-image[src]'
+        ],
+        source: ['src', 'dynamicImage', 'data-src'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '#brand',
+          '[data-feature-name="bylineInfo"]',
+          '.po-brand .po-break-word',
+          '#productOverview_feature_div .po-brand .po-break-word'
+        ],
+        post: ['stripBy']
+      },
+      asin: {
+        urlPattern: '/dp/([A-Z0-9]{10})',
+        selectors: ['[data-asin]'],
+        source: 'data-asin'
+      },
+      unitPrice: {
+        // "($0.54 / Fl Oz)"; the offscreen copy repeats the amount
+        selectors: ['#corePrice_feature_div .pricePerUnit', '.pricePerUnit', '#sns-base-price .a-size-mini'],
+        post: ['unitPrice']
+      },
+      seller: {
+        selectors: [
+          '#sellerProfileTriggerId',
+          '[offer-display-feature-name="desktop-merchant-info"] .offer-display-feature-text-message',
+          '#merchantInfoFeature_feature_div .offer-display-feature-text-message',
+          '#merchant-info'
+        ],
+        post: ['stripSellerLabel']
+      },
+      fulfilledBy: {
+        selectors: [
+          '[offer-display-feature-name="desktop-fulfiller-info"] .offer-display-feature-text-message',
+          '#fulfillerInfoFeature_feature_div .offer-display-feature-text-message',
+          '#merchant-info'
+        ],
+        post: ['fulfiller']
+      },
+      condition: {
+        selectors: [
+          '#usedAccordionCaption_feature_div',
+          '#renewedProgramDescriptionAtf_feature_div',
+          '[offer-display-feature-name="desktop-condition"] .offer-display-feature-text-message'
+        ],
+        post: ['condition']
+      }
+    },
+    specs: [
+      {
+        rows: '#productDetails_techSpec_section_1 tr, #productDetails_detailBullets_sections1 tr',
+        label: 'th',
+        value: 'td',
+        fields: {
+          upc: ['upc'],
+          ean: ['ean'],
+          isbn: ['isbn'],
+          model: ['item model number', 'model number'],
+          quantity: ['unit count', 'net quantity', 'liquid volume', 'size']
+        }
+      }
+    ],
+    breadcrumbs: ['#wayfinding-breadcrumbs_feature_div li a'],
+    skuFrom: ['asin', 'upc'],
+    marketplace: {
+      firstParty: ['Amazon', 'Amazon.com'],
+      defaultCondition: 'new'
+    },
+    variants: {
+      picker: '#twister_feature_div, #twister, #inline-twister-expander-content',
+      groups: '#twister [id^="variation_"], #inline-twister-expander-content [id^="inline-twister-row-"]',
+      label: '.a-form-label, [id^="inline-twister-dim-title-"]',
+      selected: '.selection, [id^="inline-twister-expanded-dimension-text-"]',
+      options: 'li',
+      optionLabel: '.swatch-title-text-display, .twisterTextDiv p, img',
+      optionSource: ['title', 'alt', 'text'],
+      optionSelected: '.swatchSelect, .a-button-selected, [aria-checked="true"]',
+      optionUnavailable: '.swatchUnavailable, .a-button-unavailable, [aria-disabled="true"]'
+    }
+  },
+  {
+    id: 'target',
+    retailer: 'Target',
+    hosts: ['target'],
+    fields: {
+      title: {
+        selectors: [
+          'h1[data-test="product-title"]',
+          'h1.product-title',
+          '[data-test="product-title"]',
+          'h1'
+        ]
+      },
+      price: {
+        selectors: [
+          '[data-test="product-price"]',
+          '[data-test="current-price"]',
+          '.h-text-bold[aria-label*="price"]',
+          '[itemprop="price"]',
+          '.price'
+        ],
+        source: ['text', 'aria-label'],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '[data-test="product-image"] img',
+          '[data-test="gallery-image"] img',
+          '.product-image img',
+          '#zoomImage',
+          'img[alt*="{title}"]'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '[data-test="product-brand"]',
+          '.product-brand',
+          '[itemprop="brand"]'
+        ]
+      },
+      tcin: {
+        urlPattern: '/-/A-(\\d+)'
+      },
+      unitPrice: {
+        selectors: ['[data-test="unit-price"]', '[data-test="product-unit-price"]'],
+        post: ['unitPrice']
+      }
+    },
+    specs: [
+      {
+        rows: '[data-test="specifications"] tr, .specifications tr',
+        label: 'td:first-child',
+        value: 'td:last-child',
+        fields: { upc: ['upc'], dpci: ['dpci'], quantity: ['net weight', 'capacity (volume)', 'package quantity'] }
+      }
+    ],
+    breadcrumbs: ['[data-test="@web/Breadcrumbs/BreadcrumbLink"]', 'nav[aria-label="Breadcrumbs"] a'],
+    skuFrom: ['tcin', 'upc'],
+    variants: {
+      picker: '[data-test="@web/VariationComponent"], [data-test="variationsComponent"]',
+      groups: '[data-test="@web/VariationComponent"] > div, [data-test="variationsComponent"] > div',
+      label: '[data-test$="VariationHeader"], [data-test$="variationHeader"], .h-text-bold',
+      options: 'a[aria-label], button[aria-label], [role="radio"]',
+      optionSource: ['aria-label', 'text'],
+      optionSelected: '[aria-checked="true"], [aria-pressed="true"], [aria-label*="selected" i]',
+      optionUnavailable: '[aria-disabled="true"], [aria-label*="out of stock" i], [aria-label*="unavailable" i]'
+    }
+  },
+  {
+    id: 'walmart',
+    retailer: 'Walmart',
+    hosts: ['walmart'],
+    fields: {
+      title: {
+        selectors: [
+          'h1[itemprop="name"]',
+          'h1.prod-product-title',
+          '[data-testid="product-title"]',
+          'h1.prod-ProductTitle',
+          'h1'
+        ]
+      },
+      price: {
+        selectors: [
+          '[itemprop="price"]',
+          '[data-testid="price"]',
+          '.price-display',
+          '.price-current',
+          '.prod-PriceHero',
+          '[data-automation-id="product-price"]'
+        ],
+        source: ['text', 'content'],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '[data-testid="product-image"] img',
+          '.prod-hero-image img',
+          '.hover-zoom-hero-image img',
+          'img[alt*="{title}"]',
+          '[itemprop="image"]'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '[itemprop="brand"]',
+          '.prod-brand-name',
+          '[data-testid="product-brand"]'
+        ]
+      },
+      productId: {
+        urlPattern: 'ip/([^/]+)/'
+      },
+      unitPrice: {
+        selectors: ['[data-testid="price-per-unit"]', '[data-testid="ppu"]', '.prod-ProductOffer-ppu'],
+        post: ['unitPrice']
+      },
+      seller: {
+        // "Sold and shipped by Walmart.com" / "Sold by Acme"
+        selectors: [
+          '[data-testid="product-seller-info"] a',
+          'a[data-testid="seller-name-link"]',
+          '[data-automation-id="seller-name"]',
+          '[data-testid="product-seller-info"]'
+        ],
+        post: ['stripSellerLabel']
+      },
+      fulfilledBy: {
+        selectors: [
+          '[data-testid="wfs-badge"]',
+          '[data-testid="fulfillment-badge"]',
+          '[data-testid="product-seller-info"]'
+        ],
+        post: ['fulfiller']
+      },
+      condition: {
+        // Walmart calls refurbished items "Restored"
+        selectors: ['[data-testid="condition-badge"]', '[data-testid="item-condition"]', '.condition-label'],
+        post: ['condition']
+      }
+    },
+    specs: [
+      {
+        rows: '[data-testid="product-info"] tr, .product-info tr',
+        label: 'th, td:first-child',
+        value: 'td:last-child, td:nth-child(2)',
+        fields: { upc: ['upc', 'gtin'], model: ['model'], quantity: ['count per pack', 'fluid ounces', 'size'] }
+      }
+    ],
+    breadcrumbs: ['nav[aria-label="breadcrumb"] li a', '[data-testid="breadcrumb"] a'],
+    skuFrom: ['productId', 'upc'],
+    marketplace: {
+      firstParty: ['Walmart', 'Walmart.com'],
+      defaultCondition: 'new'
+    },
+    variants: {
+      picker: '[data-testid="variant-group"], [data-testid="item-page-variant-group-component"], .variants-container',
+      groups: '[data-testid="variant-group"], [data-testid="item-page-variant-group-component"] > div',
+      label: '[data-testid="variant-group-label"], legend, .variant-label',
+      options: '[data-testid="variant-tile"], input[type="radio"], button[aria-label]',
+      optionSource: ['aria-label', 'value', 'text'],
+      optionSelected: '[aria-checked="true"], [aria-pressed="true"], :checked, .selected',
+      optionUnavailable: '[aria-disabled="true"], [disabled], .unavailable'
+    }
+  },
+  {
+    id: 'bestbuy',
+    retailer: 'Best Buy',
+    hosts: ['bestbuy', 'best-buy'],
+    fields: {
+      title: {
+        selectors: [
+          'h1[class*="heading"]',
+          '.sku-title h1',
+          'h1.sr-only + h1',
+          'h1'
+        ],
+        excludeText: ['Best Buy']
+      },
+      price: {
+        selectors: [
+          '.priceView-customer-price span[aria-hidden="true"]',
+          '.priceView-price .priceView-customer-price',
+          '[class*="pricing-price"]',
+          '[data-testid="customer-price"]',
+          '.pricing-price__value'
+        ],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '.product-image img',
+          '[data-testid="product-image"] img',
+          '.gallery-image img',
+          'img.product-image'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '[data-testid="product-brand"]',
+          '.product-brand',
+          '[itemprop="brand"]',
+          'span[class*="brand"]'
+        ]
+      },
+      sku: {
+        urlPattern: 'skuId=(\\d+)'
+      }
+    },
+    specs: [
+      {
+        rows: '.product-data-specification tr, .product-data-specification .spec-item, .specifications-list tr, .specifications-list .spec-item',
+        label: 'th, .spec-label, dt',
+        value: 'td, .spec-value, dd',
+        fields: { model: ['model'], upc: ['upc'], sku: ['sku'] }
+      }
+    ],
+    breadcrumbs: ['.c-breadcrumbs-list a', 'nav.c-breadcrumbs a'],
+    skuFrom: ['sku', 'model'],
+    variants: {
+      picker: '.shop-product-variations, [data-testid="product-variations"]',
+      groups: '.shop-product-variations [class*="variation-group"], [data-testid="product-variations"] fieldset',
+      label: '.variation-label, legend, [class*="variation-name"]',
+      options: 'a[aria-label], button[aria-label], [role="radio"]',
+      optionSource: ['aria-label', 'text'],
+      optionSelected: '[aria-checked="true"], [aria-current="true"], [class*="selected"]',
+      optionUnavailable: '[aria-disabled="true"], [class*="unavailable"], [class*="disabled"]'
+    }
+  },
+  {
+    id: 'ebay',
+    retailer: 'eBay',
+    hosts: ['ebay'],
+    fields: {
+      title: {
+        selectors: [
+          'h1[id*="ebay-item-title"]',
+          'h1.x-item-title-label',
+          '.x-item-title-label',
+          'h1.it-ttl'
+        ]
+      },
+      price: {
+        selectors: [
+          '.notranslate[id*="prcIsum"]',
+          '#prcIsum',
+          '.u-flL.condText',
+          '.notranslate[itemprop="price"]'
+        ],
+        source: ['text', 'content'],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '#icImg',
+          '.img.img640',
+          '[id*="icImg"]',
+          'img[itemprop="image"]'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        // Brand lives in the item specifics list, labelled "Brand:"
+        selectors: [
+          '[data-testid="ux-labels-values__values"]',
+          '.u-flL.condText',
+          'div[class*="itemAttr"]'
+        ],
+        requireText: 'brand',
+        post: ['stripLabel']
+      },
+      itemId: {
+        urlPattern: '/itm/(\\d+)'
+      },
+      seller: {
+        selectors: [
+          '.x-sellercard-atf__info__about-seller a span',
+          '[data-testid="x-sellercard-atf"] .ux-textspans--BOLD',
+          '.mbg-nw'
+        ]
+      },
+      condition: {
+        selectors: [
+          '.x-item-condition-text .ux-textspans',
+          '[data-testid="x-item-condition"] .ux-textspans',
+          '#vi-itm-cond'
+        ],
+        post: ['condition']
+      }
+    },
+    breadcrumbs: ['nav.breadcrumbs li a', '.seo-breadcrumb-text span'],
+    skuFrom: ['itemId'],
+    // Every eBay listing is a third-party one
+    marketplace: {
+      firstParty: []
+    }
+  },
+  {
+    id: 'costco',
+    retailer: 'Costco',
+    hosts: ['costco'],
+    fields: {
+      title: {
+        selectors: [
+          'h1[automation-id="productOutputTitle"]',
+          '.product-title h1',
+          'h1.product-title',
+          'h1'
+        ],
+        excludeText: ['Costco']
+      },
+      price: {
+        selectors: [
+          '[automation-id="productPriceOutput"]',
+          '.product-price',
+          '.price-value',
+          '[itemprop="price"]'
+        ],
+        source: ['text', 'content'],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '[automation-id="productImageOutput"] img',
+          '.product-image img',
+          '.img-container img',
+          'img.product-image'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '[automation-id="productBrand"]',
+          '.product-brand',
+          '[itemprop="brand"]'
+        ]
+      },
+      itemNumber: {
+        urlPattern: '\\.product\\.(\\d+)\\.html'
+      }
+    },
+    specs: [
+      {
+        rows: '.product-details tr, .product-details .spec-row, .specifications tr, .specifications .spec-row',
+        label: 'th, .label, dt',
+        value: 'td, .value, dd',
+        fields: { model: ['model'], upc: ['upc'], itemNumber: ['item'] }
+      }
+    ],
+    breadcrumbs: ['#crumbs_ul li a', '.crumbs a'],
+    skuFrom: ['itemNumber', 'model']
+  },
+  {
+    id: 'homedepot',
+    retailer: 'Home Depot',
+    hosts: ['homedepot'],
+    fields: {
+      title: {
+        selectors: [
+          'h1.product-details__title',
+          '[data-testid="product-header"] h1',
+          '.product-title__title',
+          'h1'
+        ]
+      },
+      price: {
+        selectors: [
+          '#standard-price',
+          '[data-testid="price-format"]',
+          '.price-format__main-price',
+          '.price-detailed__wrapper',
+          '[itemprop="price"]'
+        ],
+        source: ['splitPrice', 'text', 'content'],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '.mediagallery__mainimage img',
+          '[data-testid="media-gallery"] img',
+          '.mediagallery img'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '.product-details__brand--link',
+          '[data-testid="product-header"] a[href*="/b/"]',
+          '[itemprop="brand"]'
+        ]
+      },
+      model: {
+        // Info bar reads "Internet #312345678  Model #ABC-123  Store SKU #1001"; a
+        // container holding the whole bar still yields just the model
+        selectors: ['.product-info-bar h2', '.product-info-bar div', '[data-testid="product-info-bar"] span'],
+        matchAll: true,
+        requireText: 'model',
+        post: ['modelHashValue']
+      },
+      internetNumber: {
+        urlPattern: '/p/(?:[^/]+/)?(\\d{9})'
+      }
+    },
+    specs: [
+      {
+        rows: '.specifications__row, [class*="specifications__row"], .specs__row',
+        label: '.specifications__cell:first-child, [class*="specifications__cell"]:first-child, .specs__cell--label',
+        value: '.specifications__cell:last-child, [class*="specifications__cell"]:last-child, .specs__cell--value',
+        fields: { model: ['model number'], upc: ['upc'], brand: ['manufacturer', 'brand'] }
+      }
+    ],
+    breadcrumbs: ['nav[aria-label="Breadcrumb"] a', '.breadcrumb__link'],
+    skuFrom: ['internetNumber', 'model']
+  },
+  {
+    id: 'lowes',
+    retailer: "Lowe's",
+    hosts: ['lowes'],
+    fields: {
+      title: {
+        selectors: [
+          'h1[class*="ProductTitle"]',
+          '.product-brand-description h1',
+          'h1'
+        ]
+      },
+      price: {
+        selectors: [
+          '[data-selector="splp-prd-act-$"]',
+          '[data-testid="splp-prd-act-$"]',
+          '.main-price',
+          '.art-pd-price',
+          '[itemprop="price"]'
+        ],
+        source: ['text', 'content'],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '[data-testid="carousel-image"] img',
+          '.gallery-image img',
+          '.imageSlider img'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '[data-selector="brand-name"]',
+          '.product-brand-description .brand',
+          '[itemprop="brand"]'
+        ]
+      },
+      model: {
+        // "Item #1234567 | Model #ABC123"
+        selectors: ['[data-testid="item-model"] span', '.item-model span', '.styles__ItemModel span'],
+        matchAll: true,
+        requireText: 'model',
+        post: ['stripHashLabel']
+      },
+      itemNumber: {
+        urlPattern: '/pd/[^/]+/(\\d+)'
+      }
+    },
+    specs: [
+      {
+        rows: '.specs-table tr, [data-testid="specifications"] tr',
+        label: 'th, td:first-child',
+        value: 'td:last-child',
+        fields: { upc: ['upc'], model: ['model'] }
+      }
+    ],
+    breadcrumbs: ['nav[aria-label="Breadcrumb"] a', '.breadcrumb a'],
+    skuFrom: ['itemNumber', 'model']
+  },
+  {
+    id: 'newegg',
+    retailer: 'Newegg',
+    hosts: ['newegg'],
+    fields: {
+      title: {
+        selectors: [
+          'h1.product-title',
+          '.product-wrap h1',
+          'h1'
+        ]
+      },
+      price: {
+        selectors: [
+          '.product-buy-box .price-current',
+          '.product-price .price-current',
+          '.price-current'
+        ],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '.product-view-img-original',
+          '.swiper-slide-active img',
+          '.product-view-gallery img'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '.product-view-brand img',
+          '[itemprop="brand"]'
+        ],
+        source: ['alt', 'title', 'text']
+      },
+      itemNumber: {
+        urlPattern: '/p/([A-Z0-9-]+)'
+      }
+    },
+    specs: [
+      {
+        rows: '#product-details table.table-horizontal tr, .tab-panes table tr',
+        label: 'th',
+        value: 'td',
+        fields: { brand: ['brand'], model: ['model'], upc: ['upc'] }
+      }
+    ],
+    breadcrumbs: ['ol.breadcrumb li a', '.breadcrumb a'],
+    skuFrom: ['itemNumber', 'model']
+  },
+  {
+    id: 'bhphotovideo',
+    retailer: 'B&H Photo',
+    hosts: ['bhphotovideo'],
+    fields: {
+      title: {
+        selectors: [
+          'h1[data-selenium="productTitle"]',
+          '[data-selenium="productTitle"]',
+          'h1'
+        ]
+      },
+      price: {
+        selectors: [
+          '[data-selenium="pricingPrice"]',
+          '[data-selenium="pricing"] [class*="price"]',
+          '[itemprop="price"]'
+        ],
+        source: ['text', 'content'],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '[data-selenium="inlineMediaMainImage"] img',
+          '[data-selenium="mainImage"]',
+          '[data-selenium="inlineMediaMainImage"]'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '[data-selenium="productBrand"]',
+          '[itemprop="brand"] [itemprop="name"]'
+        ],
+        source: ['text', 'content']
+      },
+      model: {
+        // Code crumbs read "B&H # SOWH1000XM5B" and "MFR # WH1000XM5/B"
+        selectors: ['[data-selenium="codeCrumb"]'],
+        matchAll: true,
+        requireText: 'mfr',
+        post: ['stripHashLabel']
+      },
+      itemNumber: {
+        urlPattern: '/c/product/(\\d+-[A-Z]+)'
+      }
+    },
+    specs: [
+      {
+        rows: '[data-selenium="specsItemGroupTableRow"]',
+        label: '[data-selenium="specsItemGroupTableColumnLabel"]',
+        value: '[data-selenium="specsItemGroupTableColumnValue"]',
+        fields: { upc: ['upc'] }
+      }
+    ],
+    breadcrumbs: ['[data-selenium="breadcrumbLink"]', 'nav[aria-label="breadcrumbs"] a'],
+    skuFrom: ['itemNumber', 'model']
+  },
+  {
+    id: 'kohls',
+    retailer: "Kohl's",
+    hosts: ['kohls'],
+    fields: {
+      title: {
+        selectors: [
+          'h1.product-title',
+          '.pdp-product-title',
+          'h1'
+        ]
+      },
+      price: {
+        selectors: [
+          '.pdpprice-row2-main-text',
+          '.pdpprice-row2 .main-price',
+          '[data-testid="sale-price"]',
+          '[itemprop="price"]'
+        ],
+        source: ['text', 'content'],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '#PDP_Main_Image img',
+          '.pdp-large-hero-image img',
+          '.pdp-main-image img'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '.product-brand a',
+          '.pdp-brand-name',
+          '[itemprop="brand"]'
+        ]
+      },
+      model: {
+        // Details list includes "Model no. ABC123" on branded goods
+        selectors: ['.product-details-content li', '.pdp-details li'],
+        matchAll: true,
+        requireText: 'model',
+        post: ['stripModelLabel']
+      },
+      itemNumber: {
+        urlPattern: '/prd-(\\d+)/'
+      }
+    },
+    breadcrumbs: ['.pdp-breadcrumbs a', '#breadcrumb a'],
+    skuFrom: ['itemNumber', 'model']
+  },
+  {
+    id: 'macys',
+    retailer: "Macy's",
+    hosts: ['macys'],
+    fields: {
+      title: {
+        selectors: [
+          'h1[data-auto="product-title"]',
+          '.product-title h1',
+          'h1'
+        ],
+        excludeText: ["Macy's"]
+      },
+      price: {
+        selectors: [
+          '[data-auto="main-price"]',
+          '.price .lowest-sale-price',
+          '.price-red',
+          '.price',
+          '[itemprop="price"]'
+        ],
+        source: ['text', 'content'],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '[data-auto="main-image"] img',
+          '.main-image img',
+          '.picture-container img'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '[data-auto="product-brand"]',
+          '.product-brand a',
+          '[itemprop="brand"]'
+        ]
+      },
+      webId: {
+        urlPattern: '[?&]ID=(\\d+)',
+        // Details list ends with "Web ID: 1234567"
+        selectors: ['.product-details-content li', '[data-auto="product-details-list"] li'],
+        matchAll: true,
+        requireText: 'web id',
+        post: ['stripLabel']
+      }
+    },
+    specs: [
+      {
+        rows: '[data-auto="product-details-list"] li, .product-details-content li',
+        label: 'span:first-child',
+        value: 'span:last-child',
+        fields: { model: ['model'], upc: ['upc'] }
+      }
+    ],
+    breadcrumbs: ['nav.breadcrumbs a', '.breadcrumbs-container a'],
+    skuFrom: ['webId', 'model']
+  },
+  {
+    id: 'staples',
+    retailer: 'Staples',
+    hosts: ['staples'],
+    fields: {
+      title: {
+        selectors: [
+          'h1#product_title',
+          'h1[class*="product-title"]',
+          'h1'
+        ]
+      },
+      price: {
+        selectors: [
+          '.price-info__final_price_sku',
+          '[class*="price-info__final_price"]',
+          '[data-testid="final-price"]',
+          '[itemprop="price"]'
+        ],
+        source: ['text', 'content'],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '[class*="image-gallery__main"] img',
+          '.product-image-container img',
+          '#product_image img'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '[class*="product-brand"]',
+          '[itemprop="brand"]'
+        ]
+      },
+      model: {
+        // "Item: 2436895 | Model: 12345-US"
+        selectors: ['[class*="item_model"]', '[class*="product-info"] span'],
+        matchAll: true,
+        requireText: 'model',
+        post: ['stripLabel']
+      },
+      itemNumber: {
+        urlPattern: '/product_(\\w+)'
+      }
+    },
+    specs: [
+      {
+        rows: '[class*="specification_row"], .specification-table tr',
+        label: '[class*="specification_name"], th',
+        value: '[class*="specification_value"], td',
+        fields: { brand: ['brand'], model: ['model'], upc: ['upc'] }
+      }
+    ],
+    breadcrumbs: ['.breadcrumbs a', 'nav[aria-label="breadcrumb"] a'],
+    skuFrom: ['itemNumber', 'model']
+  },
+  {
+    id: 'chewy',
+    retailer: 'Chewy',
+    hosts: ['chewy'],
+    fields: {
+      title: {
+        selectors: [
+          'h1[data-testid="product-title-heading"]',
+          '#product-title h1',
+          'h1'
+        ]
+      },
+      price: {
+        selectors: [
+          '[data-testid="advertised-price"]',
+          '.price .ga-eec__price',
+          '[data-testid="price"]',
+          '[itemprop="price"]'
+        ],
+        source: ['text', 'content'],
+        post: ['price']
+      },
+      imageUrl: {
+        selectors: [
+          '[data-testid="product-carousel"] img',
+          '.main-img img',
+          '#product-image img'
+        ],
+        source: ['src', 'data-src', 'srcset'],
+        post: ['httpUrl']
+      },
+      brand: {
+        selectors: [
+          '[data-testid="manufacture-name"] a',
+          '#product-subtitle a',
+          '[itemprop="brand"]'
+        ],
+        post: ['stripBy']
+      },
+      itemNumber: {
+        urlPattern: '/dp/(\\d+)'
+      },
+      unitPrice: {
+        selectors: ['[data-testid="per-unit-price"]', '.price-per-unit'],
+        post: ['unitPrice']
+      }
+    },
+    specs: [
+      {
+        rows: '[data-testid="specifications"] tr, #INFO table tr, .attributes li',
+        label: 'th, .title',
+        value: 'td, .value',
+        fields: { itemNumber: ['item number'], model: ['model'], upc: ['upc'], quantity: ['size', 'weight'] }
+      }
+    ],
+    breadcrumbs: ['nav[aria-label="breadcrumb"] a', '[data-testid="breadcrumbs"] a'],
+    skuFrom: ['itemNumber', 'model']
+  }
+];
@@ -0,0 +1,113 @@
+// update_public_suffix_list.js
+// Regenerates public_suffix_list.js from a copy of the Public Suffix List.
+//
+//   curl -o /tmp/public_suffix_list.dat https://publicsuffix.org/list/public_suffix_list.dat
+//   node scripts/update_public_suffix_list.js /tmp/public_suffix_list.dat
+//
+// Rules are kept as the list writes them, wildcards ("*.ck") and exceptions
+// ("!www.ck") included, with internationalized labels converted to punycode so
+// they compare against URL hostnames. The ICANN and private sections are kept
+// apart: domain_utils.js reads a store's country from the ICANN part only.
+
+const fs = require('fs');
+const path = require('path');
+const { domainToASCII } = require('url');
+
+const OUTPUT = path.join(__dirname, '..', 'public_suffix_list.js');
+const LINE_WIDTH = 100;
+
+/**
+ * Rules of each section of the list, in list order
+ */
+function parseList(text) {
+  const sections = { icann: [], private: [] };
+  let section = null;
+  const header = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line.includes('===BEGIN ICANN DOMAINS===')) section = 'icann';
+    else if (line.includes('===BEGIN PRIVATE DOMAINS===')) section = 'private';
+    else if (/===END (?:ICANN|PRIVATE) DOMAINS===/.test(line)) section = null;
+    else if (/^\/\/ (?:VERSION|COMMIT):/.test(line)) header.push(line.slice(3));
+
+    if (!line || line.startsWith('//') || !section) continue;
+    // Only the first whitespace-separated token of a line is the rule
+    sections[section].push(toAsciiRule(line.split(/\s/)[0].toLowerCase()));
+  }
+  return { sections, header };
+}
+
+/**
+ * A rule with its domain in punycode, keeping a leading "*." or "!"
+ */
+function toAsciiRule(rule) {
+  const prefix = rule.match(/^(?:\*\.|!)?/)[0];
+  const domain = rule.slice(prefix.length);
+  const ascii = domainToASCII(domain);
+  if (!ascii) throw new Error(`Cannot convert rule to punycode: ${rule}`);
+  return prefix + ascii;
+}
+
+/**
+ * Source lines of one section: rules grouped by top-level domain, wrapped
+ */
+function formatSection(rules) {
+  const byTld = new Map();
+  for (const rule of rules) {
+    const tld = rule.split('.').pop().replace(/^!/, '');
+    if (!byTld.has(tld)) byTld.set(tld, []);
+    byTld.get(tld).push(rule);
+  }
+
+  const lines = [];
+  for (const group of byTld.values()) {
+    let line = '';
+    for (const rule of group) {
+      if (line && line.length + rule.length + 1 > LINE_WIDTH) {
+        lines.push(line);
+        line = '';
+      }
+      line = line ? `${line} ${rule}` : rule;
+    }
+    lines.push(line);
+  }
+  return lines.map(line => `    '${line}'`).join(',\n');
+}
+
+function main() {
+  const [input, source] = process.argv.slice(2);
+  if (!input) {
+    console.error('Usage: node scripts/update_public_suffix_list.js <public_suffix_list.dat> [source note]');
+    process.exit(1);
+  }
+
+  const { sections, header } = parseList(fs.readFileSync(input, 'utf8'));
+  if (sections.icann.length === 0 || sections.private.length === 0) {
+    throw new Error('No ICANN or private section found; is this the public_suffix_list.dat file?');
+  }
+
+  const sourceLines = [...header, ...(source ? [source] : [])].map(line => `// ${line}\n`).join('');
+  const output = `// public_suffix_list.js
+// Generated by scripts/update_public_suffix_list.js from the Public Suffix List
+// (https://publicsuffix.org/list/), which is licensed under the MPL 2.0. Do not
+// edit by hand; rerun the script on a fresh copy of the list instead.
+${sourceLines}
+/**
+ * Public Suffix List rules by section, space-separated
+ * ${sections.icann.length} ICANN rules and ${sections.private.length} private ones, wildcards ("*.ck") and
+ * exceptions ("!www.ck") included. Parsed by domain_utils.js.
+ */
+const PUBLIC_SUFFIX_RULES = {
+  icann: [
+${formatSection(sections.icann)}
+  ].join(' '),
+  private: [
+${formatSection(sections.private)}
+  ].join(' ')
+};
+`;
+  fs.writeFileSync(OUTPUT, output);
+  console.log(`Wrote ${sections.icann.length + sections.private.length} rules to ${OUTPUT}`);
+}
+
+main();
@@ -0,0 +1,105 @@
+// search_client.js
+// Content-script side of the search service in the service worker
+// (search_service.js). Searches are sent as messages, so API keys and requests
+// stay out of the retailer page's context. The service worker also parses the
+// page's domain and injects the public suffix list on request (domain_utils.js).
+
+/**
+ * Send a message to the service worker, rejecting when it cannot be reached or
+ * its handler failed ({ success: false, error: { kind, message } })
+ */
+function sendSearchMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      if (response && response.success === false) {
+        const error = new Error((response.error && response.error.message) || 'Search service error');
+        error.kind = (response.error && response.error.kind) || 'unknown';
+        reject(error);
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
+
+/**
+ * New id tying a modal's queries together, so closing it can cancel them
+ */
+function createSearchId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Whether searching is enabled and which providers would be queried
+ * paging holds the automatic "Load more" settings: { auto, targetRetailers, maxPages }.
+ * @returns {Promise<{ enabled: boolean, demo: boolean, providerIds: string[], capped: string[], dailyCap: number, paging: Object }>}
+ */
+function requestSearchStatus() {
+  return sendSearchMessage({ type: 'SEARCH_STATUS' });
+}
+
+/**
+ * Run one query through the service worker's providers
+ * Only the fields providers use are sent (no DOM references).
+ * @param {number} page - 1-based results page
+ */
+function requestSearch(searchId, query, productInfo, page = 1) {
+  return sendSearchMessage({
+    type: 'SEARCH',
+    searchId: searchId,
+    query: query,
+    page: page,
+    productInfo: {
+      title: productInfo.title || '',
+      brand: productInfo.brand || null,
+      price: productInfo.price || null,
+      retailer: productInfo.retailer || null
+    }
+  });
+}
+
+/**
+ * Cancel a search's requests (the modal was closed)
+ */
+function cancelSearchRequests(searchId) {
+  sendSearchMessage({ type: 'CANCEL_SEARCH', searchId: searchId }).catch((error) => {
+    console.warn('Error cancelling search:', error);
+  });
+}
+
+/**
+ * Have the service worker parse the page's own host, so extraction can run
+ * without the public suffix list (see domain_utils.js)
+ */
+async function loadPageDomain() {
+  try {
+    const response = await sendSearchMessage({ type: 'PARSE_DOMAIN', host: window.location.hostname });
+    rememberParsedDomain(response && response.domain);
+  } catch (error) {
+    console.warn('Error parsing the page domain:', error);
+  }
+}
+
+/**
+ * Pending injection of public_suffix_list.js, shared by every caller
+ */
+let publicSuffixListRequest = null;
+
+/**
+ * Load the public suffix list into the content scripts before result URLs are parsed
+ * A failed injection is retried on the next call.
+ */
+function loadPublicSuffixList() {
+  if (isPublicSuffixListLoaded()) return Promise.resolve();
+  if (!publicSuffixListRequest) {
+    publicSuffixListRequest = sendSearchMessage({ type: 'LOAD_PUBLIC_SUFFIX_LIST' }).catch((error) => {
+      publicSuffixListRequest = null;
+      throw error;
+    });
+  }
+  return publicSuffixListRequest;
+}
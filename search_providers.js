@@ -0,0 +1,606 @@
+// search_providers.js
+// Search providers behind one interface: search(query, productInfo, settings, signal, page)
+// resolves to normalized candidate listings for that page of results. Loaded by the service worker only
+// (see search_service.js), so API keys never reach the retailer page.
+//
+// Candidate shape:
+//   title, url, displayLink, snippet - as shown by the search engine
+//   imageUrl                         - product image, or null
+//   priceText                        - "$12.99" / "£12.99" style price, or null
+//   offer                            - normalizeOffer() of the item (offer_model.js):
+//                                      price and currency, availability, rating, brand,
+//                                      gtin, condition, seller and where each came from
+//   provider                         - id of the provider that returned it
+//                                      (providers: all ids, after merging)
+//   urlKey                           - normalizeCandidateUrl(url), after merging
+
+/**
+ * Search settings as stored by the options page (sync storage)
+ */
+function loadSearchProviderSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(
+      {
+        googleAPIKey: '',
+        googleSearchEngineId: '',
+        enableAPICalls: true,
+        enableDemoMode: false,
+        searchProviders: ['google'],
+        bingAPIKey: '',
+        searxngURL: '',
+        dailyQueryCap: DEFAULT_DAILY_QUERY_CAP,
+        autoLoadMoreResults: true,
+        targetRetailerCount: 6,
+        maxResultPages: 3,
+        region: DEFAULT_REGION_ID
+      },
+      (items) => {
+        resolve({
+          enabled: items.enableAPICalls !== false,
+          demoMode: items.enableDemoMode === true,
+          providers: Array.isArray(items.searchProviders) ? items.searchProviders : ['google'],
+          google: { apiKey: items.googleAPIKey || '', searchEngineId: items.googleSearchEngineId || '' },
+          bing: { apiKey: items.bingAPIKey || '' },
+          searxng: { baseUrl: (items.searxngURL || '').replace(/\/+$/, '') },
+          dailyCap: Math.max(0, parseInt(items.dailyQueryCap, 10) || 0),
+          paging: {
+            auto: items.autoLoadMoreResults !== false,
+            targetRetailers: Math.max(1, parseInt(items.targetRetailerCount, 10) || 6),
+            maxPages: Math.min(MAX_SEARCH_PAGES, Math.max(1, parseInt(items.maxResultPages, 10) || 1))
+          },
+          region: getRegion(items.region)
+        });
+      }
+    );
+  });
+}
+
+/**
+ * Registered providers by id
+ * isConfigured(settings) says whether credentials are in place;
+ * search(query, productInfo, settings, signal, page) resolves to candidates.
+ * metered providers are held to the daily query cap (usage_ledger.js);
+ * minInterval spaces out requests to the same provider (ms);
+ * pageSize is how many results a full page holds (a shorter page is the last).
+ */
+const SEARCH_PROVIDERS = {
+  google: {
+    name: 'Google Custom Search',
+    isConfigured: (settings) => !!(settings.google.apiKey && settings.google.searchEngineId),
+    metered: true,
+    minInterval: 250,
+    pageSize: 10,
+    search: searchGoogleCSE
+  },
+  bing: {
+    name: 'Bing Web Search',
+    isConfigured: (settings) => !!settings.bing.apiKey,
+    metered: true,
+    minInterval: 350, // Free tier allows 3 transactions per second
+    pageSize: 10,
+    search: searchBing
+  },
+  searxng: {
+    name: 'SearXNG (self-hosted)',
+    isConfigured: (settings) => /^https?:\/\//.test(settings.searxng.baseUrl),
+    metered: false,
+    minInterval: 1000, // Public instances rate-limit aggressively
+    pageSize: 10, // Varies by instance and engines; fewer usually means no more pages
+    search: searchSearxng
+  },
+  mock: {
+    name: 'Mock (bundled fixtures)',
+    isConfigured: () => true,
+    metered: false,
+    minInterval: 0,
+    pageSize: 5, // Small, so the fixtures exercise "Load more"
+    search: searchMockFixtures
+  }
+};
+
+/**
+ * Providers enabled in settings that have their credentials
+ * Demo mode answers from the bundled fixtures only, whatever else is configured.
+ */
+function getActiveSearchProviders(settings) {
+  if (settings.demoMode) return ['mock'];
+  return settings.providers
+    .filter(id => SEARCH_PROVIDERS[id] && SEARCH_PROVIDERS[id].isConfigured(settings));
+}
+
+/**
+ * Deepest results page requested (Google CSE serves at most 100 results)
+ */
+const MAX_SEARCH_PAGES = 10;
+
+/**
+ * Query every active provider in parallel and merge their candidates
+ * A failing provider is skipped as long as another one answered. Every query
+ * sent is counted in the usage ledger, including ones that fail and retries.
+ * When all fail, the thrown error carries the first failure's kind and provider.
+ * hasMore is true when some provider returned a full page, so page + 1 may have more.
+ * @param {AbortSignal} signal - Aborts waiting for a rate-limit slot and the requests themselves
+ * @param {number} page - 1-based results page
+ * @returns {Promise<{ candidates: Array, errors: Array<{ provider, message, kind }>, hasMore: boolean }>}
+ */
+async function searchWithProviders(query, productInfo, settings, providerIds = getActiveSearchProviders(settings), signal = null, page = 1) {
+  const outcomes = await Promise.allSettled(
+    providerIds.map(id => searchProviderWithRetry(id, query, productInfo, settings, signal, page))
+  );
+
+  const errors = [];
+  const lists = [];
+  let hasMore = false;
+  outcomes.forEach((outcome, index) => {
+    if (outcome.status === 'fulfilled') {
+      lists.push(outcome.value);
+      if (outcome.value.length >= SEARCH_PROVIDERS[providerIds[index]].pageSize) hasMore = true;
+    } else {
+      console.warn(`Search provider ${providerIds[index]} failed:`, outcome.reason);
+      errors.push({
+        provider: providerIds[index],
+        message: outcome.reason?.message || String(outcome.reason),
+        kind: classifySearchError(outcome.reason)
+      });
+    }
+  });
+
+  if (signal && signal.aborted) {
+    throw signal.reason || new Error('Search cancelled');
+  }
+  if (lists.length === 0 && errors.length > 0) {
+    const error = new Error(errors.map(failure => `${failure.provider}: ${failure.message}`).join('; '));
+    error.kind = errors[0].kind;
+    error.provider = errors[0].provider;
+    throw error;
+  }
+  return { candidates: mergeSearchCandidates(lists), errors: errors, hasMore: hasMore && page < MAX_SEARCH_PAGES };
+}
+
+/**
+ * Retries after a transient failure (timeout, offline, rate limit, server error)
+ */
+const SEARCH_RETRY_LIMIT = 2;
+
+/**
+ * First retry delay (ms); doubled for each further retry, plus up to 50% jitter
+ */
+const SEARCH_RETRY_BASE_DELAY_MS = 500;
+
+/**
+ * Error kinds worth retrying; the others need the user to change something
+ */
+const TRANSIENT_SEARCH_ERRORS = ['timeout', 'offline', 'rate-limited', 'server'];
+
+/**
+ * One provider's search, retried with exponential backoff on transient errors
+ * while the provider is still within its daily budget
+ */
+async function searchProviderWithRetry(providerId, query, productInfo, settings, signal = null, page = 1) {
+  for (let attempt = 0; ; attempt++) {
+    await waitForProviderSlot(providerId, signal);
+    await recordSearchUsage(providerId);
+    try {
+      return await SEARCH_PROVIDERS[providerId].search(query, productInfo, settings, signal, page);
+    } catch (error) {
+      const kind = classifySearchError(error);
+      if ((signal && signal.aborted) || attempt >= SEARCH_RETRY_LIMIT || !TRANSIENT_SEARCH_ERRORS.includes(kind)) {
+        throw error;
+      }
+      // A retry is one more metered query, so it must still fit in today's budget
+      const { allowed } = await filterProvidersWithinBudget([providerId], settings);
+      if (allowed.length === 0) throw error;
+      const delay = SEARCH_RETRY_BASE_DELAY_MS * 2 ** attempt * (1 + Math.random() * 0.5);
+      console.warn(`Search provider ${providerId} failed (${kind}), retrying in ${Math.round(delay)}ms`);
+      await waitWithSignal(delay, signal);
+    }
+  }
+}
+
+/**
+ * Error thrown for a non-2xx provider response
+ * Keeps the HTTP status and the API's own reason code (Google: error.errors[].reason or
+ * error.status, Bing: error.code) for classifySearchError.
+ */
+async function createSearchResponseError(providerName, response) {
+  let detail = '';
+  let reason = '';
+  try {
+    const body = await response.json();
+    const apiError = body && body.error;
+    if (apiError) {
+      detail = apiError.message || '';
+      reason = (apiError.errors && apiError.errors[0] && apiError.errors[0].reason) || apiError.code || apiError.status || '';
+    }
+  } catch (error) {
+    // Not JSON; the status alone has to do
+  }
+  const error = new Error(`${providerName} request failed: ${response.status} ${response.statusText}${detail ? ` (${detail})` : ''}`);
+  error.status = response.status;
+  error.reason = String(reason);
+  return error;
+}
+
+/**
+ * Parse a provider's JSON body, flagging anything that isn't a JSON object as malformed
+ */
+async function readSearchResponseJson(providerName, response) {
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    data = null;
+  }
+  if (!data || typeof data !== 'object') {
+    const error = new Error(`${providerName} returned a response that is not JSON`);
+    error.kind = 'malformed';
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * What went wrong with a search, so the modal can say how to fix it
+ * invalid-key, api-not-enabled, engine-not-found, quota (daily quota used up),
+ * rate-limited, timeout, offline, server, malformed, or unknown.
+ */
+function classifySearchError(error) {
+  if (!error) return 'unknown';
+  if (error.kind) return error.kind;
+
+  const status = error.status || 0;
+  const reason = String(error.reason || '').toLowerCase();
+  const message = String(error.message || '').toLowerCase();
+
+  if (message === 'request timeout' || error.name === 'TimeoutError') return 'timeout';
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return 'offline';
+  if (error.name === 'TypeError' && /fetch|network/.test(message)) return 'offline';
+  if (error.name === 'SyntaxError') return 'malformed';
+
+  if (reason === 'keyinvalid' || /api key not valid|invalid (api|subscription) key|invalidsubscriptionkey/.test(`${reason} ${message}`) ||
+      status === 401) {
+    return 'invalid-key';
+  }
+  if (reason === 'accessnotconfigured' || /has not been used in project|is disabled/.test(message)) return 'api-not-enabled';
+  if (/dailylimitexceeded|quotaexceeded|outofcallvolume|per day/.test(`${reason} ${message}`)) return 'quota';
+  if (status === 429 || /ratelimitexceeded/.test(reason)) return 'rate-limited';
+  // Google answers an unknown cx with 400 "invalid argument" or 404 "not found"
+  if (status === 404 || (status === 400 && /invalid argument|cx/.test(message))) return 'engine-not-found';
+  if (status === 403) return 'invalid-key';
+  if (status >= 500) return 'server';
+  return 'unknown';
+}
+
+/**
+ * Resolve after ms, or reject as soon as the signal aborts
+ */
+function waitWithSignal(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason || new Error('Search cancelled'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason || new Error('Search cancelled'));
+      }, { once: true });
+    }
+  });
+}
+
+// Earliest time (ms) each provider may be sent its next request
+const providerNextSlot = {};
+
+/**
+ * Wait until the provider's minInterval since its previous request has passed
+ * Slots are reserved in call order, so parallel searches queue up instead of bursting.
+ */
+function waitForProviderSlot(providerId, signal = null) {
+  const now = Date.now();
+  const slot = Math.max(now, providerNextSlot[providerId] || 0);
+  providerNextSlot[providerId] = slot + (SEARCH_PROVIDERS[providerId].minInterval || 0);
+  return slot <= now ? Promise.resolve() : waitWithSignal(slot - now, signal);
+}
+
+/**
+ * Interleave provider result lists (so each provider's top hits come first),
+ * merging candidates that point at the same page
+ */
+function mergeSearchCandidates(lists) {
+  const byUrl = new Map();
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  for (let rank = 0; rank < longest; rank++) {
+    for (const list of lists) {
+      const candidate = list[rank];
+      if (!candidate || !candidate.url) continue;
+      const key = normalizeCandidateUrl(candidate.url);
+      const existing = byUrl.get(key);
+      if (existing) {
+        // Fill gaps from the other provider's copy of the listing
+        existing.providers = [...new Set([...existing.providers, candidate.provider])];
+        existing.imageUrl = existing.imageUrl || candidate.imageUrl;
+        existing.priceText = existing.priceText || candidate.priceText;
+        existing.offer = mergeOffers(existing.offer, candidate.offer);
+        existing.snippet = existing.snippet || candidate.snippet;
+      } else {
+        byUrl.set(key, { ...candidate, providers: [candidate.provider], urlKey: key });
+      }
+    }
+  }
+  return [...byUrl.values()];
+}
+
+/**
+ * URL identity for merging: host without www, path without trailing slash, no query or hash
+ */
+function normalizeCandidateUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+  } catch (error) {
+    return String(url).toLowerCase();
+  }
+}
+
+/**
+ * Candidate from a Google CSE item; the offer and image come from its pagemap
+ */
+function normalizeGoogleItem(item, productInfo, provider = 'google') {
+  const offer = normalizeOffer(item, productInfo ? productInfo.price : null, getCurrencyForUrl(item.link || item.displayLink));
+  return {
+    title: item.title || '',
+    url: item.link || '',
+    displayLink: item.displayLink || '',
+    snippet: item.snippet || '',
+    imageUrl: extractImageUrl(item),
+    priceText: formatOfferPriceText(offer),
+    offer: offer,
+    provider: provider
+  };
+}
+
+/**
+ * "$12.99" / "£12.99" text of an offer's price, for candidates' priceText
+ */
+function formatOfferPriceText(offer) {
+  return offer && offer.price != null && offer.currency ? formatCurrency(offer.price, offer.currency, 'en-US') : null;
+}
+
+/**
+ * Google Custom Search JSON API
+ */
+async function searchGoogleCSE(query, productInfo, settings, signal = null, page = 1) {
+  const start = (page - 1) * SEARCH_PROVIDERS.google.pageSize + 1;
+  const apiUrl = buildShoppingAPIUrl(settings.google.apiKey, settings.google.searchEngineId, query, start, settings.region);
+  const response = await fetchWithTimeout(apiUrl, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json'
+    },
+    signal: signal
+  }, 10000); // 10 second timeout
+
+  if (!response.ok) {
+    throw await createSearchResponseError('Google', response);
+  }
+
+  const data = await readSearchResponseJson('Google', response);
+  return (data.items || []).map(item => normalizeGoogleItem(item, productInfo));
+}
+
+/**
+ * Bing Web Search API v7
+ * No structured price data; a price in the snippet is used when present.
+ */
+async function searchBing(query, productInfo, settings, signal = null, page = 1) {
+  const params = new URLSearchParams({ q: query, count: '10', mkt: settings.region.market, safeSearch: 'Strict' });
+  if (page > 1) params.set('offset', String((page - 1) * SEARCH_PROVIDERS.bing.pageSize));
+  const response = await fetchWithTimeout(`https://api.bing.microsoft.com/v7.0/search?${params.toString()}`, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json',
+      'Ocp-Apim-Subscription-Key': settings.bing.apiKey
+    },
+    signal: signal
+  }, 10000);
+
+  if (!response.ok) {
+    throw await createSearchResponseError('Bing', response);
+  }
+
+  const data = await readSearchResponseJson('Bing', response);
+  return ((data.webPages && data.webPages.value) || []).map(page => {
+    const offer = normalizeOffer({ title: page.name || '', snippet: page.snippet || '' },
+      productInfo ? productInfo.price : null, getCurrencyForUrl(page.url));
+    return {
+      title: page.name || '',
+      url: page.url || '',
+      displayLink: page.displayUrl || '',
+      snippet: page.snippet || '',
+      imageUrl: page.thumbnailUrl || null,
+      priceText: formatOfferPriceText(offer),
+      offer: offer,
+      provider: 'bing'
+    };
+  });
+}
+
+/**
+ * SearXNG, or any self-hosted endpoint answering /search?q=...&format=json
+ * with { results: [{ title, url, content, img_src | thumbnail, price }] }
+ */
+async function searchSearxng(query, productInfo, settings, signal = null, page = 1) {
+  const params = new URLSearchParams({ q: query, format: 'json', categories: 'general', language: settings.region.market });
+  if (page > 1) params.set('pageno', String(page));
+  const response = await fetchWithTimeout(`${settings.searxng.baseUrl}/search?${params.toString()}`, {
+    method: 'GET',
+    headers: {
+      'Accept': 'application/json'
+    },
+    signal: signal
+  }, 10000);
+
+  if (!response.ok) {
+    throw await createSearchResponseError('SearXNG', response);
+  }
+
+  // Instances without format=json enabled answer with an HTML page
+  const data = await readSearchResponseJson('SearXNG', response);
+  return (data.results || []).map(result => {
+    const snippet = result.content || result.snippet || '';
+    let hostname = '';
+    try {
+      hostname = new URL(result.url).hostname;
+    } catch (error) {
+      // Leave displayLink empty for relative or malformed URLs
+    }
+    const localCurrency = getCurrencyForUrl(result.url);
+    const offer = normalizeOffer({ title: result.title || '', snippet: snippet }, productInfo ? productInfo.price : null, localCurrency);
+    // The instance's own price field beats one found in the text
+    const price = result.price != null ? parseOfferPrice(result.price, localCurrency) : null;
+    if (price != null) {
+      offer.price = price;
+      offer.currency = parseLocalizedPrice(String(result.price), localCurrency)?.currency || localCurrency;
+      offer.provenance.price = 'searxng.price';
+      offer.provenance.currency = 'searxng.price';
+    }
+    return {
+      title: result.title || '',
+      url: result.url || '',
+      displayLink: hostname,
+      snippet: snippet,
+      imageUrl: result.img_src || result.thumbnail || null,
+      priceText: formatOfferPriceText(offer),
+      offer: offer,
+      provider: 'searxng'
+    };
+  });
+}
+
+/**
+ * Offline provider answering from bundled CSE-format fixtures in fixtures/search/
+ * (the mock provider, and demo mode). index.json lists recorded responses by product
+ * category (keywords matched against the query and title) and optionally by the
+ * retailer whose page they were recorded on; the generic default fills {title},
+ * {brand} and {query} placeholders from the current product. Items on hosts the
+ * query excludes with -site: (or leaves out of its site: filter) are dropped, as a
+ * live search would, and the rest are served pageSize at a time.
+ */
+async function searchMockFixtures(query, productInfo, settings, signal = null, page = 1) {
+  const index = await (await fetch(chrome.runtime.getURL('fixtures/search/index.json'), { signal })).json();
+  const haystack = `${query} ${productInfo ? productInfo.title : ''}`.toLowerCase();
+  const retailer = (productInfo && productInfo.retailer ? productInfo.retailer : '').toLowerCase();
+  const matches = (index.fixtures || []).filter(fixture =>
+    (fixture.keywords || []).some(keyword => haystack.includes(keyword.toLowerCase()))
+  );
+  const entry = matches.find(fixture => fixture.retailer && fixture.retailer === retailer) ||
+    matches.find(fixture => !fixture.retailer);
+  const file = entry ? entry.file : index.default;
+  const data = await (await fetch(chrome.runtime.getURL(`fixtures/search/${file}`), { signal })).json();
+  const excludedSites = [...query.matchAll(/-site:(\S+)/g)].map(match => match[1].toLowerCase());
+  const includedSites = [...query.matchAll(/(?:^|[\s(])site:([^\s)]+)/g)].map(match => match[1].toLowerCase());
+  const hostOf = (item) => (item.displayLink || '').toLowerCase().replace(/^www\./, '');
+
+  const fill = (text) => String(text || '')
+    .replace(/\{title\}/g, productInfo ? productInfo.title : query)
+    .replace(/\{brand\}/g, productInfo && productInfo.brand ? productInfo.brand : '')
+    .replace(/\{query\}/g, query)
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  const pageSize = SEARCH_PROVIDERS.mock.pageSize;
+  return (data.items || [])
+    .filter(item => !excludedSites.some(site => hostOf(item).endsWith(site)))
+    .filter(item => includedSites.length === 0 || includedSites.some(site => hostOf(item).endsWith(site)))
+    .slice((page - 1) * pageSize, page * pageSize)
+    .map(item => normalizeGoogleItem(
+      { ...item, title: fill(item.title), snippet: fill(item.snippet) },
+      productInfo,
+      'mock'
+    ));
+}
+
+/**
+ * Build Google Custom Search API URL for Shopping
+ * @param {number} start - 1-based index of the first result (11 for page two)
+ * @param {Object} region - Shopping region (regions.js); its gl and cr params are sent
+ */
+function buildShoppingAPIUrl(apiKey, searchEngineId, query, start = 1, region = null) {
+  // Google Custom Search API with Shopping results
+  const baseUrl = 'https://www.googleapis.com/customsearch/v1';
+  const params = new URLSearchParams({
+    key: apiKey,
+    cx: searchEngineId,
+    q: query,
+    // tbm: 'shop', // REMOVED: Use regular web search for better metadata/snippets
+    num: '10', // Google Custom Search API max is 10 results per request
+    safe: 'active'
+  });
+  if (start > 1) params.set('start', String(start));
+  if (region) {
+    params.set('gl', region.google.gl);
+    params.set('cr', region.google.cr);
+  }
+  
+  return `${baseUrl}?${params.toString()}`;
+}
+
+/**
+ * Fetch with timeout
+ * The request is aborted (not just abandoned) on timeout or when options.signal aborts.
+ */
+function fetchWithTimeout(url, options, timeout) {
+  const { signal, ...fetchOptions } = options;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error('Request timeout')), timeout);
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+  }
+  return fetch(url, { ...fetchOptions, signal: controller.signal })
+    .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Extract image URL from shopping result
+ */
+function extractImageUrl(item) {
+  // Priority 1: Check for Open Graph image in metatags (usually the primary product image)
+  if (item.pagemap && item.pagemap.metatags) {
+    const metatags = Array.isArray(item.pagemap.metatags) ? item.pagemap.metatags : [item.pagemap.metatags];
+    for (const meta of metatags) {
+      if (meta['og:image']) {
+        return meta['og:image'];
+      }
+      // Also check for Twitter card image as fallback
+      if (meta['twitter:image']) {
+        return meta['twitter:image'];
+      }
+    }
+  }
+  
+  // Priority 2: Check cse_image (first one should be primary)
+  if (item.pagemap && item.pagemap.cse_image) {
+    const images = Array.isArray(item.pagemap.cse_image) ? item.pagemap.cse_image : [item.pagemap.cse_image];
+    if (images.length > 0 && images[0].src) {
+      return images[0].src;
+    }
+  }
+  
+  // Priority 3: Check product.image (first one)
+  if (item.pagemap && item.pagemap.product) {
+    const products = Array.isArray(item.pagemap.product) ? item.pagemap.product : [item.pagemap.product];
+    for (const product of products) {
+      if (product.image) {
+        return Array.isArray(product.image) ? product.image[0] : product.image;
+      }
+    }
+  }
+  
+  return null;
+}
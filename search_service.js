@@ -0,0 +1,182 @@
+// search_service.js
+// Search service run by the service worker. Content scripts send one message per
+// query (search_client.js) and never see API keys or make the requests themselves.
+//
+// Messages:
+//   SEARCH_STATUS                    -> { enabled, demo, providerIds, capped, dailyCap, paging }
+//   SEARCH { searchId, query, productInfo, page }
+//                                    -> { status: 'ok', candidates, errors, hasMore, cached }
+//                                       (page is 1-based and defaults to 1)
+//                                     | { status: 'disabled' | 'unconfigured' | 'cancelled' }
+//                                     | { status: 'budget', cap }
+//                                     | { status: 'error', message, kind, provider, providerName }
+//                                       (kind: see classifySearchError)
+//   CANCEL_SEARCH { searchId }       -> aborts that search's requests nobody else is waiting on
+//
+// Identical queries from several tabs share one request while it is in flight,
+// and the answer is kept in session storage for every tab to reuse.
+
+/**
+ * How long a query's candidates are reused (ms)
+ */
+const SEARCH_QUERY_CACHE_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * How long a cancelled search id keeps refusing new queries (ms)
+ */
+const CANCELLED_SEARCH_RETENTION_MS = 5 * 60 * 1000;
+
+// Query key -> { promise, controller, searchIds: Set } for requests in flight
+const inFlightSearches = new Map();
+
+// Search ids whose modal was closed; later queries of their plan are refused
+const cancelledSearchIds = new Set();
+
+/**
+ * Which providers a search would use right now
+ * providerIds excludes providers in cache-only mode (listed in capped).
+ */
+async function getSearchStatus() {
+  const settings = await loadSearchProviderSettings();
+  const { allowed, capped } = await filterProvidersWithinBudget(getActiveSearchProviders(settings), settings);
+  return {
+    enabled: settings.enabled || settings.demoMode,
+    demo: settings.demoMode,
+    providerIds: allowed,
+    capped: capped,
+    dailyCap: settings.dailyCap,
+    paging: settings.paging
+  };
+}
+
+/**
+ * Answer a SEARCH message: shared cache, then an identical request in flight, then a new one
+ */
+async function handleSearchRequest(message) {
+  const { searchId, query, productInfo } = message;
+  const page = Math.max(1, parseInt(message.page, 10) || 1);
+  if (cancelledSearchIds.has(searchId)) return { status: 'cancelled' };
+
+  const settings = await loadSearchProviderSettings();
+  if (!settings.enabled && !settings.demoMode) return { status: 'disabled' };
+  const active = getActiveSearchProviders(settings);
+  if (active.length === 0) return { status: 'unconfigured' };
+  const { allowed } = await filterProvidersWithinBudget(active, settings);
+  if (allowed.length === 0) return { status: 'budget', cap: settings.dailyCap };
+
+  const key = getSearchQueryKey(query, allowed, page, settings.region.id);
+  const cached = await loadCachedQuery(key);
+  if (cached) {
+    return { status: 'ok', candidates: cached.candidates, errors: [], hasMore: cached.hasMore === true, cached: true };
+  }
+
+  // The modal may have closed while settings, budget or cache were read
+  if (cancelledSearchIds.has(searchId)) return { status: 'cancelled' };
+
+  let entry = inFlightSearches.get(key);
+  if (entry) {
+    console.log('Joining in-flight search:', query);
+  } else {
+    const controller = new AbortController();
+    const created = { controller, searchIds: new Set() };
+    created.promise = searchWithProviders(query, productInfo, settings, allowed, controller.signal, page)
+      .then((result) => {
+        // A query one provider failed is not cached, so the next attempt can fill it in
+        if (result.errors.length === 0) saveCachedQuery(key, result.candidates, result.hasMore);
+        return result;
+      })
+      .finally(() => {
+        // A cancelled entry may already have been replaced by a fresh search
+        if (inFlightSearches.get(key) === created) inFlightSearches.delete(key);
+      });
+    inFlightSearches.set(key, created);
+    entry = created;
+  }
+  entry.searchIds.add(searchId);
+
+  try {
+    const result = await entry.promise;
+    if (cancelledSearchIds.has(searchId)) return { status: 'cancelled' };
+    return { status: 'ok', candidates: result.candidates, errors: result.errors, hasMore: result.hasMore, cached: false };
+  } catch (error) {
+    if (cancelledSearchIds.has(searchId)) return { status: 'cancelled' };
+    const provider = error.provider || null;
+    return {
+      status: 'error',
+      message: error.message || String(error),
+      kind: classifySearchError(error),
+      provider: provider,
+      providerName: provider && SEARCH_PROVIDERS[provider] ? SEARCH_PROVIDERS[provider].name : null
+    };
+  } finally {
+    entry.searchIds.delete(searchId);
+  }
+}
+
+/**
+ * Cancel a search: its in-flight requests are aborted unless another search shares them
+ */
+function cancelSearch(searchId) {
+  cancelledSearchIds.add(searchId);
+  setTimeout(() => cancelledSearchIds.delete(searchId), CANCELLED_SEARCH_RETENTION_MS);
+
+  for (const [key, entry] of inFlightSearches) {
+    if (!entry.searchIds.has(searchId)) continue;
+    entry.searchIds.delete(searchId);
+    if (entry.searchIds.size === 0) {
+      entry.controller.abort(new Error('Search cancelled'));
+      // Don't let a new search for the same query join the aborted one
+      inFlightSearches.delete(key);
+    }
+  }
+}
+
+/**
+ * Cache key of one results page of a query for a set of providers, in a region
+ */
+function getSearchQueryKey(query, providerIds, page = 1, regionId = DEFAULT_REGION_ID) {
+  return `search_query_${[...providerIds].sort().join('+')}_${regionId}_p${page}_${query.toLowerCase().replace(/\s+/g, ' ').trim()}`;
+}
+
+/**
+ * Cached candidates for a query key, or null when missing or expired
+ */
+function loadCachedQuery(key) {
+  return new Promise((resolve) => {
+    chrome.storage.session.get([key], (items) => {
+      const cached = items[key];
+      if (!cached || Date.now() > cached.expiresAt) {
+        resolve(null);
+        return;
+      }
+      resolve(cached);
+    });
+  });
+}
+
+/**
+ * Keep a query's candidates for SEARCH_QUERY_CACHE_TTL_MS
+ * Session storage is shared by all tabs and cleared when the browser closes; expired
+ * queries are dropped first so the cache stays under its quota. A failed write only
+ * means the next identical query is searched again.
+ */
+async function saveCachedQuery(key, candidates, hasMore = false) {
+  try {
+    await removeExpiredQueries();
+    await chrome.storage.session.set({
+      [key]: { candidates: candidates, hasMore: hasMore, expiresAt: Date.now() + SEARCH_QUERY_CACHE_TTL_MS }
+    });
+  } catch (error) {
+    console.warn('Error caching search results:', error);
+  }
+}
+
+/**
+ * Remove cached queries past their expiry from session storage
+ */
+async function removeExpiredQueries() {
+  const items = await chrome.storage.session.get(null);
+  const now = Date.now();
+  const expired = Object.keys(items).filter((key) => key.startsWith('search_query_') && !(now <= items[key]?.expiresAt));
+  if (expired.length > 0) await chrome.storage.session.remove(expired);
+}
@@ -1,17 +1,51 @@
 // service_worker.js
-// Handles messages from content scripts. In future it will call AI/optimizer APIs.
+// Handles messages from content scripts: the search service (search_service.js)
+// and, in future, AI/optimizer APIs.
+
+importScripts("price_utils.js", "product_identifiers.js", "public_suffix_list.js", "domain_utils.js", "regions.js", "offer_model.js", "usage_ledger.js", "search_providers.js", "search_service.js");
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log("SuperShopper extension installed.");
 });
 
+/**
+ * Reply to a message whose handler threw, so the sender isn't left waiting
+ */
+function sendFailure(sendResponse, error) {
+  console.warn("Message handler failed:", error);
+  sendResponse({ success: false, error: { kind: "unknown", message: (error && error.message) || String(error) } });
+}
+
 // Simple message handler pattern we'll use later
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "OPTIMIZE_DISCOUNTS") {
     // In the future: call remote optimizer API and return result.
     // For now return empty discounts.
     sendResponse({ discounts: [], bestTotal: null });
+  } else if (message.type === "SEARCH_STATUS") {
+    getSearchStatus().then(sendResponse).catch((error) => sendFailure(sendResponse, error));
+    // Keeps the channel open until the async reply
+    return true;
+  } else if (message.type === "SEARCH") {
+    handleSearchRequest(message).then(sendResponse).catch((error) => sendFailure(sendResponse, error));
+    return true;
+  } else if (message.type === "CANCEL_SEARCH") {
+    cancelSearch(message.searchId);
+    sendResponse({ cancelled: true });
+  } else if (message.type === "PARSE_DOMAIN") {
+    // Content scripts don't carry the public suffix list onto every page (domain_utils.js)
+    sendResponse({ domain: parseDomain(message.host) });
+  } else if (message.type === "LOAD_PUBLIC_SUFFIX_LIST") {
+    // Injected into the content scripts' isolated world when a comparison needs it
+    chrome.scripting.executeScript({ target: { tabId: sender.tab.id, frameIds: [sender.frameId] }, files: ["public_suffix_list.js"] })
+      .then(() => sendResponse({ loaded: true }))
+      .catch((error) => sendFailure(sendResponse, error));
+    return true;
+  } else if (message.type === "OPEN_OPTIONS") {
+    // Content scripts cannot open the options page themselves
+    chrome.runtime.openOptionsPage();
+    sendResponse({ opened: true });
   }
-  // Returning true allows async response later if needed
-  return true;
+  // Other messages are answered synchronously or not at all
+  return false;
 });
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load_scripts.js');
+
+const { parseDomain, getPublicSuffix, getRegistrableDomain, getDomainCountry } =
+  loadScripts('public_suffix_list.js', 'domain_utils.js');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('public suffixes from the list', () => {
+  const cases = [
+    ['www.amazon.com', 'com'],
+    ['www.bestbuy.co.uk', 'co.uk'],
+    ['www.amazon.com.au', 'com.au'],
+    ['shop.co.ke', 'co.ke'],
+    ['other.co.ke', 'co.ke'],
+    // *.ck with the !www.ck exception
+    ['shop.example.ck', 'example.ck'],
+    ['www.ck', 'ck'],
+    // *.kawasaki.jp with the !city.kawasaki.jp exception
+    ['shop.foo.kawasaki.jp', 'foo.kawasaki.jp'],
+    ['city.kawasaki.jp', 'kawasaki.jp'],
+    ['store.myshopify.com', 'myshopify.com'],
+    // No rule covers it: the last label is the suffix
+    ['shop.example.unknowntld', 'unknowntld']
+  ];
+  for (const [host, expected] of cases) {
+    assert.strictEqual(getPublicSuffix(host), expected, host);
+  }
+});
+
+test('registrable domains', () => {
+  const cases = [
+    ['https://www.bestbuy.co.uk/site/x', 'bestbuy.co.uk'],
+    ['https://shop.co.ke/item', 'shop.co.ke'],
+    ['https://other.co.ke/item', 'other.co.ke'],
+    ['https://a.shop.example.ck', 'shop.example.ck'],
+    ['https://www.ck', 'www.ck'],
+    ['https://city.kawasaki.jp', 'city.kawasaki.jp'],
+    ['https://one.myshopify.com/products/x', 'one.myshopify.com'],
+    ['https://WWW.Amazon.COM./dp/B000', 'amazon.com'],
+    ['https://bücher.de/buch', 'xn--bcher-kva.de'],
+    ['https://shop.xn--fiqs8s', 'shop.xn--fiqs8s'],
+    ['https://shop.中国', 'shop.xn--fiqs8s'],
+    ['https://localhost:8080/', 'localhost'],
+    ['https://192.168.1.10/x', '192.168.1.10'],
+    ['not a url', ''],
+    ['', '']
+  ];
+  for (const [url, expected] of cases) {
+    assert.strictEqual(getRegistrableDomain(url), expected, url);
+  }
+});
+
+test('countries of domains', () => {
+  const cases = [
+    ['https://www.amazon.com/dp/B000', null],
+    ['https://www.amazon.co.uk/dp/B000', 'GB'],
+    ['https://www.amazon.com.au/dp/B000', 'AU'],
+    ['https://www.amazon.ca/dp/B000', 'CA'],
+    ['https://example.com.co/', 'CO'],
+    ['https://example.co/', null],
+    ['https://someone.github.io/', null],
+    ['https://store.myshopify.com/', null],
+    ['https://someone.blogspot.co.uk/', 'GB'],
+    ['https://www.decathlon.com/products/x.ca', null],
+    ['https://localhost/', null]
+  ];
+  for (const [url, expected] of cases) {
+    assert.strictEqual(getDomainCountry(url), expected, url);
+  }
+});
+
+test('hosts without a registrable domain', () => {
+  assert.deepStrictEqual(plain(parseDomain('http://127.0.0.1:3000/')), {
+    hostname: '127.0.0.1', suffix: null, registrableDomain: null, name: '127.0.0.1', subdomain: '', country: null
+  });
+  assert.strictEqual(parseDomain('http://[::1]/').registrableDomain, null);
+  assert.strictEqual(parseDomain('co.uk').registrableDomain, null);
+  assert.strictEqual(parseDomain('myshopify.com').registrableDomain, null);
+});
+
+test('subdomain and name', () => {
+  assert.deepStrictEqual(plain(parseDomain('https://deals.shop.lg.com/us/tv')), {
+    hostname: 'deals.shop.lg.com', suffix: 'com', registrableDomain: 'lg.com', name: 'lg', subdomain: 'deals.shop', country: null
+  });
+});
+
+test('without the list, hosts parsed by the service worker are used', () => {
+  const contentScripts = loadScripts('domain_utils.js');
+  const parsed = plain(parseDomain('https://www.amazon.co.uk/dp/B000'));
+  contentScripts.rememberParsedDomain(parsed);
+  assert.strictEqual(contentScripts.isPublicSuffixListLoaded(), false);
+  assert.deepStrictEqual(plain(contentScripts.parseDomain('https://www.amazon.co.uk/other')), parsed);
+  assert.strictEqual(contentScripts.getDomainCountry('www.amazon.co.uk'), 'GB');
+  assert.strictEqual(contentScripts.parseDomain('localhost').registrableDomain, null);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScriptsInPage } = require('./load_scripts.js');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'extraction');
+
+// The same modules fixture_runner.html loads
+const page = loadScriptsInPage(
+  'https://example.com/',
+  'price_utils.js', 'product_identifiers.js', 'public_suffix_list.js', 'domain_utils.js', 'regions.js',
+  'offer_model.js', 'retailer_rules.js', 'product_categories.js', 'product_extractor.js', 'extraction_fixtures.js'
+);
+
+const index = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'index.json'), 'utf8'));
+
+test('every fixture file is listed in index.json', () => {
+  const files = fs.readdirSync(FIXTURE_DIR).filter(file => file.endsWith('.json') && file !== 'index.json');
+  assert.deepStrictEqual([...index].sort(), files.sort());
+});
+
+for (const file of index) {
+  test(`fixture ${file} replays to its snapshot`, () => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+    const replay = page.replayExtractionFixture(fixture);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(replay.diffs)), []);
+  });
+}
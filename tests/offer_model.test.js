@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load_scripts.js');
+
+const { parseAvailabilityText, normalizeOffer, extractPriceFromItemTextOnly } = loadScripts(
+  'price_utils.js', 'product_identifiers.js', 'public_suffix_list.js', 'domain_utils.js', 'regions.js', 'offer_model.js'
+);
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * The Offer's fields and provenance, leaving out the fields that are null
+ */
+const known = offer => {
+  const fields = {};
+  for (const [key, value] of Object.entries(plain(offer))) {
+    if (value != null && key !== 'provenance') fields[key] = value;
+  }
+  return { fields, provenance: plain(offer.provenance) };
+};
+
+test('snippet stock status', () => {
+  const cases = [
+    ['In stock. Ships today.', 'In Stock'],
+    ['Only 3 left in stock', 'In Stock'],
+    ['Not in stock', 'Out of Stock'],
+    ['This item is no longer in stock.', 'Out of Stock'],
+    ['Currently out of stock', 'Out of Stock'],
+    ['Sold out', 'Out of Stock'],
+    ['Pre-order now', 'Pre-order'],
+    ['Backordered, ships in 2 weeks', 'Backorder'],
+    ['Free shipping on orders over $35', null]
+  ];
+  for (const [text, expected] of cases) {
+    assert.strictEqual(parseAvailabilityText(text), expected, text);
+  }
+});
+
+test('offer from pagemap offer, product and rating', () => {
+  const offer = normalizeOffer({
+    title: 'Sony WH-1000XM5 Headphones',
+    snippet: 'In stock. $299.99',
+    pagemap: {
+      offer: [{ price: '328.00', pricecurrency: 'USD', availability: 'https://schema.org/InStock', itemcondition: 'NewCondition', seller: { name: 'Acme' } }],
+      product: [{ name: 'Sony WH-1000XM5', brand: { name: 'Sony' }, gtin13: '0027242923782' }],
+      aggregaterating: [{ ratingvalue: '9.2', bestrating: '10', reviewcount: '1,234' }]
+    }
+  });
+  assert.deepStrictEqual(known(offer), {
+    fields: {
+      price: 328, currency: 'USD', availability: 'In Stock', rating: 4.6, reviewCount: 1234, brand: 'Sony',
+      gtin: '00027242923782', condition: 'new', seller: 'Acme'
+    },
+    provenance: {
+      price: 'pagemap.offer', currency: 'pagemap.offer', availability: 'pagemap.offer', condition: 'pagemap.offer',
+      seller: 'pagemap.offer', brand: 'pagemap.product', gtin: 'pagemap.product',
+      rating: 'pagemap.aggregaterating', reviewCount: 'pagemap.aggregaterating'
+    }
+  });
+});
+
+test('offer GTINs are verified and padded to GTIN-14', () => {
+  const gtinOf = product => normalizeOffer({ title: 'x', pagemap: { product: [product] } }).gtin;
+  assert.strictEqual(gtinOf({ gtin12: '027242923782' }), '00027242923782');
+  assert.strictEqual(gtinOf({ gtin: '0 27242 92378 2' }), '00027242923782');
+  assert.strictEqual(gtinOf({ gtin13: '0027242923783' }), null);
+  assert.strictEqual(gtinOf({ gtin13: '0027242923783', upc: '027242923782' }), '00027242923782');
+  assert.strictEqual(gtinOf({ gtin: '12345' }), null);
+});
+
+test('offer from metatags', () => {
+  const offer = normalizeOffer({
+    title: 'Kettle',
+    pagemap: {
+      metatags: [{
+        'product:price:amount': '1.299,99', 'product:price:currency': 'EUR', 'og:availability': 'out of stock',
+        'product:condition': 'refurbished', 'product:brand': 'Acme'
+      }]
+    }
+  }, null, 'EUR');
+  assert.deepStrictEqual(known(offer), {
+    fields: { price: 1299.99, currency: 'EUR', availability: 'Out of Stock', condition: 'refurbished', brand: 'Acme' },
+    provenance: { price: 'metatags', currency: 'metatags', availability: 'metatags', condition: 'metatags', brand: 'metatags' }
+  });
+});
+
+test('offer from title and snippet text', () => {
+  const offer = normalizeOffer({
+    title: 'Apple iPhone 13 (Renewed)',
+    snippet: 'Rating: 4.5 · 812 reviews · Only 2 left in stock. Was $499.99, now $389.99'
+  }, 400);
+  assert.deepStrictEqual(known(offer), {
+    fields: { price: 389.99, currency: 'USD', availability: 'In Stock', rating: 4.5, reviewCount: 812, condition: 'refurbished' },
+    provenance: {
+      price: 'snippet', currency: 'snippet', availability: 'snippet', rating: 'snippet', reviewCount: 'snippet', condition: 'title'
+    }
+  });
+  assert.deepStrictEqual(known(normalizeOffer(null)), { fields: {}, provenance: {} });
+});
+
+test('text price needs a currency marker and prefers one near the reference price', () => {
+  assert.strictEqual(extractPriceFromItemTextOnly({ title: 'Pack of 12', snippet: 'Save 20 today' }), null);
+  assert.strictEqual(extractPriceFromItemTextOnly({ title: 'Kettle', snippet: '$5 off! Now $39.99, was $59.99' }, 40), '$39.99');
+  assert.strictEqual(extractPriceFromItemTextOnly({ title: 'Kettle', snippet: '', htmlSnippet: 'Only &#36;24.50' }), '$24.50');
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load_scripts.js');
+
+const { parsePrice, parsePriceText, parseLocalizedNumber, parseUnitPriceText, parseQuantityText } = loadScripts('price_utils.js');
+
+// Results come from another realm; compare them as plain data
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('a lone ".ddd" is a decimal part outside dot-grouping currencies', () => {
+  assert.strictEqual(parseLocalizedNumber('1.299'), 1.299);
+  assert.strictEqual(parseLocalizedNumber('1.299', 'GBP'), 1.299);
+  assert.strictEqual(parsePriceText('$1.299'), 1.299);
+});
+
+test('a lone ".ddd" groups thousands in euros', () => {
+  assert.strictEqual(parseLocalizedNumber('1.299', 'EUR'), 1299);
+  assert.strictEqual(parsePriceText('1.299 €'), 1299);
+  assert.strictEqual(parsePriceText('EUR 2.500'), 2500);
+});
+
+test('two or more groups always group', () => {
+  assert.strictEqual(parseLocalizedNumber('1.299.000'), 1299000);
+  assert.strictEqual(parseLocalizedNumber('1,299,000'), 1299000);
+  assert.strictEqual(parsePriceText('$1,299.99'), 1299.99);
+  assert.strictEqual(parsePriceText('1.299,99 €'), 1299.99);
+});
+
+test('a lone ",ddd" groups thousands', () => {
+  assert.strictEqual(parseLocalizedNumber('1,299'), 1299);
+  assert.strictEqual(parsePriceText('$1,299'), 1299);
+});
+
+// [text, store currency, amount, currency, kind]
+const LOCALE_PRICE_CASES = [
+  ['$1,299.99', 'USD', 1299.99, 'USD', 'single'],
+  ['1,299.99', 'USD', 1299.99, 'USD', 'single'],
+  ['$1.125', 'USD', 1.125, 'USD', 'single'],
+  ['US$ 12', 'USD', 12, 'USD', 'single'],
+  ['USD 5', 'USD', 5, 'USD', 'single'],
+  ['$1 234', 'USD', 1234, 'USD', 'single'],
+  ['$1 234 567.89', 'USD', 1234567.89, 'USD', 'single'],
+  ['$1 234 - $1 500', 'USD', 1234, 'USD', 'range'],
+  ['5 100', 'USD', 5, 'USD', 'single'],
+  ['$5 100 sold', 'USD', 5, 'USD', 'single'],
+  ['£1,299.99', 'GBP', 1299.99, 'GBP', 'single'],
+  ['£12.99', 'GBP', 12.99, 'GBP', 'single'],
+  ['C$ 1,299.99', 'CAD', 1299.99, 'CAD', 'single'],
+  ['1 299,99 $', 'CAD', 1299.99, 'CAD', 'single'],
+  ['1 299,99 $', 'CAD', 1299.99, 'CAD', 'single'],
+  ['1.299,99 €', 'EUR', 1299.99, 'EUR', 'single'],
+  ['1.299 €', 'EUR', 1299, 'EUR', 'single'],
+  ['2.500.000 €', 'EUR', 2500000, 'EUR', 'single'],
+  ['12,99 €', 'EUR', 12.99, 'EUR', 'single'],
+  ['€ 0,99', 'EUR', 0.99, 'EUR', 'single'],
+  ['1 299,99 €', 'EUR', 1299.99, 'EUR', 'single'],
+  ['1 299 €', 'EUR', 1299, 'EUR', 'single'],
+  ['1 299,99 €', 'EUR', 1299.99, 'EUR', 'single'],
+  ['1 299,99 €', 'EUR', 1299.99, 'EUR', 'single'],
+  ['EUR 12 500', 'EUR', 12500, 'EUR', 'single'],
+  ['CHF 1\'299.50', 'CHF', 1299.5, 'CHF', 'single'],
+  ['CHF 1 299.50', 'CHF', 1299.5, 'CHF', 'single'],
+  ['¥1,200', 'JPY', 1200, 'JPY', 'single'],
+  ['₹1,29,999', 'INR', 129999, 'INR', 'single'],
+  ['₹12,34,567.89', 'INR', 1234567.89, 'INR', 'single'],
+  ['MX$ 1,299', 'MXN', 1299, 'MXN', 'single'],
+  ['A$ 1 234', 'AUD', 1234, 'AUD', 'single'],
+  ['$24.99', 'CAD', 24.99, 'CAD', 'single'],
+  ['$24.99', 'GBP', 24.99, 'USD', 'single'],
+  ['$10 – $20', 'USD', 10, 'USD', 'range'],
+  ['Was $29.99 Now $19.99', 'USD', 19.99, 'USD', 'sale'],
+  ['2 for $5', 'USD', 2.5, 'USD', 'multibuy'],
+  ['From $20', 'USD', 20, 'USD', 'from']
+];
+
+test('locale price table', async (t) => {
+  for (const [text, localCurrency, amount, currency, kind] of LOCALE_PRICE_CASES) {
+    await t.test(`${text} (${localCurrency})`, () => {
+      const parsed = parsePrice(text, { localCurrency });
+      assert.deepStrictEqual(plain({ amount: parsed.amount, currency: parsed.currency, kind: parsed.kind }), { amount, currency, kind });
+    });
+  }
+});
+
+// [text, store currency, value, unit, currency]
+const UNIT_PRICE_CASES = [
+  ['$1.125/Ounce', 'USD', 1.125, 'oz', 'USD'],
+  ['$1.299/oz', 'USD', 1.299, 'oz', 'USD'],
+  ['$0.25/oz', 'USD', 0.25, 'oz', 'USD'],
+  ['25.0¢/oz', 'USD', 0.25, 'oz', 'USD'],
+  ['($0.54 / Fl Oz)', 'USD', 0.54, 'fl oz', 'USD'],
+  ['$0.20/Fluid Ounces', 'USD', 0.2, 'fl oz', 'USD'],
+  ['$2.50 / 100 ct', 'USD', 0.025, 'count', 'USD'],
+  ['$1.20 per lb', 'USD', 0.075, 'oz', 'USD'],
+  ['$0.10/Pieces', 'USD', 0.1, 'count', 'USD'],
+  ['1,29 €/kg', 'EUR', 1.29 / 35.274, 'oz', 'EUR'],
+  ['1 234,50 €/kg', 'EUR', 1234.5 / 35.274, 'oz', 'EUR']
+];
+
+test('unit price table', async (t) => {
+  for (const [text, localCurrency, value, unit, currency] of UNIT_PRICE_CASES) {
+    await t.test(`${text} (${localCurrency})`, () => {
+      const parsed = parseUnitPriceText(text, localCurrency);
+      assert.ok(Math.abs(parsed.value - value) < 1e-9, `${parsed.value} != ${value}`);
+      assert.deepStrictEqual([parsed.unit, parsed.currency], [unit, currency]);
+    });
+  }
+});
+
+// [text, amount, unit, pack count]
+const QUANTITY_CASES = [
+  ['24 fl oz', 24, 'fl oz', 1],
+  ['12 Ounces', 12, 'oz', 1],
+  ['64 Fluid Ounces', 64, 'fl oz', 1],
+  ['120 Capsules', 120, 'count', 1],
+  ['1000 Pieces', 1000, 'count', 1],
+  ['60 Tablets', 60, 'count', 1],
+  ['100 Sheets', 100, 'sheet', 1],
+  ['Pack of 6', 6, 'count', 6],
+  ['2 lbs', 32, 'oz', 1],
+  ['10 pcs', 10, 'count', 1]
+];
+
+test('quantity table', async (t) => {
+  for (const [text, amount, unit, packCount] of QUANTITY_CASES) {
+    await t.test(text, () => {
+      assert.deepStrictEqual(plain(parseQuantityText(text)), { amount, unit, packCount });
+    });
+  }
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load_scripts.js');
+
+const { detectProductCategory, getCategorySearchSites } = loadScripts(
+  'public_suffix_list.js', 'domain_utils.js', 'product_categories.js'
+);
+
+// [title, breadcrumbs, detected category id, whether it gets a site: query]
+const CATEGORY_CASES = [
+  ['Cable Matters Cat 6 Ethernet Cable', [], 'pets', false],
+  ['Nostalgia Hot Dog Toaster', [], 'pets', false],
+  ['Vitamin D3 Tablet 5000 IU', [], 'electronics', false],
+  ['Sony 65" TV Stand', [], 'electronics', false],
+  ['Purina Pro Plan Adult Dog Food Kibble', [], 'pets', true],
+  ['Sony WH-1000XM5 Wireless Headphones', ['Electronics', 'Headphones'], 'electronics', true],
+  ['Nostalgia Hot Dog Toaster', ['Home', 'Kitchen', 'Small Appliances'], 'home', true],
+  ['Cable Matters Cat 6 Ethernet Cable', ['Electronics', 'Computers', 'Networking'], 'electronics', true],
+  ['Vitamin D3 5000 IU', ['Health', 'Vitamins'], null, false]
+];
+
+test('category detection and its search step', () => {
+  for (const [title, breadcrumbs, expectedId, expectSites] of CATEGORY_CASES) {
+    const product = { title, breadcrumbs, retailer: 'Amazon' };
+    const category = detectProductCategory(product);
+    assert.strictEqual(category ? category.id : null, expectedId, `${title} ${breadcrumbs.join(' > ')}`);
+    assert.strictEqual(getCategorySearchSites(category, product).length > 0, expectSites, `${title} sites`);
+  }
+});
+
+test('category stores leave out the current retailer', () => {
+  const product = { title: 'DeWalt drill', breadcrumbs: ['Tools', 'Power Tools', 'Drills'], retailer: 'Home Depot' };
+  assert.deepStrictEqual([...getCategorySearchSites(detectProductCategory(product), product)], ['lowes.com']);
+});
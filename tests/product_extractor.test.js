@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load_scripts.js');
+
+const { findExtractionRule, ruleHostMatches, parseDomain } = loadScripts(
+  'price_utils.js', 'product_identifiers.js', 'public_suffix_list.js', 'domain_utils.js', 'regions.js',
+  'offer_model.js', 'retailer_rules.js', 'product_categories.js', 'product_extractor.js'
+);
+
+test('extraction rule by host', () => {
+  const cases = [
+    ['www.amazon.com', 'amazon'],
+    ['smile.amazon.co.uk', 'amazon'],
+    ['www.lowes.com', 'lowes'],
+    ['www.lowes.ca', 'lowes'],
+    ['www.target.com', 'target'],
+    ['www.bestbuy.ca', 'bestbuy'],
+    ['WWW.HOMEDEPOT.COM', 'homedepot'],
+    // Look-alikes containing a retailer's name
+    ['www.fellowes.com', null],
+    ['www.bellowes.com', null],
+    ['www.stargettarget.com', null],
+    ['www.notamazon.com', null],
+    ['amazon.example.com', null],
+    ['localhost', null]
+  ];
+  for (const [host, expected] of cases) {
+    const rule = findExtractionRule(host.toLowerCase());
+    assert.strictEqual(rule ? rule.id : null, expected, host);
+  }
+});
+
+test('custom rule host entries', () => {
+  const cases = [
+    ['lowes', 'www.lowes.com', true],
+    ['lowes.', 'www.lowes.com', true],
+    ['lowes', 'www.fellowes.com', false],
+    ['bestbuy.ca', 'www.bestbuy.ca', true],
+    ['bestbuy.ca', 'bestbuy.ca', true],
+    ['bestbuy.ca', 'www.bestbuy.com', false],
+    ['bestbuy.ca', 'notbestbuy.ca', false]
+  ];
+  for (const [host, hostname, expected] of cases) {
+    assert.strictEqual(ruleHostMatches(host, parseDomain(hostname)), expected, `${host} ${hostname}`);
+  }
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load_scripts.js');
+
+const { classifyIdentifier, normalizeProductIdentifiers, isValidGtin, isValidIsbn10, isbn10ToIsbn13, toGtin14 } =
+  loadScripts('product_identifiers.js');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// [value, GS1 check digit valid]
+const GTIN_CASES = [
+  ['036000291452', true],
+  ['036000291453', false],
+  ['4006381333931', true],
+  ['4006381333932', false],
+  ['73513537', true],
+  ['73513538', false],
+  ['10036000291459', true],
+  ['1234567', false],
+  ['03600029145a', false]
+];
+
+test('GTIN check digits', () => {
+  for (const [value, expected] of GTIN_CASES) {
+    assert.strictEqual(isValidGtin(value), expected, value);
+  }
+  assert.strictEqual(toGtin14('036000291452'), '00036000291452');
+  assert.strictEqual(toGtin14('036000291453'), null);
+});
+
+test('ISBN-10 check digits and conversion', () => {
+  assert.strictEqual(isValidIsbn10('0306406152'), true);
+  assert.strictEqual(isValidIsbn10('0306406153'), false);
+  assert.strictEqual(isValidIsbn10('080442957X'), true);
+  assert.strictEqual(isbn10ToIsbn13('0306406152'), '9780306406157');
+});
+
+// [raw value, hint, type, value, valid]
+const CLASSIFY_CASES = [
+  ['0 36000 29145 2', 'upc', 'UPC-A', '036000291452', true],
+  ['36000291452', 'upc', 'UPC-A', '036000291452', true],
+  ['4006381333931', 'ean', 'EAN-13', '4006381333931', true],
+  ['9780306406157', 'isbn', 'ISBN-13', '9780306406157', true],
+  ['0-306-40615-2', 'isbn', 'ISBN-10', '0306406152', true],
+  ['0306406153', 'isbn', 'ISBN-10', '0306406153', false],
+  ['B09XS7JWHH', 'asin', 'ASIN', 'B09XS7JWHH', true],
+  ['012-34-5678', 'upc', 'DPCI', '012-34-5678', true],
+  ['WH1000XM5/B', 'model', 'MPN', 'WH1000XM5/B', true],
+  ['036000291453', 'upc', 'UPC-A', '036000291453', false]
+];
+
+test('identifier classification', () => {
+  for (const [raw, hint, type, value, valid] of CLASSIFY_CASES) {
+    const id = classifyIdentifier(raw, hint);
+    assert.deepStrictEqual([id.type, id.value, id.valid], [type, value, valid], raw);
+  }
+  assert.strictEqual(classifyIdentifier('', 'upc'), null);
+  assert.strictEqual(classifyIdentifier('See details', 'upc'), null);
+});
+
+const EMPTY = { gtin: null, upc: null, ean: null, isbn: null, asin: null, dpci: null, mpn: null };
+
+// [raw fields, expected typed fields (the rest null)]
+const NORMALIZE_CASES = [
+  [{ upc: '036000291452' }, { gtin: '00036000291452', upc: '036000291452' }],
+  [{ upc: '036000291453' }, {}],
+  [{ upc: '012-34-5678' }, { dpci: '012-34-5678' }],
+  [{ upc: 'WH1000XM5' }, {}],
+  [{ asin: '0306406152' }, { asin: '0306406152', isbn: '9780306406157', gtin: '09780306406157' }],
+  [{ model: 'WH1000XM5' }, { mpn: 'WH1000XM5' }],
+  // All-digit model numbers stay model numbers, check digit or not
+  [{ model: '12345678' }, { mpn: '12345678' }],
+  [{ model: '036000291452' }, { mpn: '036000291452' }],
+  [{ mpn: '73513537' }, { mpn: '73513537' }],
+  [{ upc: '036000291452', model: '036000291452' }, { gtin: '00036000291452', upc: '036000291452', mpn: '036000291452' }]
+];
+
+test('normalized identifiers', () => {
+  for (const [raw, expected] of NORMALIZE_CASES) {
+    assert.deepStrictEqual(plain(normalizeProductIdentifiers(raw)), { ...EMPTY, ...expected }, JSON.stringify(raw));
+  }
+});
@@ -0,0 +1,137 @@
+// usage_ledger.js
+// Per-day, per-provider count of search queries sent, kept in local storage so
+// the free Google CSE quota (100 queries a day) is not used up unnoticed.
+// DOM-free: shared by the service worker, which records queries as the search
+// service sends them, and the options page, which shows the counts.
+//
+// Ledger shape (local storage "searchUsage"):
+//   { "2026-10-18": { google: 12, bing: 3 }, ... }
+// Days are Pacific-time dates, the day on which Google resets its quota.
+
+/**
+ * Local storage key of the ledger
+ */
+const SEARCH_USAGE_STORAGE_KEY = 'searchUsage';
+
+/**
+ * Days of history kept for the options page chart
+ */
+const SEARCH_USAGE_HISTORY_DAYS = 30;
+
+/**
+ * Daily query cap when none is set (Google CSE's free tier)
+ */
+const DEFAULT_DAILY_QUERY_CAP = 100;
+
+/**
+ * Queries left below which a capped provider is no longer queried (cache-only mode)
+ * A search plan (planSearchQueries in comparison_modal.js) sends up to four queries
+ * (GTIN, model, category, title), so that many are held back to finish one started
+ * under the cap. Retries re-check the budget instead (searchProviderWithRetry).
+ */
+const CACHE_ONLY_RESERVE = 4;
+
+/**
+ * Ledger day key (YYYY-MM-DD) for a date, in Pacific time
+ */
+function getUsageDayKey(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/Los_Angeles',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+/**
+ * Day key `days` days before a day key (calendar arithmetic, unaffected by DST)
+ */
+function shiftUsageDayKey(dayKey, days) {
+  const date = new Date(`${dayKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Load the whole ledger
+ */
+function loadSearchUsage() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get({ [SEARCH_USAGE_STORAGE_KEY]: {} }, (items) => {
+      resolve(items[SEARCH_USAGE_STORAGE_KEY] || {});
+    });
+  });
+}
+
+// Writes are chained so parallel provider calls don't overwrite each other's counts
+let searchUsageWriteQueue = Promise.resolve();
+
+/**
+ * Count one query sent to a provider today, dropping days older than the history window
+ */
+function recordSearchUsage(providerId) {
+  searchUsageWriteQueue = searchUsageWriteQueue.then(async () => {
+    const ledger = await loadSearchUsage();
+    const today = getUsageDayKey();
+    ledger[today] = ledger[today] || {};
+    ledger[today][providerId] = (ledger[today][providerId] || 0) + 1;
+
+    const oldest = shiftUsageDayKey(today, SEARCH_USAGE_HISTORY_DAYS);
+    for (const day of Object.keys(ledger)) {
+      if (day < oldest) delete ledger[day];
+    }
+
+    await new Promise(resolve => chrome.storage.local.set({ [SEARCH_USAGE_STORAGE_KEY]: ledger }, resolve));
+  }).catch(error => {
+    console.warn('Error recording search usage:', error);
+  });
+  return searchUsageWriteQueue;
+}
+
+/**
+ * Today's usage of a provider against a daily cap (0 = no cap)
+ * @returns {{ used: number, cap: number, remaining: number|null, cacheOnly: boolean }}
+ */
+function getSearchQuota(ledger, providerId, cap) {
+  const used = (ledger[getUsageDayKey()] || {})[providerId] || 0;
+  if (!cap) {
+    return { used, cap: 0, remaining: null, cacheOnly: false };
+  }
+  const remaining = Math.max(0, cap - used);
+  return { used, cap, remaining, cacheOnly: remaining <= CACHE_ONLY_RESERVE };
+}
+
+/**
+ * Split providers into those still within today's budget and those in cache-only mode
+ * Only providers marked `metered` in SEARCH_PROVIDERS are capped.
+ * @returns {Promise<{ allowed: string[], capped: string[] }>}
+ */
+async function filterProvidersWithinBudget(providerIds, settings) {
+  const ledger = await loadSearchUsage();
+  const allowed = [];
+  const capped = [];
+  providerIds.forEach(id => {
+    const metered = SEARCH_PROVIDERS[id] && SEARCH_PROVIDERS[id].metered;
+    if (metered && getSearchQuota(ledger, id, settings.dailyCap).cacheOnly) {
+      capped.push(id);
+    } else {
+      allowed.push(id);
+    }
+  });
+  return { allowed, capped };
+}
+
+/**
+ * Usage per day for the last `days` days, oldest first, including days without queries
+ * @returns {Array<{ day: string, counts: Object, total: number }>}
+ */
+function getSearchUsageHistory(ledger, days = 14) {
+  const today = getUsageDayKey();
+  const history = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const day = shiftUsageDayKey(today, offset);
+    const counts = ledger[day] || {};
+    history.push({ day, counts, total: Object.values(counts).reduce((sum, count) => sum + count, 0) });
+  }
+  return history;
+}